@@ -19,6 +19,9 @@ var stats         = require('./lib/stats');
 var crypto        = require('crypto');
 var hoek          = require('hoek');
 var series        = require('./lib/series');
+var noncestore    = require('./lib/noncestore');
+var LRU           = require('lru-cache');
+var proxyaddr     = require('proxy-addr');
 
 /**
  * Create parameter validation middle-ware instance, given a mapping from
@@ -72,6 +75,74 @@ var parameterValidator = function(options) {
   };
 };
 
+/**
+ * Create query-string validation middle-ware instance, given a mapping from
+ * query-string parameter to regular expression or function that returns a
+ * message as string if the parameter is invalid.
+ *
+ * options:
+ * {
+ *   continuationToken: /./,          // Reg-exp pattern
+ *   limit(val) { return "..." }      // Function, returns message if invalid
+ * }
+ *
+ * Query-string parameters are optional, but parameters present must be listed
+ * in `options` and match the pattern given, or the request will be rejected
+ * with a 400 error message. The `bewit` parameter used for authentication is
+ * always allowed.
+ */
+var queryValidator = function(options) {
+  // Validate options
+  _.forIn(options, function(pattern, param) {
+    assert(pattern instanceof RegExp || pattern instanceof Function,
+           "Pattern given for query-string parameter: '" + param + "' must " +
+           "be a RegExp or a function");
+  });
+  return function(req, res, next) {
+    var errors = [];
+    _.forIn(req.query, function(val, param) {
+      if (param === 'bewit') {
+        return;
+      }
+      // Parameter names are user input, so don't look them up in prototypes
+      if (!_.has(options, param)) {
+        errors.push(
+          "Query-string parameter '" + param + "' is not supported by this " +
+          "end-point"
+        );
+        return;
+      }
+      var pattern = options[param];
+      if (typeof(val) !== 'string') {
+        errors.push(
+          "Query-string parameter '" + param + "' must be given exactly once"
+        );
+      } else if (pattern instanceof RegExp) {
+        if (!pattern.test(val)) {
+          errors.push(
+            "Query-string parameter '" + param + "' given as '" + val + "' " +
+            "must match regular expression: '" + pattern.toString() + "'"
+          );
+        }
+      } else {
+        var msg = pattern(val);
+        if (typeof(msg) === 'string') {
+          errors.push(
+            "Query-string parameter '" + param + "' given as '" + val + "' " +
+            "is not valid: " + msg
+          );
+        }
+      }
+    });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        'message':  "Invalid query-string parameters:\n" + errors.join('\n'),
+      });
+    }
+    return next();
+  };
+};
+
 /**
  * Declare {input, output} schemas as options to validate
  *
@@ -340,6 +411,7 @@ var clientLoader = function(options) {
           debug('Failed to fetch credentials for clientId: %s', clientId);
           var err = new Error("Failed to fetch credentials: " + res.text);
           err.message = "Failed to fetch credentials: " + res.text;
+          err.statusCode = res.status;
           throw err;
         }
         return new Client(res.body);
@@ -352,49 +424,143 @@ var clientLoader = function(options) {
  * results when found.
  *
  * options: {
- *   size:            250,  // Max number of clients to keep in cache
- *   expiration:      60    // Number of minutes to cache clients
+ *   size:                250,  // Max number of clients to keep in cache
+ *   expiration:          60,   // Number of minutes to cache clients
+ *   negativeExpiration:  1,    // Minutes to cache unknown clients, 0 disables
+ *   drain:               new base.stats.Influx(...),  // Statistics (optional)
+ *   component:           'queue'   // Component name, required with drain
  * }
+ *
+ * Clients are kept in an LRU cache keyed by `clientId`. Concurrent loads of
+ * the same `clientId` share the same pending request to `clientLoader`. If
+ * `clientLoader` fails with an error with `statusCode` 404, the client is
+ * unknown, and the error is cached for `negativeExpiration` minutes, so
+ * requests with unknown `clientId`s don't all hit `clientLoader`. Other errors
+ * are never cached.
+ *
+ * The returned function has the following properties:
+ *  - `invalidate(clientId)`, remove `clientId` from the cache, or clear the
+ *    entire cache if `clientId` is `undefined`, and
+ *  - `stats()`, returns an object on the form
+ *    `{hits, misses, coalesced, unknown, invalidations, size}`.
+ *
+ * Lookups are reported to the `ClientCacheLookups` series, if `drain` is given.
  */
 var clientCache = function(clientLoader, options) {
-  options = _.defaults({}, options || {
-    size:             250,
-    expiration:       60
+  options = _.defaults({}, options || {}, {
+    size:                 250,
+    expiration:           60,
+    negativeExpiration:   1
   });
+  assert(clientLoader instanceof Function, "clientLoader must be a function");
+  assert(typeof(options.size) === 'number' && options.size > 0,
+         "size must be a positive number");
+  assert(typeof(options.expiration) === 'number',
+         "expiration must be a number");
+  assert(typeof(options.negativeExpiration) === 'number',
+         "negativeExpiration must be a number");
   // Number of milliseconds to keep things in cache
-  var expiration = options.expiration * 60 * 60 * 1000;
-  var next = 0;
-  var N = options.size;
-  var cache = new Array(N);
-  var defaultClient = {
-    clientId:       null,
-    __validUntil:   0     // Monkey property we'll add
+  var expiration          = options.expiration * 60 * 1000;
+  var negativeExpiration  = options.negativeExpiration * 60 * 1000;
+
+  // Cache entries on the form {client} or {error}, and pending loads
+  var cache = LRU({
+    max:      options.size,
+    maxAge:   expiration
+  });
+  // Pending loads by clientId, without prototype, as clientId is user input
+  var pending = Object.create(null);
+  var cacheStats = {
+    hits:           0,
+    misses:         0,
+    coalesced:      0,
+    unknown:        0,
+    invalidations:  0
   };
-  for (var i = 0; i < N; i++) {
-    cache[i] = defaultClient;
+
+  // Create statistics reporter
+  var reporter = function() {};
+  if (options.drain) {
+    assert(options.component, "The component must be named in statistics!");
+    reporter = series.ClientCacheLookups.reporter(options.drain, {
+      component:    options.component
+    });
   }
-  return function(clientId) {
-    // Search cache to see if we have a cached Client object
-    var now = new Date().getTime();
-    // TODO: There is a long list of optimizations one can do here... Like
-    //       start searching from next downwards, and then one can break
-    //       when validUntil < now. Furthermore, one can avoid duplicate
-    //       clientIds if a clientId twice at once, while not being cached.
-    for (var i = 0; i < N; i++) {
-      var client = cache[i];
-      if (client.clientId === clientId && client.__validUntil > now) {
-        return Promise.resolve(client.clone());
+
+  var loader = function(clientId) {
+    // Look for clientId in cache
+    var entry = cache.get(clientId);
+    if (entry) {
+      var unknown = entry.error !== undefined;
+      cacheStats.hits += 1;
+      if (unknown) {
+        cacheStats.unknown += 1;
+      }
+      reporter({hit: 1, coalesced: 0, unknown: unknown ? 1 : 0});
+      if (unknown) {
+        return Promise.reject(entry.error);
       }
+      return Promise.resolve(entry.client.clone());
     }
-    // Load clientId
-    return clientLoader(clientId).then(function(client) {
-      client.__validUntil = new Date().getTime() + expiration;
-      cache[next] = client;
-      next += 1;
-      next %= N;
+
+    // Wait for pending load of clientId, if there is one
+    var loading = pending[clientId];
+    if (loading) {
+      cacheStats.coalesced += 1;
+      reporter({hit: 0, coalesced: 1, unknown: 0});
+    } else {
+      cacheStats.misses += 1;
+      reporter({hit: 0, coalesced: 0, unknown: 0});
+      // Remember number of invalidations, as we shouldn't cache the result if
+      // the cache was invalidated while the client was being loaded
+      var invalidations = cacheStats.invalidations;
+      loading = pending[clientId] = Promise.resolve().then(function() {
+        return clientLoader(clientId);
+      }).then(function(client) {
+        if (pending[clientId] === loading) {
+          delete pending[clientId];
+        }
+        if (cacheStats.invalidations === invalidations) {
+          cache.set(clientId, {client: client});
+        }
+        return client;
+      }, function(err) {
+        if (pending[clientId] === loading) {
+          delete pending[clientId];
+        }
+        if (err && err.statusCode === 404 && negativeExpiration > 0 &&
+            cacheStats.invalidations === invalidations) {
+          debug("Caching unknown clientId: %s", clientId);
+          cache.set(clientId, {error: err}, negativeExpiration);
+        }
+        throw err;
+      });
+    }
+    return loading.then(function(client) {
       return client.clone();
     });
   };
+
+  /** Remove clientId from cache, or clear the cache if not given */
+  loader.invalidate = function(clientId) {
+    cacheStats.invalidations += 1;
+    if (clientId === undefined) {
+      cache.reset();
+      pending = Object.create(null);
+    } else {
+      cache.del(clientId);
+      delete pending[clientId];
+    }
+  };
+
+  /** Get statistics for the cache */
+  loader.stats = function() {
+    return _.defaults({
+      size:     cache.length
+    }, cacheStats);
+  };
+
+  return loader;
 };
 
 /**
@@ -410,31 +576,132 @@ var clientCache = function(clientLoader, options) {
  * multiple instance of the server process. But it's better than nothing,
  * and a lot cheaper and faster than using azure table storage.
  *
- * Ideally, nonces should probably be stored in something like memcache.
+ * This is a nonce function on the form `function(nonce, ts, cb)` using an
+ * `InMemoryNonceStore`, see `lib/noncestore.js`. For multiple server processes
+ * use an `EntityNonceStore` instead.
  */
 var nonceManager = function(options) {
   options = _.defaults({}, options || {}, {
     size:               250
   });
-  var nextnonce = 0;
-  var N = options.size;
-  var noncedb = new Array(N);
-  for(var i = 0; i < N; i++) {
-    noncedb[i] = {nonce: null, ts: null};
+  return nonceFunc(new noncestore.InMemoryNonceStore(options));
+};
+
+/**
+ * Create nonce function for hawk from `nonceManager`, which is either a nonce
+ * function on the form `function(nonce, ts, cb)`, or a nonce store with an
+ * `add(nonce, ts)` method, see `lib/noncestore.js`.
+ */
+var nonceFunc = function(nonceManager) {
+  if (nonceManager instanceof Function) {
+    return nonceManager;
   }
+  assert(nonceManager && nonceManager.add instanceof Function,
+         "nonceManager must be a function or a nonce store");
   return function(nonce, ts, cb) {
-    for (var i = 0; i < N; i++) {
-      if (noncedb[i].nonce === nonce && noncedb[i].ts === ts) {
-        debug("CRITICAL: Replay attack detected!");
-        return cb(new Error("Signature already used"));
+    nonceManager.add(nonce, ts).then(function() {
+      cb();
+    }, function(err) {
+      cb(err || new Error("Failed to check nonce"));
+    });
+  };
+};
+
+/**
+ * Compile `trustProxy` option to a function `trust(address, index)` that
+ * returns `true` if the proxy with `address` is trusted. Like the express
+ * setting `'trust proxy'`, `trustProxy` is either a boolean, a function, or a
+ * list of trusted addresses and CIDRs as array or comma-separated string, see
+ * the `proxy-addr` module for details.
+ */
+var compileTrust = function(trustProxy) {
+  if (trustProxy instanceof Function) {
+    return trustProxy;
+  }
+  if (typeof(trustProxy) === 'boolean') {
+    return function() { return trustProxy; };
+  }
+  if (typeof(trustProxy) === 'string') {
+    trustProxy = trustProxy.split(/\s*,\s*/);
+  }
+  assert(trustProxy instanceof Array,
+         "trustProxy must be a boolean, function or list of CIDRs");
+  return proxyaddr.compile(trustProxy);
+};
+
+/**
+ * Find host and port the client used for `req`, as needed by hawk to verify
+ * the signature. If `req` was forwarded by a proxy trusted by `trust`, the
+ * X-Forwarded-Host, X-Forwarded-Port and X-Forwarded-Proto headers are used,
+ * taking the last value of each header, as this was added by the proxy.
+ * If `trust` is `undefined`, the `'trust proxy'` setting of the express
+ * application is used, see `base.app`.
+ *
+ * Returns `{host, port}`, where both are `undefined`, if the request wasn't
+ * forwarded by a trusted proxy, so hawk uses the Host header.
+ */
+var forwardedHost = function(req, trust) {
+  if (trust === undefined) {
+    trust = req.app ? req.app.get('trust proxy fn') : undefined;
+  }
+  if (!trust || !trust(req.connection.remoteAddress, 0)) {
+    return {};
+  }
+
+  // Get last value of header, as proxies append to these headers, so only the
+  // last value was added by the trusted proxy, others may be sent by clients
+  var header = function(name) {
+    var value = req.headers[name];
+    return value ? _.last(value.split(/\s*,\s*/)) : undefined;
+  };
+  var host  = header('x-forwarded-host');
+  var port  = header('x-forwarded-port');
+  var proto = header('x-forwarded-proto');
+  if (!host && !port && !proto) {
+    return {};
+  }
+
+  // Parse host as hawk does it, defaulting to port for the protocol used
+  var parsed = hawk.utils.parseHost({
+    headers:    {host: host || req.headers.host},
+    connection: {
+      encrypted:  proto ? proto === 'https' : req.connection.encrypted
+    }
+  });
+  if (!parsed) {
+    return {}; // Let hawk report the invalid Host header
+  }
+  return {
+    host:   parsed.name,
+    port:   port ? parseInt(port, 10) : parsed.port
+  };
+};
+
+/**
+ * Sign replies to `res` with a hawk `Server-Authorization` header, given
+ * `credentials` and `artifacts` from hawk authentication of the request. This
+ * wraps `res.send`, which is also used by `res.json`, to include a hash of the
+ * response body in the signature.
+ */
+var signResponse = function(res, credentials, artifacts) {
+  var send = res.send;
+  res.send = function(body) {
+    // Sign when given the final body, res.send calls itself with objects
+    // serialized as JSON, and we don't need to sign the reply twice
+    if ((typeof(body) === 'string' || body instanceof Buffer) &&
+        !res.headersSent && !res.get('Server-Authorization')) {
+      // Set Content-Type as res.send would, as it's covered by the hash
+      if (!res.get('Content-Type')) {
+        res.type(typeof(body) === 'string' ? 'html' : 'bin');
       }
+      res.set('Server-Authorization', hawk.server.header(
+        credentials, artifacts, {
+          payload:      body,
+          contentType:  res.get('Content-Type')
+        }
+      ));
     }
-    noncedb[nextnonce].nonce  = nonce;
-    noncedb[nextnonce].ts     = ts;
-    // Increment nextnonce
-    nextnonce += 1;
-    nextnonce %= N;
-    cb();
+    return send.apply(res, arguments);
   };
 };
 
@@ -448,7 +715,10 @@ var nonceManager = function(options) {
  *     'service:method:action:<resource>'
  *     ['admin', 'superuser'],
  *   ]
- *   deferAuth:   false // defaults to false
+ *   deferAuth:       false // defaults to false
+ *   verifyPayload:   false // defaults to false
+ *   signResponse:    false // defaults to false
+ *   trustProxy:      ['10.0.0.0/8']  // Trusted proxies, see compileTrust
  * }
  *
  * Check that the client is authenticated and has scope patterns that satisfies
@@ -473,9 +743,30 @@ var nonceManager = function(options) {
  * Remark `deferAuth` will not perform authorization unless, `req.satisfies({})`
  * is called either without arguments or with an object as first argument.
  *
+ * If `verifyPayload` is `true`, the hawk `Authorization` header must include a
+ * payload hash for requests with a body, which is verified against the raw
+ * request body stored in `req.rawBody` by the JSON body parser in `API.router`.
+ * Requests without a body, such as `GET` requests, may omit the hash, but if
+ * given it must be the hash of an empty payload. Notice, that only JSON bodies
+ * set `req.rawBody`, so other bodies are verified as an empty payload.
+ *
+ * If `signResponse` is `true`, replies sent with `res.send` (and hence
+ * `res.json` and `res.reply`) to requests authenticated with a hawk
+ * `Authorization` header, are signed with a `Server-Authorization` header
+ * including a hash of the response body, so clients can verify the reply.
+ *
+ * If the request was forwarded by a proxy trusted by `trustProxy`, which is a
+ * function compiled with `compileTrust`, the host and port used by the client
+ * are taken from X-Forwarded-* headers, see `forwardedHost`. These headers are
+ * ignored for other requests, as they could be used to replay intercepted
+ * signatures for other hosts.
+ *
  * Reports 401 if authentication fails.
  */
 var authenticate = function(nonceManager, clientLoader, options) {
+  // Create nonce function, if given a nonce store
+  nonceManager = nonceFunc(nonceManager);
+
   // Load credentials and deal with certificate and restrict scopes, if needed
   var getCredentials = function(clientId, ext, cb) {
     clientLoader(clientId).then(function(client) {
@@ -507,6 +798,11 @@ var authenticate = function(nonceManager, clientLoader, options) {
     // authentication upfront and then ignores the result until `req.satisfies`
     // is called
     var authCallback = function(err, credentials, artifacts) {
+      // Sign responses, if requested and the signature was valid
+      if (options.signResponse && !err && !(req.query && req.query.bewit)) {
+        signResponse(res, credentials, artifacts);
+      }
+
       // Keep reference to set of authorized scopes, which will be extended
       // by authenticate()
       var authorizedScopes = [];
@@ -623,16 +919,10 @@ var authenticate = function(nonceManager, clientLoader, options) {
       }
     };
 
-    // Find port in case this request was forwarded by a proxy, say a HTTPS
-    // load balancer.
-    // TODO: Require that an option on the API says that it's okay to trust
-    //       trust the proxy. Otherwise one could use to fake the request port
-    //       from an intercepted signature. This is not a significant attack
-    //       vector :)
-    var port = undefined; // Hawk defaults to parsing it from HOST header
-    if (req.headers['x-forwarded-port'] !== undefined) {
-      port = parseInt(req.headers['x-forwarded-port']);
-    }
+    // Find host and port in case this request was forwarded by a trusted
+    // proxy, say a HTTPS load balancer. Hawk defaults to parsing them from the
+    // Host header.
+    var forwarded = forwardedHost(req, options.trustProxy);
 
     // Restore originalUrl as needed by hawk for authentication
     req.url = req.originalUrl;
@@ -669,46 +959,54 @@ var authenticate = function(nonceManager, clientLoader, options) {
         // Get credentials with ext
         getCredentials(clientId, ext, cb);
       }, {
-        // Provide port
-        port:         port
+        // Provide host and port
+        host:         forwarded.host,
+        port:         forwarded.port
       }, authCallback);
     } else {
+      // If we have an authorization header, parse attributes for ext and hash
+      var attrs = {};
+      if (req.headers && req.headers.authorization) {
+        attrs = hawk.utils.parseAuthorizationHeader(req.headers.authorization);
+        if (attrs instanceof Error) {
+          attrs = {};
+        }
+      }
+
+      // Verify payload hash over the raw request body, if requested. We can't
+      // hash `req.body` as JSON.stringify isn't deterministic. The hash is
+      // required if there is a body, and verified against the empty payload if
+      // given for a request without a body.
+      var payload = undefined;
+      if (options.verifyPayload) {
+        if (req.rawBody && req.rawBody.length > 0) {
+          payload = req.rawBody;
+        } else if (attrs.hash) {
+          payload = '';
+        }
+      }
+
       // If no bewit is present we run normal authentication... Even if there
       // is no authentication header. Because we want the warning to say missing
       // 'authentication' header. Not missing bewit signature.
       hawk.server.authenticate(req, function(clientId, cb) {
-        var ext = undefined;
-
-        // If we have an authorization header, look for ext
-        if (req.headers && req.headers.authorization) {
-          // Parse attributes
-          var attrs = hawk.utils.parseAuthorizationHeader(
-            req.headers.authorization
-          );
-          // Extra ext
-          if (!(attrs instanceof Error)) {
-            ext = attrs.ext;
-          }
-        }
-
         // Get credentials with ext
-        getCredentials(clientId, ext, cb);
+        getCredentials(clientId, attrs.ext, cb);
       }, {
-        // Not sure if JSON stringify is not deterministic by specification.
-        // I suspect not, so we'll postpone this till we're sure we want to do
-        // payload validation and how we want to do it.
-        //payload:      JSON.stringify(req.body),
+        // Verify payload hash, if payload is given
+        payload:      payload,
 
         // We found that clients often hit time skew bugs (particularly on OSX)
         // since all our services require https we hardcode the allowed skew to
         // a very high number (15 min) similar to AWS.
-        timestampSkewSec: 15 * 60,
+        timestampSkewSec: noncestore.TIMESTAMP_SKEW_SEC,
 
         // Provide nonce manager
         nonceFunc:    nonceManager,
 
-        // Provide port
-        port:         port
+        // Provide host and port
+        host:         forwarded.host,
+        port:         forwarded.port
       }, authCallback);
     }
   };
@@ -719,6 +1017,8 @@ authenticate.Client       = Client;
 authenticate.clientCache  = clientCache;
 authenticate.clientLoader = clientLoader;
 authenticate.nonceManager = nonceManager;
+authenticate.InMemoryNonceStore = noncestore.InMemoryNonceStore;
+authenticate.EntityNonceStore   = noncestore.EntityNonceStore;
 
 /**
  * Handle API end-point request
@@ -830,6 +1130,10 @@ var STABILITY_LEVELS = _.values(stability);
  *     id(val) { return "..." }                  // Function, returns message if invalid
  *     // The `params` option from new API(), will be used as fall-back
  *   },
+ *   query: {                                    // Query-string parameters
+ *     limit: /^[0-9]+$/,                        // Reg-exp pattern
+ *     continuationToken(val) { return "..." }   // Function, returns message
+ *   },                                          // optional, see queryValidator
  *   name:     'identifierForLibraries',         // identifier for client libraries
  *   stability: base.API.stability.experimental, // API stability level
  *   scopes:   ['admin', 'superuser'],           // Scopes for the request
@@ -839,12 +1143,18 @@ var STABILITY_LEVELS = _.values(stability);
  *   output:   'output-schema.json',             // optional, null if no output
  *   skipInputValidation:    true,               // defaults to false
  *   skipOutputValidation:   true,               // defaults to false
+ *   verifyPayload:          true,               // defaults to router option
+ *   signResponse:           true,               // defaults to router option
  *   title:     "My API Method",
  *   description: [
  *     "Description of method in markdown, enjoy"
  *   ].join('\n')
  * }
  *
+ * If `query` is given, requests with query-string parameters not declared in
+ * `query`, or not matching the declared pattern, are rejected with a 400 error.
+ * If `query` isn't given, the query-string isn't validated.
+ *
  * The handler parameter is a normal connect/express request handler, it should
  * return JSON replies with `request.reply(json)` and errors with
  * `request.json(code, json)`, as `request.reply` may be validated against the
@@ -897,12 +1207,30 @@ API.prototype.declare = function(options, handler) {
  *     // Client must have the 'auth:credentials' scope.
  *   },
  *   component:           'queue',      // Name of the component in stats
- *   drain:               new Influx()  // drain for statistics
+ *   drain:               new Influx(), // drain for statistics
+ *   verifyPayload:       false,  // Verify hawk payload hash on all requests
+ *   signResponse:        false,  // Sign responses with Server-Authorization
+ *   trustProxy:          ['10.0.0.0/8']  // Trusted proxy CIDRs (optional)
  * }
  *
  * The option `validator` must provided, and either `credentials` or
  * `clientLoader` must be provided.
  *
+ * The option `nonceManager` defaults to a nonce function that keeps nonces in
+ * memory. With multiple server processes, an `EntityNonceStore` from
+ * `API.authenticate.EntityNonceStore` should be given, so replay attacks are
+ * detected across processes.
+ *
+ * The options `verifyPayload` and `signResponse` are defaults for the options
+ * of the same name given to `API.declare`, see `authenticate` for details.
+ *
+ * The option `trustProxy` is a list of addresses and CIDRs of trusted proxies,
+ * as array or comma-separated string, or a boolean. Only for requests from
+ * trusted proxies are X-Forwarded-Host, X-Forwarded-Port and
+ * X-Forwarded-Proto headers used to reconstruct the URL verified by hawk. If
+ * not given, the express `'trust proxy'` setting is used, which is set by the
+ * `trustProxy` option for `base.app`, and defaults to trusting no proxies.
+ *
  * Return an `express.Router` instance.
  */
 API.prototype.router = function(options) {
@@ -914,7 +1242,9 @@ API.prototype.router = function(options) {
     inputLimit:           '10mb',
     allowedCORSOrigin:    '*',
     context:              {},
-    nonceManager:         nonceManager()
+    nonceManager:         nonceManager(),
+    verifyPayload:        false,
+    signResponse:         false
   });
 
   // Create clientLoader, if not provided
@@ -925,7 +1255,16 @@ API.prototype.router = function(options) {
       baseUrl:            options.authBaseUrl
     }, options.credentials));
     // Wrap in a clientCache
-    options.clientLoader = clientCache(options.clientLoader);
+    options.clientLoader = clientCache(options.clientLoader, {
+      drain:              options.drain,
+      component:          options.component
+    });
+  }
+
+  // Compile trusted proxies, if given
+  var trustProxy = undefined;
+  if (options.trustProxy !== undefined) {
+    trustProxy = compileTrust(options.trustProxy);
   }
 
   // Create statistics reporter
@@ -940,7 +1279,11 @@ API.prototype.router = function(options) {
 
   // Use JSON middleware
   router.use(bodyParser.json({
-    limit:                options.inputLimit
+    limit:                options.inputLimit,
+    // Keep the raw body, so we can verify the hawk payload hash
+    verify:               function(req, res, buf) {
+      req.rawBody = buf;
+    }
   }));
 
   // Allow CORS requests to the API
@@ -982,10 +1325,23 @@ API.prototype.router = function(options) {
       }));
     }
 
+    // Authentication options, payload verification and response signing
+    // defaults to the options given to the router
+    var authOptions = _.defaults({}, entry, {
+      verifyPayload:  options.verifyPayload,
+      signResponse:   options.signResponse,
+      trustProxy:     trustProxy
+    });
+
     // Add authentication, schema validation and handler
     middleware.push(
-      authenticate(options.nonceManager, options.clientLoader, entry),
-      parameterValidator(entry.params),
+      authenticate(options.nonceManager, options.clientLoader, authOptions),
+      parameterValidator(entry.params)
+    );
+    if (entry.query) {
+      middleware.push(queryValidator(entry.query));
+    }
+    middleware.push(
       schema(options.validator, entry),
       handle(entry.handler, options.context)
     );
@@ -1039,6 +1395,9 @@ API.prototype.reference = function(options) {
         title:          entry.title,
         description:    entry.description
       };
+      if (entry.query) {
+        retval.query = _.keys(entry.query);
+      }
       if (entry.scopes) {
         retval.scopes = entry.scopes;
       }
@@ -179,6 +179,10 @@ var createServer = function() {
  *   trustProxy:    false           // Trust the proxy that forwarded for SSL
  * }
  *
+ * The `trustProxy` option is either a boolean, or a list of trusted proxy
+ * addresses and CIDRs. It is used for the express `'trust proxy'` setting,
+ * which `API.router` uses to decide if X-Forwarded-* headers can be trusted.
+ *
  * Returns an express application with extra methods:
  *   - `setup`          (Configures middleware for HTML UI and persona login)
  *   - `createServer`   (Creates an server)
@@ -196,6 +200,7 @@ var app = function(options) {
   app.set('port', options.port);
   app.set('env', options.env);
   app.set('json spaces', 2);
+  app.set('trust proxy', options.trustProxy);
 
   // ForceSSL if required suggested
   if (options.forceSSL) {
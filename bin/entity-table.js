@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+var path    = require('path');
+var fs      = require('fs');
+var Promise = require('promise');
+
+var usage = [
+  "Usage: entity-table.js export <module>[:<name>] <table> [<file>]",
+  "       entity-table.js import <module>[:<name>] <table> [<file>]",
+  "                       [--overwrite | --skip-existing] [--concurrency <n>]",
+  "",
+  "Export entities from, or import entities to, an azure table as",
+  "newline-delimited JSON. <module> must export an Entity class configured",
+  "with Entity.configure, as <name> if given. If <file> isn't given, stdin or",
+  "stdout is used. Azure credentials are read from the environment variables",
+  "AZURE_ACCOUNT_NAME and AZURE_ACCOUNT_KEY, and context for Entity.setup is",
+  "read as JSON from ENTITY_CONTEXT, if given."
+].join('\n');
+
+/**
+ * Export entities from `Table` to `file`, or stdout if `file` isn't given.
+ * Returns a promise for the status from `Table.exportTo`, which is resolved
+ * when all entities have been written to `file`.
+ */
+var exportEntities = function(Table, file) {
+  var output = process.stdout;
+  if (file) {
+    output = fs.createWriteStream(file);
+  }
+  return Table.exportTo(output).then(function(status) {
+    if (output === process.stdout) {
+      return status;
+    }
+    // Wait for the file to be flushed, before the process exits
+    return new Promise(function(accept, reject) {
+      output.once('error', reject);
+      output.end(function() {
+        accept(status);
+      });
+    });
+  });
+};
+
+/**
+ * Import entities to `Table` from `file`, or stdin if `file` isn't given,
+ * with `options` for `Table.importFrom`. Returns a promise for the status.
+ */
+var importEntities = function(Table, file, options) {
+  var input = process.stdin;
+  if (file) {
+    input = fs.createReadStream(file);
+  }
+  return Table.ensureTable().then(function() {
+    return Table.importFrom(input, options);
+  });
+};
+
+// Export utilities, so they can be tested
+exports.exportEntities = exportEntities;
+exports.importEntities = importEntities;
+
+/** Run command-line utility with arguments `args` */
+var main = function(args) {
+  // Parse arguments
+  args        = args.slice();
+  var options = {mode: 'create'};
+  var params  = [];
+  while (args.length > 0) {
+    var arg = args.shift();
+    if (arg === '--overwrite') {
+      options.mode = 'overwrite';
+    } else if (arg === '--skip-existing') {
+      options.mode = 'skip';
+    } else if (arg === '--concurrency') {
+      options.concurrency = parseInt(args.shift(), 10);
+    } else if (arg === '--help' || arg[0] === '-') {
+      console.error(usage);
+      process.exit(1);
+    } else {
+      params.push(arg);
+    }
+  }
+  var command = params[0];
+  if (['export', 'import'].indexOf(command) === -1 ||
+      params.length < 3 || params.length > 4 ||
+      (options.concurrency !== undefined && !(options.concurrency > 0))) {
+    console.error(usage);
+    process.exit(1);
+  }
+
+  // Load Entity class from module
+  var target  = params[1].split(':');
+  var Entity  = require(path.resolve(target[0]));
+  if (target[1]) {
+    Entity = Entity[target[1]];
+  }
+  if (!Entity || !(Entity.importFrom instanceof Function)) {
+    console.error("Module doesn't export an Entity class: " + params[1]);
+    process.exit(1);
+  }
+
+  // Setup Entity class for table
+  var Table = Entity.setup({
+    table:        params[2],
+    credentials: {
+      accountName:  process.env.AZURE_ACCOUNT_NAME,
+      accountKey:   process.env.AZURE_ACCOUNT_KEY
+    },
+    context:      JSON.parse(process.env.ENTITY_CONTEXT || '{}')
+  });
+
+  var done = null;
+  if (command === 'export') {
+    done = exportEntities(Table, params[3]).then(function(status) {
+      console.error("Exported %d entities", status.exported);
+    });
+  } else {
+    done = importEntities(Table, params[3], options).then(function(status) {
+      console.error("Imported %d entities, skipped %d",
+                    status.imported, status.skipped);
+    });
+  }
+
+  done.then(function() {
+    process.exit(0);
+  }, function(err) {
+    console.error("Failed to %s entities:", command);
+    if (err.line !== undefined) {
+      console.error("Error at line %d:", err.line);
+    }
+    console.error(err.stack || err);
+    process.exit(1);
+  });
+};
+
+// Run command-line utility, if not required as a module
+if (require.main === module) {
+  main(process.argv.slice(2));
+}
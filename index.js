@@ -11,6 +11,7 @@ _.forIn({
   Entity:         './lib/entity',
   LegacyEntity:   './lib/legacyentity',
   AzureAgent:     './lib/azureagent',
+  Lease:          './lib/lease',
   Exchanges:      './exchanges',
   testing:        './testing',
   stats:          './lib/stats',
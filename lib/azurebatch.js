@@ -0,0 +1,375 @@
+"use strict";
+
+var assert          = require('assert');
+var Promise         = require('promise');
+var slugid          = require('slugid');
+var debug           = require('debug')('base:entity:azurebatch');
+var utils           = require('fast-azure-storage/lib/utils');
+
+/******************** fast-azure-storage Internals ********************/
+
+// fast-azure-storage doesn't support entity group transactions, so batches are
+// submitted with the request signing of `azure.Table` and the request and
+// retry logic in `fast-azure-storage/lib/utils`, neither of which are public.
+// All use of these internals is confined to this section, and checked by
+// `checkClient`, so an incompatible release of fast-azure-storage fails with
+// an error explaining the problem, rather than submitting malformed batches.
+// test/entity/batch_test.js submits a batch with an `azure.Table` instance to
+// detect such releases.
+
+/**
+ * Check that `client` and `utils` have the internals of `azure.Table` and
+ * `fast-azure-storage/lib/utils` used to submit batches.
+ */
+var checkClient = function(client) {
+  var message = "submitBatch: incompatible version of fast-azure-storage, " +
+                "internals used for batches are missing: ";
+  assert(utils.request instanceof Function, message + "utils.request");
+  assert(utils.retry instanceof Function, message + "utils.retry");
+  assert(client.authorize instanceof Function, message + "client.authorize");
+  assert(typeof(client.hostname) === 'string', message + "client.hostname");
+  assert(typeof(client.timeout) === 'number', message + "client.timeout");
+  assert(client.options && typeof(client.options.version) === 'string' &&
+         client.options.transientErrorCodes instanceof Array,
+         message + "client.options");
+};
+
+/** Base URL for requests with `client` */
+var clientBaseUrl = function(client) {
+  return 'https://' + client.hostname;
+};
+
+/**
+ * Sign a POST request to `/$batch` with `headers` using `client`, returns a
+ * promise for options for `sendRequest`.
+ */
+var authorizeBatch = function(client, headers) {
+  headers['x-ms-version']           = client.options.version;
+  headers['dataserviceversion']     = client.options.dataServiceVersion;
+  headers['x-ms-client-request-id'] = client.options.clientId;
+  var query = {timeout: client.timeout};
+  return client.authorize('POST', '/$batch', query, headers);
+};
+
+/**
+ * Send `payload` with request `options` from `authorizeBatch`, retrying errors
+ * thrown by `check(res)` using the retry policy of `client`, if transient.
+ * Returns a promise for the response with `payload` property.
+ */
+var sendRequest = function(client, options, payload, check) {
+  return utils.retry(function(retry) {
+    debug("Submitting batch, retry: %s", retry);
+    return utils.request(options, payload).then(function(res) {
+      check(res);
+      return res;
+    });
+  }, client.options);
+};
+
+/******************** Entity Group Transactions ********************/
+
+/** Max number of operations in an entity group transaction */
+var MAX_BATCH_OPERATIONS = 100;
+
+/** Max payload size of an entity group transaction */
+var MAX_BATCH_PAYLOAD_SIZE = 4 * 1024 * 1024;
+
+/** Line ending in multipart messages */
+var CRLF = '\r\n';
+
+/**
+ * Validate a list of batch operations, each operation must take the form:
+ * ```js
+ * {
+ *   method:        'insertEntity' || 'updateEntity' || 'deleteEntity',
+ *   entity:        {...},    // Entity (insertEntity and updateEntity)
+ *   partitionKey:  '...',    // Partition key (deleteEntity)
+ *   rowKey:        '...',    // Row key (deleteEntity)
+ *   options:       {...}     // Options (updateEntity and deleteEntity)
+ * }
+ * ```
+ * Where `options` is given as to `azure.Table.updateEntity` and
+ * `azure.Table.deleteEntity`, respectively.
+ *
+ * All operations must be for the same partition key, and a row key can at
+ * most be referenced once in a batch. This is shared between `submitBatch`
+ * and `InMemoryTable.prototype.submitBatch`.
+ */
+var validateOperations = function(operations) {
+  assert(operations instanceof Array, "operations must be an array");
+  assert(operations.length > 0, "operations must contain at least one entry");
+  assert(operations.length <= MAX_BATCH_OPERATIONS,
+         "A batch can contain at most " + MAX_BATCH_OPERATIONS + " operations");
+  var partitionKey  = undefined;
+  var rowKeys       = [];
+  operations.forEach(function(op) {
+    var pk, rk;
+    if (op.method === 'insertEntity' || op.method === 'updateEntity') {
+      assert(op.entity, "operation " + op.method + " requires an entity");
+      pk = op.entity.PartitionKey;
+      rk = op.entity.RowKey;
+    } else if (op.method === 'deleteEntity') {
+      pk = op.partitionKey;
+      rk = op.rowKey;
+    } else {
+      throw new Error("Unsupported batch operation: " + op.method);
+    }
+    if (op.method !== 'insertEntity') {
+      assert(op.options, "operation " + op.method + " requires options");
+    }
+    assert(typeof(pk) === 'string', "PartitionKey must be a string");
+    assert(typeof(rk) === 'string', "RowKey must be a string");
+    if (partitionKey === undefined) {
+      partitionKey = pk;
+    }
+    assert(partitionKey === pk,
+           "All operations in a batch must have the same PartitionKey");
+    assert(rowKeys.indexOf(rk) === -1,
+           "A RowKey can only be referenced once in a batch");
+    rowKeys.push(rk);
+  });
+};
+
+exports.validateOperations    = validateOperations;
+exports.MAX_BATCH_OPERATIONS  = MAX_BATCH_OPERATIONS;
+
+/** Construct the entity path as used in requests */
+var buildEntityPath = function(table, partitionKey, rowKey) {
+  var pk = encodeURIComponent(partitionKey.replace(/'/g, "''"));
+  var rk = encodeURIComponent(rowKey.replace(/'/g, "''"));
+  return '/' + table + '(PartitionKey=\'' + pk + '\',RowKey=\'' + rk + '\')';
+};
+
+/** Render operation as an HTTP request for inclusion in a changeset */
+var renderOperation = function(client, table, op) {
+  var baseUrl = clientBaseUrl(client);
+  var method, path, eTag, body;
+  if (op.method === 'insertEntity') {
+    method  = 'POST';
+    path    = '/' + table;
+    body    = JSON.stringify(op.entity);
+  } else if (op.method === 'updateEntity') {
+    if (op.options.mode === 'replace') {
+      method = 'PUT';
+    } else if (op.options.mode === 'merge') {
+      method = 'MERGE';
+    } else {
+      throw new Error("`options.mode` must be 'replace' or 'merge'");
+    }
+    path    = buildEntityPath(table, op.entity.PartitionKey, op.entity.RowKey);
+    eTag    = op.options.eTag;
+    body    = JSON.stringify(op.entity);
+  } else {
+    assert(op.options.eTag, "`options.eTag` must be given");
+    method  = 'DELETE';
+    path    = buildEntityPath(table, op.partitionKey, op.rowKey);
+    eTag    = op.options.eTag;
+  }
+  var lines = [
+    'Content-Type: application/http',
+    'Content-Transfer-Encoding: binary',
+    '',
+    method + ' ' + baseUrl + path + ' HTTP/1.1',
+    'Accept: application/json;odata=minimalmetadata',
+    'DataServiceVersion: 3.0;'
+  ];
+  if (eTag) {
+    lines.push('If-Match: ' + eTag);
+  }
+  if (body !== undefined) {
+    lines.push('Content-Type: application/json');
+    lines.push('Prefer: return-no-content');
+    lines.push('Content-Length: ' + Buffer.byteLength(body, 'utf8'));
+    lines.push('');
+    lines.push(body);
+  } else {
+    lines.push('');
+  }
+  return lines.join(CRLF);
+};
+
+/**
+ * Parse multipart response from an entity group transaction, returns a list
+ * of responses on the form `{statusCode: 204, headers: {...}, body: '...'}`.
+ */
+var parseResponses = function(payload) {
+  var responses = [];
+  // Split into parts at boundaries, we don't care about the nesting as each
+  // nested part is either a changeset or a response
+  payload.split(/^--.*$/m).forEach(function(part) {
+    var match = /^HTTP\/1\.1 (\d{3})[^\r\n]*\r?\n/m.exec(part);
+    if (!match) {
+      return;
+    }
+    var rest    = part.substr(match.index + match[0].length);
+    var split   = rest.search(/\r?\n\r?\n/);
+    var head    = split === -1 ? rest : rest.substr(0, split);
+    var body    = split === -1 ? '' : rest.substr(split).trim();
+    var headers = {};
+    head.split(/\r?\n/).forEach(function(line) {
+      var index = line.indexOf(':');
+      if (index !== -1) {
+        headers[line.substr(0, index).trim().toLowerCase()] =
+          line.substr(index + 1).trim();
+      }
+    });
+    responses.push({
+      statusCode: parseInt(match[1], 10),
+      headers:    headers,
+      body:       body
+    });
+  });
+  return responses;
+};
+
+/** Construct an error similar to errors from `fast-azure-storage` */
+var createError = function(response) {
+  var code    = 'InternalErrorWithoutCode';
+  var message = null;
+  try {
+    var details = JSON.parse(response.body)['odata.error'];
+    code    = details.code;
+    message = details.message.value || details.message;
+  }
+  catch (e) {
+    // Ignore parse and extraction errors
+  }
+  if (!message) {
+    message = "No error message given, in payload '" + response.body + "'";
+  }
+  var err         = new Error(message);
+  err.name        = code + 'Error';
+  err.code        = code;
+  err.statusCode  = response.statusCode;
+  err.payload     = response.body;
+  // Azure prefixes the message with the index of the failed operation
+  var index = /^(\d+):/.exec(message);
+  if (index) {
+    err.index = parseInt(index[1], 10);
+  }
+  return err;
+};
+
+/**
+ * Error codes from a batch submitted again after a 5xx response, which may be
+ * caused by the first attempt having been applied, see `isIdempotent`.
+ */
+var REPLAY_ERROR_CODES = ['EntityAlreadyExists', 'UpdateConditionNotSatisfied'];
+
+/**
+ * True, if `operations` can safely be submitted again after a 5xx response,
+ * which doesn't tell if the batch was applied. This is the case if all
+ * operations are inserts or conditioned on a specific eTag, as a batch that was
+ * applied can't be applied again, but fails with one of `REPLAY_ERROR_CODES`.
+ */
+var isIdempotent = function(operations) {
+  return operations.every(function(op) {
+    if (op.method === 'insertEntity') {
+      return true;
+    }
+    return typeof(op.options.eTag) === 'string' && op.options.eTag !== '*';
+  });
+};
+
+/**
+ * Submit `operations` as an entity group transaction on `table` using the
+ * `azure.Table` instance `client`. See `validateOperations` for the format of
+ * operations.
+ *
+ * Either all operations succeed or none of them are applied. Returns a promise
+ * for a list of eTags in the order of `operations` (`undefined` for
+ * `deleteEntity` operations). If an operation fails, the error thrown will
+ * have the same properties as errors from `fast-azure-storage`, in addition
+ * to `err.index` which is the index of the failed operation, if known.
+ *
+ * Transient errors are retried using the retry policy of `client`. However, a
+ * 5xx response is only retried if all operations are inserts or conditioned on
+ * an eTag, as it is otherwise unknown if the batch was applied. If a retry
+ * fails with `EntityAlreadyExists` or `UpdateConditionNotSatisfied`, the first
+ * attempt may have been applied, so the 5xx error is thrown instead, as it's
+ * still unknown if the batch was applied.
+ */
+var submitBatch = function(client, table, operations) {
+  var payload = null;
+  var unclear = null;   // Last 5xx error, if the batch was retried
+
+  // Throw `err`, or the 5xx error, if `err` may be caused by a retry
+  var fail = function(err) {
+    if (unclear && REPLAY_ERROR_CODES.indexOf(err.code) !== -1) {
+      debug("Batch failed with %s after 5xx error, it may have been applied",
+            err.code);
+      throw unclear;
+    }
+    throw err;
+  };
+  return Promise.resolve().then(function() {
+    checkClient(client);
+    validateOperations(operations);
+
+    // Construct multipart payload
+    var batchBoundary     = 'batch_' + slugid.v4();
+    var changesetBoundary = 'changeset_' + slugid.v4();
+    payload = [
+      '--' + batchBoundary,
+      'Content-Type: multipart/mixed; boundary=' + changesetBoundary,
+      ''
+    ];
+    operations.forEach(function(op) {
+      payload.push('--' + changesetBoundary);
+      payload.push(renderOperation(client, table, op));
+    });
+    payload.push('--' + changesetBoundary + '--');
+    payload.push('--' + batchBoundary + '--');
+    payload = payload.join(CRLF) + CRLF;
+
+    var size = Buffer.byteLength(payload, 'utf8');
+    assert(size <= MAX_BATCH_PAYLOAD_SIZE, "Batch payload is too large");
+
+    // Construct request
+    return authorizeBatch(client, {
+      'x-ms-date':              new Date().toUTCString(),
+      'maxdataserviceversion':  '3.0;NetFx',
+      'content-type':           'multipart/mixed; boundary=' + batchBoundary,
+      'content-length':         size
+    });
+  }).then(function(options) {
+    debug("Submitting batch of %s operations", operations.length);
+    var retryable = isIdempotent(operations);
+    return sendRequest(client, options, payload, function(res) {
+      // Throw 5xx errors for the retry policy, if it's safe to retry
+      if (res.statusCode >= 500 && retryable) {
+        unclear = createError({
+          statusCode: res.statusCode,
+          body:       res.payload
+        });
+        throw unclear;
+      }
+    });
+  }).then(function(res) {
+    // If the batch itself failed, we construct an error from the payload
+    if (res.statusCode !== 202) {
+      fail(createError({
+        statusCode: res.statusCode,
+        body:       res.payload
+      }));
+    }
+
+    // Find responses for operations, if any of them failed the entire batch
+    // failed, and we have only one response
+    var responses = parseResponses(res.payload);
+    responses.forEach(function(response) {
+      if (response.statusCode < 200 || 300 <= response.statusCode) {
+        fail(createError(response));
+      }
+    });
+    if (responses.length !== operations.length) {
+      throw new Error("submitBatch: Expected " + operations.length +
+                      " responses, got " + responses.length);
+    }
+    return responses.map(function(response) {
+      return response.headers['etag'];
+    });
+  });
+};
+
+exports.submitBatch = submitBatch;
@@ -1,10 +1,14 @@
 "use strict";
 
 var assert          = require('assert');
+var crypto          = require('crypto');
 var util            = require('util');
+var stream          = require('stream');
+var events          = require('events');
 var slugid          = require('slugid');
 var _               = require('lodash');
 var Promise         = require('promise');
+var LRU             = require('lru-cache');
 var debug           = require('debug')('base:entity');
 var azureTable      = require('azure-table-node');
 var azure           = require('fast-azure-storage');
@@ -12,6 +16,9 @@ var taskcluster     = require('taskcluster-client');
 var https           = require('https');
 var series          = require('./series');
 var AzureAgent      = require('./azureagent');
+var InMemoryTable   = require('./inmemorytable');
+var azureBatch      = require('./azurebatch');
+var errors          = require('./entityerrors');
 
 // ** Coding Style **
 // To ease reading of this component we recommend the following code guidelines:
@@ -71,20 +78,45 @@ var RESERVED_PROPERTY_NAMES = [
 ];
 
 /**
- * Max number of modify attempts to make when experiencing collisions with
- * optimistic concurrency.
+ * Default policy for retrying modify when experiencing collisions with
+ * optimistic concurrency, see `Entity.prototype.modify`.
  */
-var MAX_MODIFY_ATTEMPTS     = 10;
+var DEFAULT_RETRY_POLICY    = {
+  attempts:       10,         // Max number of attempts
+  delay:          0,          // Delay before first retry in ms
+  maxDelay:       30 * 1000,  // Max delay between retries in ms
+  jitter:         0.25,       // Fraction of delay to randomize
+  deadline:       null        // Max time spent in ms, null for no deadline
+};
 
 /** Timeout for azure table requests */
 var AZURE_TABLE_TIMEOUT     = 7 * 1000;
 
+/**
+ * Default number of entities processed in parallel in background operations,
+ * such as Entity.expire and Entity.repairIndexes.
+ */
+var BACKGROUND_CONCURRENCY  = 10;
+
+// Operations that can have before hooks, see Entity.before
+var HOOK_OPERATIONS         = ['create', 'modify', 'remove'];
+
+/** RowKey of reservation entities for unique constraints */
+var UNIQUE_ROW_KEY          = 'reservation';
+
+/**
+ * Time in ms before a reservation for a unique constraint, whose target entity
+ * doesn't have the reserved values, may be taken over by another entity. This
+ * gives time to create or modify the target entity after reserving values.
+ */
+var UNIQUE_RESERVATION_TIMEOUT = 10 * 60 * 1000;
+
 /**
  * Base class of all entity
  *
  * This constructor will wrap a raw azure-table-node entity.
  */
-var Entity = function(entity) {
+var Entity = function(entity, select) {
   assert(entity.PartitionKey,   "entity is missing 'PartitionKey'");
   assert(entity.RowKey,         "entity is missing 'RowKey'");
   assert(entity['odata.etag'],  "entity is missing 'odata.etag'");
@@ -93,8 +125,25 @@ var Entity = function(entity) {
   this._partitionKey  = entity.PartitionKey;
   this._rowKey        = entity.RowKey;
   this._version       = entity.Version;
-  this._properties    = this.__deserialize(entity);
   this._etag          = entity['odata.etag'];
+
+  // If given a list of properties to select, we only deserialize these, see
+  // selectProperties
+  if (select) {
+    assert(entity.Version === this.__version,
+           "Partial entities must have the current schema version");
+    var self = this;
+    this._properties  = {};
+    select.forEach(function(property) {
+      var type = self.__mapping[property];
+      self._properties[property] = type.deserialize(entity, self);
+    });
+    this._outdated    = false;
+    this._partial     = true;
+  } else {
+    this._properties  = this.__deserialize(entity);
+    this._outdated    = this.__isOutdated(entity);
+  }
 };
 
 // Built-in type handlers
@@ -106,6 +155,18 @@ Entity.keys   = require('./entitykeys');
 // Built-in operator definitions
 Entity.op     = require('./entityops');
 
+// In-memory table client for use with Entity.setup in tests
+Entity.InMemoryTable = InMemoryTable;
+
+/**
+ * Error classes, operations fail with `Entity.errors.NotFound`, `AlreadyExists`
+ * and `Conflict`, when azure responds with `ResourceNotFound`,
+ * `EntityAlreadyExists` and `UpdateConditionNotSatisfied`, respectively. These
+ * have `table`, `partitionKey` and `rowKey` identifying the entity, as well as
+ * `code` from azure. See `lib/entityerrors.js` for details.
+ */
+Entity.errors = errors;
+
 // Define properties set in the first configure call only
 Entity.prototype.__partitionKeyDefinition     = undefined;
 Entity.prototype.__rowKeyDefinition           = undefined;
@@ -115,8 +176,13 @@ Entity.prototype.__lockedPropertiesDefinition = undefined;
 Entity.prototype.__context      = undefined;  // List of required context keys
 Entity.prototype.__deserialize  = undefined;  // Method to deserialize entities
 Entity.prototype.__serialize    = undefined;  // Method to serialize entities
+Entity.prototype.__isOutdated   = undefined;  // Method to check for outdated
 Entity.prototype.__mapping      = undefined;  // Schema mapping to types
 Entity.prototype.__version      = 0;          // Schema version
+Entity.prototype.__expires      = undefined;  // Property with expiration
+Entity.prototype.__hideExpired  = false;      // Hide expired in Entity.load
+Entity.prototype.__indexes      = undefined;  // Secondary index key builders
+Entity.prototype.__unique       = undefined;  // Unique constraint key builders
 Entity.prototype.__partitionKey = undefined;  // PartitionKey builder
 Entity.prototype.__rowKey       = undefined;  // RowKey builder
 
@@ -124,6 +190,21 @@ Entity.prototype.__rowKey       = undefined;  // RowKey builder
 Entity.prototype.__client       = undefined;  // Azure table client
 Entity.prototype.__aux          = undefined;  // Azure table client wrapper
 Entity.prototype.__table        = undefined;  // Azure table name
+Entity.prototype.__indexAux     = undefined;  // Index table client wrapper
+Entity.prototype.__indexTable   = undefined;  // Azure table name for indexes
+Entity.prototype.__uniqueAux    = undefined;  // Unique table client wrapper
+Entity.prototype.__uniqueTable  = undefined;  // Azure table name for unique
+Entity.prototype.__retryPolicy  = undefined;  // Retry policy for modify
+Entity.prototype.__report       = undefined;  // Report to statistics drain
+Entity.prototype.__events       = undefined;  // EventEmitter for changes
+Entity.prototype.__hooks        = undefined;  // Before hooks by operation
+Entity.prototype.__cache        = undefined;  // Cache for Entity.load
+Entity.prototype.__cacheStats   = undefined;  // Statistics for the cache
+Entity.prototype.__reportCache  = undefined;  // Report cache lookups to drain
+Entity.prototype.__contextCache = undefined;  // Values derived from context
+
+// Check constraints in __serialize, false in contexts used by Entity.exportTo
+Entity.prototype.__checkConstraints = true;
 
 // Define properties set in constructor
 Entity.prototype._properties    = undefined;  // Deserialized shadow object
@@ -131,6 +212,8 @@ Entity.prototype._partitionKey  = undefined;  // Entity partition key
 Entity.prototype._rowKey        = undefined;  // Entity row key
 Entity.prototype._version       = undefined;  // Schema version of remote entity
 Entity.prototype._etag          = undefined;  // Etag of remote entity
+Entity.prototype._outdated      = undefined;  // Must be serialized on modify
+Entity.prototype._partial       = false;      // Only has selected properties
 
 /**
  * Create a promise handler that will pass arguments + err to debug()
@@ -156,6 +239,392 @@ var wrapEntityClass = function(Class) {
   };
 };
 
+/**
+ * Find properties to load given list of property names `select`, or
+ * `undefined` if all properties should be loaded. Besides properties in
+ * `select` this includes properties covered by keys, indexes, unique
+ * constraints and `expires`, as these are needed to remove entities.
+ */
+var selectProperties = function(ClassProps, select) {
+  if (select === undefined) {
+    return undefined;
+  }
+  assert(select instanceof Array, "select must be an array of properties");
+  select.forEach(function(property) {
+    if (!ClassProps.__mapping[property]) {
+      throw new Error("Property: '" + property +
+                      "' used in select is not defined!");
+    }
+  });
+  var properties = _.union(
+    ClassProps.__partitionKey.covers,
+    ClassProps.__rowKey.covers,
+    ClassProps.__expires ? [ClassProps.__expires] : []
+  );
+  _.forIn(ClassProps.__indexes, function(key) {
+    properties = _.union(properties, key.covers);
+  });
+  _.forIn(ClassProps.__unique, function(key) {
+    properties = _.union(properties, key.covers);
+  });
+  return _.union(properties, select);
+};
+
+/**
+ * Find columns for `$select`, given `properties` from `selectProperties`,
+ * returns `undefined` if all columns should be loaded.
+ */
+var selectColumns = function(ClassProps, properties) {
+  if (properties === undefined) {
+    return undefined;
+  }
+  return _.union(['PartitionKey', 'RowKey', 'Version'], _.flatten(
+    properties.map(function(property) {
+      return ClassProps.__mapping[property].columns();
+    })
+  ));
+};
+
+/**
+ * Create a promise handler that will wrap the resulting entity in `Class`, as
+ * a partial entity with `properties` from `selectProperties`, if given.
+ * Entities with an older schema version are loaded in full, so they can be
+ * migrated. If such an entity have been removed, the handler returns `null`.
+ */
+var wrapPartialEntityClass = function(Class, properties) {
+  var ClassProps = Class.prototype;
+  return function(entity) {
+    if (properties === undefined) {
+      return new Class(entity);
+    }
+    if (entity.Version !== ClassProps.__version) {
+      return ClassProps.__aux.getEntity(
+        entity.PartitionKey,
+        entity.RowKey
+      ).then(wrapEntityClass(Class), function(err) {
+        if (!err || err.code !== 'ResourceNotFound') {
+          throw err;
+        }
+        return null;
+      });
+    }
+    return new Class(entity, properties);
+  };
+};
+
+/**
+ * Create a retry policy from `policy` with defaults from `defaults`, or
+ * `DEFAULT_RETRY_POLICY`, see `Entity.prototype.modify` for details.
+ */
+var createRetryPolicy = function(policy, defaults) {
+  policy = _.defaults({}, policy, defaults || DEFAULT_RETRY_POLICY);
+  assert(typeof(policy.attempts) === 'number' && policy.attempts >= 1,
+         "retryPolicy.attempts must be a number >= 1");
+  assert(typeof(policy.delay) === 'number' && policy.delay >= 0,
+         "retryPolicy.delay must be a non-negative number");
+  assert(typeof(policy.maxDelay) === 'number' && policy.maxDelay >= 0,
+         "retryPolicy.maxDelay must be a non-negative number");
+  assert(typeof(policy.jitter) === 'number' &&
+         policy.jitter >= 0 && policy.jitter <= 1,
+         "retryPolicy.jitter must be a number between 0 and 1");
+  assert(policy.deadline === null || typeof(policy.deadline) === 'number',
+         "retryPolicy.deadline must be a number or null");
+  return policy;
+};
+
+/**
+ * Delay in ms before retry number `retry` (starting from 1) with `policy`,
+ * delays are doubled for each retry, and randomized by `jitter`.
+ */
+var retryDelay = function(policy, retry) {
+  var delay = Math.min(policy.delay * Math.pow(2, retry - 1), policy.maxDelay);
+  return delay * (1 - policy.jitter * Math.random());
+};
+
+/** Check if item has expired at `now`, see `expires` in `Entity.configure` */
+var isExpired = function(item, now) {
+  var expires = item._properties[item.__expires];
+  return expires instanceof Date && expires.getTime() < now.getTime();
+};
+
+/**
+ * Call `fn` for each element in `items` with at most `concurrency` calls
+ * running in parallel. Returns a promise that all calls have finished.
+ */
+var forEachLimit = function(items, concurrency, fn) {
+  var next = 0;
+  var worker = function() {
+    if (next >= items.length) {
+      return;
+    }
+    var item = items[next++];
+    return Promise.resolve().then(function() {
+      return fn(item);
+    }).then(worker);
+  };
+  return Promise.all(_.range(Math.min(concurrency, items.length)).map(worker));
+};
+
+/**
+ * Call before hooks for `operation` with `args` one at the time, returns a
+ * promise that is rejected if a hook vetoes the operation, see Entity.before.
+ */
+var runHooks = function(ClassProps, operation, args) {
+  return ClassProps.__hooks[operation].reduce(function(done, hook) {
+    return done.then(function() {
+      return hook.apply(null, args);
+    });
+  }, Promise.resolve());
+};
+
+/**
+ * Emit `event` with `args` to listeners on `Entity.events`, the operation
+ * has already succeeded, so errors from listeners are only logged.
+ */
+var emitEvent = function(ClassProps, event, args) {
+  try {
+    ClassProps.__events.emit.apply(ClassProps.__events, [event].concat(args));
+  } catch (err) {
+    debug("Listener for '%s' failed, err: %s, %j", event, err, err, err.stack);
+  }
+};
+
+/** Check if `item` have hooks for `operation` or listeners for `event` */
+var isObserved = function(item, operation, event) {
+  return item.__hooks[operation].length > 0 ||
+         item.__events.listeners(event).length > 0;
+};
+
+/** Key for entity in the cache for `Entity.load`, see `Entity.setup` */
+var cacheKey = function(partitionKey, rowKey) {
+  return JSON.stringify([partitionKey, rowKey]);
+};
+
+/**
+ * Remove entity from the cache for `Entity.load`, if enabled. This must be
+ * called when entities are created, modified or removed by this process.
+ */
+var invalidateCache = function(ClassProps, partitionKey, rowKey) {
+  if (ClassProps.__cache) {
+    ClassProps.__cache.del(cacheKey(partitionKey, rowKey));
+    ClassProps.__cacheStats.invalidations += 1;
+  }
+};
+
+/** Clone properties of `item`, using `type.clone` for each property */
+var cloneProperties = function(item) {
+  var properties = {};
+  _.forIn(item.__mapping, function(type, property) {
+    properties[property] = type.clone(item._properties[property]);
+  });
+  return properties;
+};
+
+/**
+ * Get keys for `properties` from an object mapping names to key builders,
+ * returns an object mapping from name to PartitionKey in a companion table.
+ * Keys where a property covered by the key is `null` or `undefined` are
+ * omitted.
+ */
+var companionKeys = function(builders, properties) {
+  var keys = {};
+  _.forIn(builders, function(builder, name) {
+    var missing = builder.covers.some(function(property) {
+      return properties[property] === undefined ||
+             properties[property] === null;
+    });
+    if (!missing) {
+      keys[name] = name + '~' + builder.exact(properties);
+    }
+  });
+  return keys;
+};
+
+/** Get index keys for `properties`, see `companionKeys` */
+var indexKeys = function(ClassProps, properties) {
+  return companionKeys(ClassProps.__indexes, properties);
+};
+
+/** Find index keys from `keys1` that aren't in `keys2` */
+var indexKeysDifference = function(keys1, keys2) {
+  return _.omit(keys1, function(key, name) {
+    return keys2[name] === key;
+  });
+};
+
+/** Construct RowKey in the index table for an entity */
+var indexRowKey = function(partitionKey, rowKey) {
+  return crypto.createHash('sha256')
+               .update(JSON.stringify([partitionKey, rowKey]), 'utf8')
+               .digest('hex');
+};
+
+/** Create index entities with `keys` for an entity */
+var createIndexEntities = function(ClassProps, keys, partitionKey, rowKey) {
+  return Promise.all(_.values(keys).map(function(key) {
+    return ClassProps.__indexAux.updateEntity({
+      PartitionKey:         key,
+      RowKey:               indexRowKey(partitionKey, rowKey),
+      TargetPartitionKey:   partitionKey,
+      TargetRowKey:         rowKey
+    }, {
+      mode:                 'replace',
+      eTag:                 null
+    });
+  })).then(function() {});
+};
+
+/** Remove index entities with `keys` for an entity, if they exist */
+var removeIndexEntities = function(ClassProps, keys, partitionKey, rowKey) {
+  return Promise.all(_.values(keys).map(function(key) {
+    return ClassProps.__indexAux.deleteEntity(
+      key,
+      indexRowKey(partitionKey, rowKey),
+      {eTag: '*'}
+    ).catch(function(err) {
+      if (!err || err.code !== 'ResourceNotFound') {
+        throw err;
+      }
+    });
+  })).then(function() {});
+};
+
+/** Get keys for unique constraints for `properties`, see `companionKeys` */
+var uniqueKeys = function(ClassProps, properties) {
+  return companionKeys(ClassProps.__unique, properties);
+};
+
+/**
+ * Reserve unique constraint `key` with `name` for an entity, returns a promise
+ * for `true` if a reservation was created, and `false` if the entity already
+ * held it. If another entity holds the reservation, this fails with
+ * `Entity.errors.UniqueConstraintViolation`, unless the reservation is older
+ * than `UNIQUE_RESERVATION_TIMEOUT` and the other entity doesn't have the
+ * reserved values, in which case the reservation is taken over.
+ */
+var reserveUniqueKey = function(ClassProps, name, key, partitionKey, rowKey) {
+  var aux = ClassProps.__uniqueAux;
+  var reservation = {
+    PartitionKey:         key,
+    RowKey:               UNIQUE_ROW_KEY,
+    TargetPartitionKey:   partitionKey,
+    TargetRowKey:         rowKey
+  };
+  var violation = function() {
+    var properties = ClassProps.__unique[name].covers;
+    return new errors.UniqueConstraintViolation(
+      "An entity with the same value for '" + properties.join("', '") +
+      "' already exists", {
+        table:        ClassProps.__table,
+        partitionKey: partitionKey,
+        rowKey:       rowKey,
+        properties:   properties
+      }
+    );
+  };
+  return aux.insertEntity(reservation).then(function() {
+    return true;
+  }, function(err) {
+    if (!err || err.code !== 'EntityAlreadyExists') {
+      throw err;
+    }
+    return aux.getEntity(key, UNIQUE_ROW_KEY).then(function(existing) {
+      if (existing.TargetPartitionKey === partitionKey &&
+          existing.TargetRowKey === rowKey) {
+        return false;
+      }
+      var age = Date.now() - new Date(existing.Timestamp).getTime();
+      if (age < UNIQUE_RESERVATION_TIMEOUT) {
+        throw violation();
+      }
+      // Check if the target entity still has the reserved values
+      return ClassProps.__aux.getEntity(
+        existing.TargetPartitionKey,
+        existing.TargetRowKey
+      ).then(function(entity) {
+        var properties = ClassProps.__deserialize(entity);
+        return uniqueKeys(ClassProps, properties)[name] === key;
+      }, function(err) {
+        if (!err || err.code !== 'ResourceNotFound') {
+          throw err;
+        }
+        return false;
+      }).then(function(held) {
+        if (held) {
+          throw violation();
+        }
+        debug("Taking over stale reservation: %s", key);
+        return aux.updateEntity(reservation, {
+          mode:   'replace',
+          eTag:   existing['odata.etag']
+        });
+      }).then(function() {
+        return true;
+      }, function(err) {
+        if (err && err.code === 'UpdateConditionNotSatisfied') {
+          throw violation();
+        }
+        throw err;
+      });
+    });
+  });
+};
+
+/**
+ * Reserve unique constraint `keys` for an entity, returns a promise for the
+ * keys that were reserved by this call. If a key can't be reserved, the keys
+ * reserved by this call are released again, see `reserveUniqueKey`.
+ */
+var reserveUniqueKeys = function(ClassProps, keys, partitionKey, rowKey) {
+  var reserved  = {};
+  var error     = null;
+  // Wait for all reservations to settle, so none are left unreleased
+  return Promise.all(_.map(keys, function(key, name) {
+    return reserveUniqueKey(
+      ClassProps, name, key, partitionKey, rowKey
+    ).then(function(created) {
+      if (created) {
+        reserved[name] = key;
+      }
+    }, function(err) {
+      error = error || err;
+    });
+  })).then(function() {
+    if (!error) {
+      return reserved;
+    }
+    return releaseUniqueKeys(
+      ClassProps, reserved, partitionKey, rowKey
+    ).then(function() {
+      throw error;
+    });
+  });
+};
+
+/**
+ * Release unique constraint `keys` held by an entity, reservations held by
+ * other entities are left untouched.
+ */
+var releaseUniqueKeys = function(ClassProps, keys, partitionKey, rowKey) {
+  var aux = ClassProps.__uniqueAux;
+  return Promise.all(_.values(keys).map(function(key) {
+    return aux.getEntity(key, UNIQUE_ROW_KEY).then(function(existing) {
+      if (existing.TargetPartitionKey !== partitionKey ||
+          existing.TargetRowKey !== rowKey) {
+        return;
+      }
+      return aux.deleteEntity(key, UNIQUE_ROW_KEY, {
+        eTag:   existing['odata.etag']
+      });
+    }).catch(function(err) {
+      if (!err || (err.code !== 'ResourceNotFound' &&
+                   err.code !== 'UpdateConditionNotSatisfied')) {
+        throw err;
+      }
+    });
+  })).then(function() {});
+};
+
 /**
  * Configure a subclass of `this` (`Entity` or subclass thereof) with following
  * options:
@@ -168,11 +637,22 @@ var wrapEntityClass = function(Class) {
  *     prop1:           Entity.types.Blob,    // Properties and types
  *     prop2:           Entity.types.String,
  *     prop3:           Entity.types.Number,
- *     prop4:           Entity.types.JSON
+ *     prop4:           Entity.types.JSON,
+ *     prop5:           Entity.types.String({maxLength: 22}), // Constrained
+ *     prop6:           Entity.types.Optional(Entity.types.Date)  // Nullable
  *   },
  *   context: [                               // Required context keys
  *     'prop5'                                // Constant specified in setup()
  *   ],
+ *   expires:           'prop6',              // Date property for expiration
+ *   hideExpired:       false,                // Ignore expired in load()
+ *   indexes: {                               // Secondary indexes
+ *     byProp2:         Entity.keys.StringKey('prop2')
+ *   },
+ *   unique: [                                // Unique constraints
+ *     'prop2',                               // Unique property
+ *     ['prop3', 'prop5']                     // Unique combination
+ *   ],
  *   migrate: function(itemV1) {              // Migration function, if not v1
  *     return // transform item from version 1 to version 2
  *   },
@@ -253,29 +733,86 @@ var wrapEntityClass = function(Class) {
  * abstract definition, and improves testability by removing configuration
  * from global module scope.
  *
+ * Property types `Entity.types.String` and `Entity.types.Number` can be called
+ * with constraints, see `lib/entitytypes.js` for details. Any type can be
+ * made optional with `Entity.types.Optional`, allowing `null` values, and
+ * optional variants of value types are available as `Entity.types.OptionalDate`
+ * etc. Constraints are checked when entities are created or modified.
+ *
+ * Values of type `Entity.types.Schema(schemaId)` are JSON validated against
+ * the JSON schema `schemaId` when entities are created or modified, using the
+ * `validator` context property, which must be declared in `context` and given
+ * in `Entity.setup` as a validator from `base.validator`.
+ *
+ * Values of type `Entity.types.EncodedString` are stored with the encoding used
+ * for string keys, allowing any string to be stored, but such properties can
+ * only be compared for equality in filters.
+ *
  * Notice that it is possible to require custom context properties to be
  * injected with `Entity.setup` using the `context` option. This option takes
  * a list of property names. These property names must then be specified with
  * `Entity.setup({context: {myProp: ...}})`. This is a good way to inject
  * configuration keys and constants for use in Entity instance methods.
+ *
+ * The types `Entity.types.EncryptedBlob`, `EncryptedText` and `EncryptedJSON`
+ * are encrypted using the `cryptoKey` context property, which must be declared
+ * in `context` and given in `Entity.setup` as a base64 encoded 256 bit key.
+ * To rotate keys give a list of keys, where the first key is used for
+ * encryption, and entities encrypted with the other keys are re-encrypted
+ * with the first key when modified. Encrypted properties can't be used in
+ * filters when scanning or querying.
+ *
+ * The `expires` option names a `Date` property at which the entity expires,
+ * expired entities can be deleted with `Entity.expire`. If `hideExpired` is
+ * `true`, `Entity.load` will treat expired entities as if they don't exist.
+ * These options must be given again in each version of the schema.
+ *
+ * The `indexes` option declares secondary indexes, each index is given as a
+ * key, similar to `partitionKey` and `rowKey`. Indexes are stored in a
+ * companion table, see `Entity.setup`, and updated when entities are created,
+ * modified or removed. Use `Entity.queryIndex` to lookup entities by index.
+ * Entities where a property in the index key is `null` aren't indexed. As
+ * the companion table can't be updated atomically with the entity, rows in it
+ * may be stale, these are ignored by `Entity.queryIndex`, and removed by
+ * `Entity.repairIndexes`, which should be used after changing indexes.
+ * Indexes must be given again in each version of the schema.
+ *
+ * The `unique` option declares unique constraints, each given as a property
+ * or a list of properties whose combined values must be unique. Values are
+ * reserved in a companion table, see `Entity.setup`, before entities are
+ * created or modified, and released when entities are modified or removed.
+ * If another entity holds a reservation, `Entity.create` and
+ * `Entity.prototype.modify` fail with `Entity.errors.UniqueConstraintViolation`
+ * which has `code` as `'EntityAlreadyExists'`. Entities where a property in a
+ * constraint is `null` aren't constrained by it. If a process crashes after
+ * reserving values, these are released 10 minutes later, when another entity
+ * attempts to reserve them. Unique constraints must be given again in each
+ * version of the schema, and can't be used with `Entity.batch`.
  */
 Entity.configure = function(options) {
   assert(options,                                 "options must be given");
   assert(typeof(options.version) === 'number',    "version must be a number");
   assert(typeof(options.properties) === 'object', "properties must be given");
   options = _.defaults({}, options, {
-    context:      []
+    context:      [],
+    expires:      undefined,
+    hideExpired:  false,
+    indexes:      {},
+    unique:       []
   });
   assert(options.context instanceof Array,        "context must be an array");
+  assert(options.unique instanceof Array,         "unique must be an array");
+  assert(!options.hideExpired || options.expires,
+         "hideExpired requires expires to be given");
 
   // Identify the parent class, that is always `this` so we can use it on
   // subclasses
   var Parent = this;
 
   // Create a subclass of Parent
-  var subClass = function(entity) {
+  var subClass = function(entity, select) {
     // Always pass down the entity we're initializing from
-    Parent.call(this, entity);
+    Parent.call(this, entity, select);
   };
   util.inherits(subClass, Parent);
 
@@ -326,9 +863,23 @@ Entity.configure = function(options) {
       throw new Error("Type for '" + property + "' does not exist!");
     }
     mapping[property] = new Type(property);
+    // Validate that context required by the type is declared
+    mapping[property].requiredContext.forEach(function(key) {
+      assert(options.context.indexOf(key) !== -1, "Context key '" + key +
+             "' must be declared in options.context, as it is required by " +
+             "the type of property '" + property + "'");
+    });
   });
   subClass.prototype.__mapping = mapping;
 
+  // Validate and store property used for expiration
+  if (options.expires !== undefined) {
+    assert(mapping[options.expires] instanceof Entity.types.Date,
+           "expires must be the name of a property with type Date");
+  }
+  subClass.prototype.__expires      = options.expires;
+  subClass.prototype.__hideExpired  = options.hideExpired;
+
   // If version 1, then we save the partition/row-keys definitions
   if (options.version === 1) {
     assert(options.partitionKey, "partitionKey is required in version 1");
@@ -346,6 +897,35 @@ Entity.configure = function(options) {
   subClass.prototype.__partitionKey = partitionKeyDefinition(mapping);
   subClass.prototype.__rowKey       = rowKeyDefinition(mapping);
 
+  // Construct secondary indexes from definitions
+  var indexes = {};
+  _.forIn(options.indexes, function(definition, name) {
+    assert(/^[a-zA-Z][a-zA-Z0-9]*$/.test(name),
+           "Index name '" + name + "' must be alphanumeric");
+    assert(definition instanceof Function,
+           "Index '" + name + "' must be defined as a key");
+    indexes[name] = definition(mapping);
+  });
+  subClass.prototype.__indexes = indexes;
+
+  // Construct unique constraints, named by the properties they cover
+  var unique = {};
+  options.unique.forEach(function(properties) {
+    if (typeof(properties) === 'string') {
+      properties = [properties];
+    }
+    assert(properties instanceof Array && properties.length > 0,
+           "unique must contain property names or lists of property names");
+    properties.forEach(function(property) {
+      assert(mapping[property], "Property '" + property +
+             "' referenced in unique constraint must be defined");
+    });
+    unique[properties.join(',')] = Entity.keys.HashKey.apply(
+      null, properties
+    )(mapping);
+  });
+  subClass.prototype.__unique = unique;
+
   // Find properties used in partition and row keys, then declared to locked
   // and validate that they are present
   if (options.version === 1) {
@@ -356,6 +936,9 @@ Entity.configure = function(options) {
     propertiesToLock.forEach(function(property) {
       assert(options.properties[property], "Property '" + property +
              "' referenced in partition/row key(s) must be defined");
+      assert(!mapping[property].constraints.optional, "Property '" +
+             property + "' referenced in partition/row key(s) can't be " +
+             "optional");
       lockedProperties[property] = options.properties[property];
     });
     // Store set of locked properties, so that we can validate their type and
@@ -378,9 +961,10 @@ Entity.configure = function(options) {
     // If version is 1, we just assert that an deserialize properties
     subClass.prototype.__deserialize = function(entity) {
       assert(entity.Version === 1, "entity.Version isn't 1");
+      var self = this;
       var properties = {};
       _.forIn(mapping, function(type, property) {
-        properties[property] = type.deserialize(entity);
+        properties[property] = type.deserialize(entity, self);
       });
       return properties;
     };
@@ -397,12 +981,13 @@ Entity.configure = function(options) {
              "entity.Version is greater than configured version!");
       // Migrate, if necessary
       if (entity.Version < options.version) {
-        return options.migrate.call(this, deserialize(entity));
+        return options.migrate.call(this, deserialize.call(this, entity));
       }
       // Deserialize properties, if not migrated
+      var self = this;
       var properties = {};
       _.forIn(mapping, function(type, property) {
-        properties[property] = type.deserialize(entity);
+        properties[property] = type.deserialize(entity, self);
       });
       return properties;
     };
@@ -411,19 +996,36 @@ Entity.configure = function(options) {
   // Set version
   subClass.prototype.__version = options.version;
 
-  // define __serialize
-  subClass.prototype.__serialize = function(properties) {
+  // define __serialize, constraints aren't checked if `unchecked` is true
+  subClass.prototype.__serialize = function(properties, unchecked) {
+    var self = this;
+    if (unchecked) {
+      self = Object.create(this);
+      self.__checkConstraints = false;
+    }
     var entity = {
       PartitionKey: subClass.prototype.__partitionKey.exact(properties),
       RowKey:       subClass.prototype.__rowKey.exact(properties),
       Version:      subClass.prototype.__version
     };
     _.forIn(mapping, function(type, property) {
-      type.serialize(entity, properties[property]);
+      type.serialize(entity, properties[property], self);
     });
     return entity;
   };
 
+  // define __isOutdated, entities with old schema version will be migrated
+  // anyways, so we only check entities with the current version
+  subClass.prototype.__isOutdated = function(entity) {
+    var self = this;
+    if (entity.Version !== subClass.prototype.__version) {
+      return false;
+    }
+    return _.some(mapping, function(type) {
+      return type.isOutdated(entity, self);
+    });
+  };
+
   // Return subClass
   return subClass;
 };
@@ -447,6 +1049,9 @@ Entity.configure = function(options) {
  *   component:         '<name>',           // Component in stats (if drain)
  *   process:           'server',           // Process in stats (if drain)
  *   context:           {...}               // Extend prototype (optional)
+ *   indexTable:        "AzureTableName",   // Table for indexes (optional)
+ *   uniqueTable:       "AzureTableName",   // Table for unique (optional)
+ *   retryPolicy:       {...}               // Retry policy for modify
  * }
  *
  * Using the `options` format provided above a shared-access-signature will be
@@ -467,6 +1072,36 @@ Entity.configure = function(options) {
  *   },
  * }
  *
+ * For testing without Azure credentials or network access, you can specify
+ * an in-memory table client instead of credentials:
+ * {
+ *   table:             "AzureTableName",   // Table name
+ *   client:            new Entity.InMemoryTable()  // Table client
+ * }
+ *
+ * The `client` option takes any object implementing the `azure.Table`
+ * interface from `fast-azure-storage`. Entity subclasses setup with the same
+ * `InMemoryTable` instance and table name will share entities.
+ *
+ * The `retryPolicy` option overwrites the default policy for retrying
+ * `Entity.prototype.modify` on conflicts, see `Entity.prototype.modify` for
+ * details. Conflicts are reported to the statistics drain, if given.
+ *
+ * The `cache` option enables an LRU cache for `Entity.load` on the form
+ * `{max: 1000, ttl: 60 * 1000}`, where `max` is the max number of entities
+ * cached and `ttl` is the max age of cached entities in ms. Entities are
+ * removed from the cache when they are created, modified or removed by this
+ * process, but changes from other processes are only seen when the cached
+ * entity expires. Hence, only use it for entities where this is acceptable,
+ * see `Entity.load` for how to limit the age of cached entities. Cache hits
+ * and misses are reported to the statistics drain, if given.
+ *
+ * If indexes are declared in `Entity.configure`, they will be stored in the
+ * table given as `indexTable`, which defaults to `table` suffixed `Indexes`.
+ * This table is created and removed with `ensureTable` and `removeTable`.
+ * Similarly, reservations for unique constraints are stored in the table given
+ * as `uniqueTable`, which defaults to `table` suffixed `Unique`.
+ *
  * In `Entity.configure` the `context` options is a list of property names,
  * these properties **must** be specified in when `Entity.setup` is called.
  * They will be used to extend the subclass prototype. This is typically used
@@ -483,13 +1118,15 @@ Entity.setup = function(options) {
   assert(options,                             "options must be given");
   assert(options.table,                       "options.table must be given");
   assert(typeof(options.table) === 'string',  "options.table isn't a string");
-  assert(options.credentials,                 "credentials is required");
+  assert(options.credentials || options.client,
+         "credentials is required");
   assert(!options.drain || options.component, "component is required if drain");
   assert(!options.drain || options.process,   "process is required if drain");
   options = _.defaults({}, options, {
     context:          {},
     agent:            undefined,
-    minSASAuthExpiry: 15 * 60 * 1000
+    minSASAuthExpiry: 15 * 60 * 1000,
+    retryPolicy:      {}
   });
 
   // Identify the parent class, that is always `this` so we can use it on
@@ -497,9 +1134,9 @@ Entity.setup = function(options) {
   var Parent = this;
 
   // Create a subclass of Parent
-  var subClass = function(entity) {
+  var subClass = function(entity, select) {
     // Always pass down the entity we're initializing from
-    Parent.call(this, entity);
+    Parent.call(this, entity, select);
   };
   util.inherits(subClass, Parent);
 
@@ -549,106 +1186,270 @@ Entity.setup = function(options) {
     subClass.prototype[key] = val;
   });
 
+  // Cache for values derived from context by types, such as parsed keys
+  subClass.prototype.__contextCache = {};
+
   // Set azure table name
   subClass.prototype.__table = options.table;
 
-  // Create an azure table client
-  var client = null;
-  if (options.account) {
-    // If we're setting up to fetch credentials for auth.taskcluster.net
-    assert(typeof(options.account) === 'string',
-           "Expected options.account to be a string, or undefined");
-    // Create auth client to fetch SAS from auth.taskcluster.net
-    var auth = new taskcluster.Auth({
-      credentials:    options.credentials,
-      baseUrl:        options.authBaseUrl
-    });
-    // Create azure table client with logic for fetch SAS
-    client = new azure.Table({
-      timeout:          AZURE_TABLE_TIMEOUT,
-      agent:            options.agent,
-      accountId:        options.account,
-      minSASAuthExpiry: options.minSASAuthExpiry,
-      sas: function() {
-        return auth.azureTableSAS(
-          options.account,
-          options.table
-        ).then(function(result) {
-          return result.sas;
-        });
-      }
-    });
-  } else {
+  // Create an azure table client for table
+  var createClient = function(table) {
+    if (options.client) {
+      // If we're given a table client, then use it (typically InMemoryTable)
+      return options.client;
+    }
+    if (options.account) {
+      // If we're setting up to fetch credentials for auth.taskcluster.net
+      assert(typeof(options.account) === 'string',
+             "Expected options.account to be a string, or undefined");
+      // Create auth client to fetch SAS from auth.taskcluster.net
+      var auth = new taskcluster.Auth({
+        credentials:    options.credentials,
+        baseUrl:        options.authBaseUrl
+      });
+      // Create azure table client with logic for fetch SAS
+      return new azure.Table({
+        timeout:          AZURE_TABLE_TIMEOUT,
+        agent:            options.agent,
+        accountId:        options.account,
+        minSASAuthExpiry: options.minSASAuthExpiry,
+        sas: function() {
+          return auth.azureTableSAS(
+            options.account,
+            table
+          ).then(function(result) {
+            return result.sas;
+          });
+        }
+      });
+    }
     // Create client using credentials already present
     assert(options.credentials.accountName, "Missing accountName");
     assert(options.credentials.accountKey ||
            options.credentials.sas,         "Missing accountKey or sas");
     // Create azure table client with accessKey
-    client = new azure.Table({
+    return new azure.Table({
       timeout:      AZURE_TABLE_TIMEOUT,
       agent:        options.agent,
       accountId:    options.credentials.accountName,
       accessKey:    options.credentials.accountKey,
       sas:          options.credentials.sas
     });
-  }
+  };
 
-  // Store reference to azure table client
-  subClass.prototype.__client = client;
+  // Set retry policy for modify
+  subClass.prototype.__retryPolicy = createRetryPolicy(options.retryPolicy);
 
   // Reporter for statistics
   var reporter = function() {};
   if (options.drain) {
     reporter = series.AzureTableOperations.reporter(options.drain);
   }
+  subClass.prototype.__report = function(point) {
+    reporter(_.defaults({}, point, {
+      component:    options.component,
+      process:      options.process,
+      table:        options.table
+    }));
+  };
 
-  // Create table client wrapper, to record statistics and bind table name
-  subClass.prototype.__aux = {};
-  [
-    'createTable',
-    'deleteTable',
-    'getEntity',
-    'queryEntities',
-    'insertEntity',
-    'updateEntity',
-    'deleteEntity'
-  ].forEach(function(name) {
-    // Bind table name
-    var method = client[name].bind(client, options.table);
-
-    // Record statistics
-    subClass.prototype.__aux[name] = function() {
-      var start = process.hrtime();
-      return method.apply(client, arguments).then(function(result) {
-        var d = process.hrtime(start);
-        reporter({
-          component:    options.component,
-          process:      options.process,
-          duration:     d[0] * 1000 + (d[1] / 1000000),
-          table:        options.table,
-          method:       name,
-          error:        'false'
-        });
-        return result;
-      }, function(err) {
-        var d = process.hrtime(start);
-        reporter({
-          component:    options.component,
-          process:      options.process,
-          duration:     d[0] * 1000 + (d[1] / 1000000),
-          table:        options.table,
-          method:       name,
-          error:        (err ? err.code : null) || 'UnknownError'
+  // Create table client wrapper for table, to record statistics
+  var createAux = function(client, table) {
+    // Bind table name to table client methods
+    var methods = {};
+    [
+      'createTable',
+      'deleteTable',
+      'getEntity',
+      'queryEntities',
+      'insertEntity',
+      'updateEntity',
+      'deleteEntity'
+    ].forEach(function(name) {
+      methods[name] = client[name].bind(client, table);
+    });
+
+    // Entity group transactions aren't supported by azure.Table, so unless the
+    // client implements submitBatch (like InMemoryTable) we use azureBatch
+    if (client.submitBatch instanceof Function) {
+      methods.submitBatch = client.submitBatch.bind(client, table);
+    } else {
+      methods.submitBatch = azureBatch.submitBatch.bind(null, client, table);
+    }
+
+    // Find keys of the entity targeted by a call to method `name` with `args`,
+    // for batches this is the entity targeted by the failed operation
+    var targetKeys = function(name, args, err) {
+      if (name === 'getEntity' || name === 'deleteEntity') {
+        return {partitionKey: args[0], rowKey: args[1]};
+      }
+      var target = {};
+      if (name === 'insertEntity' || name === 'updateEntity') {
+        target = args[0];
+      }
+      if (name === 'submitBatch' && err && args[0][err.index]) {
+        target = args[0][err.index];
+        if (target.entity) {
+          target = target.entity;
+        } else {
+          return {partitionKey: target.partitionKey, rowKey: target.rowKey};
+        }
+      }
+      return {partitionKey: target.PartitionKey, rowKey: target.RowKey};
+    };
+
+    var aux = {};
+    _.forIn(methods, function(method, name) {
+      // Record statistics
+      aux[name] = function() {
+        var args  = arguments;
+        var start = process.hrtime();
+        return method.apply(client, arguments).then(function(result) {
+          var d = process.hrtime(start);
+          reporter({
+            component:    options.component,
+            process:      options.process,
+            duration:     d[0] * 1000 + (d[1] / 1000000),
+            table:        table,
+            method:       name,
+            error:        'false'
+          });
+          return result;
+        }, function(err) {
+          var d = process.hrtime(start);
+          reporter({
+            component:    options.component,
+            process:      options.process,
+            duration:     d[0] * 1000 + (d[1] / 1000000),
+            table:        table,
+            method:       name,
+            error:        (err ? err.code : null) || 'UnknownError'
+          });
+          // Wrap errors in error classes from Entity.errors
+          throw errors.fromAzureError(err, _.assign({
+            table:        table
+          }, targetKeys(name, args, err)));
         });
-        throw err;
+      };
+    });
+    return aux;
+  };
+
+  // Create azure table client and wrapper
+  var client = createClient(options.table);
+  subClass.prototype.__client = client;
+  subClass.prototype.__aux    = createAux(client, options.table);
+
+  // Create client and wrapper for companion table, if we have indexes
+  if (!_.isEmpty(subClass.prototype.__indexes)) {
+    var indexTable = options.indexTable || options.table + 'Indexes';
+    assert(typeof(indexTable) === 'string', "indexTable must be a string");
+    subClass.prototype.__indexTable = indexTable;
+    subClass.prototype.__indexAux   = createAux(
+      createClient(indexTable), indexTable
+    );
+  }
+
+  // Create client and wrapper for reservations, if we have unique constraints
+  if (!_.isEmpty(subClass.prototype.__unique)) {
+    var uniqueTable = options.uniqueTable || options.table + 'Unique';
+    assert(typeof(uniqueTable) === 'string', "uniqueTable must be a string");
+    subClass.prototype.__uniqueTable  = uniqueTable;
+    subClass.prototype.__uniqueAux    = createAux(
+      createClient(uniqueTable), uniqueTable
+    );
+  }
+
+  // Create cache for Entity.load, if enabled
+  if (options.cache) {
+    var cacheOptions = _.defaults({}, options.cache, {
+      max:    1000,
+      ttl:    60 * 1000
+    });
+    assert(typeof(cacheOptions.max) === 'number' && cacheOptions.max > 0,
+           "cache.max must be a positive number");
+    assert(typeof(cacheOptions.ttl) === 'number' && cacheOptions.ttl > 0,
+           "cache.ttl must be a positive number");
+    subClass.prototype.__cache = LRU({
+      max:    cacheOptions.max,
+      maxAge: cacheOptions.ttl
+    });
+    subClass.prototype.__cacheStats = {
+      hits:           0,
+      misses:         0,
+      invalidations:  0
+    };
+    var cacheReporter = function() {};
+    if (options.drain) {
+      cacheReporter = series.EntityCacheLookups.reporter(options.drain);
+    }
+    subClass.prototype.__reportCache = function(hit) {
+      cacheReporter({
+        component:    options.component,
+        process:      options.process,
+        table:        options.table,
+        hit:          hit ? 1 : 0
       });
     };
+  }
+
+  // Create event emitter and hooks, see Entity.before
+  subClass.prototype.__events = subClass.events = new events.EventEmitter();
+  subClass.prototype.__hooks  = {};
+  HOOK_OPERATIONS.forEach(function(operation) {
+    subClass.prototype.__hooks[operation] = [];
   });
 
   // Return subClass
   return subClass;
 };
 
+/**
+ * Register `hook` to be called before `operation`, which is one of `'create'`,
+ * `'modify'` or `'remove'`. Hooks are called one at the time in the order they
+ * were registered, and may return a promise. If a hook throws an error or
+ * returns a promise that is rejected, the operation is vetoed and fails with
+ * the error. Hooks can only be registered after `Entity.setup`.
+ *
+ * Hooks are called with the following arguments:
+ *  - `create`, `(properties)` given to `Entity.create`.
+ *  - `modify`, `(item, before)` where `item` holds the properties after the
+ *    modifier was applied, and `before` the properties before it was applied.
+ *    This is called for each attempt, if the modifier changed anything.
+ *  - `remove`, `(properties, item)` where `item` is `null` and `properties`
+ *    are given to `Entity.remove`, if it didn't load the entity. Otherwise,
+ *    `properties` are from `item`, which is the entity being removed.
+ *
+ * Similarly, the `Entity.events` EventEmitter on classes returned from
+ * `Entity.setup`, emits `created`, `modified` and `removed` events, with the
+ * same arguments as above, after the operation have succeeded. Errors thrown
+ * by listeners are ignored, as the operation have already succeeded.
+ *
+ * Example:
+ * ```js
+ * Entity.before('remove', function(properties, item) {
+ *   if (item && item.locked) {
+ *     throw new Error("Can't remove locked entities");
+ *   }
+ * });
+ * Entity.events.on('modified', function(item, before) {
+ *   cache.invalidate(item.id);
+ * });
+ * ```
+ *
+ * Notice, that hooks and events aren't triggered by `Entity.batch`, and
+ * `Entity.remove` doesn't emit events, if the entity didn't exist.
+ */
+Entity.before = function(operation, hook) {
+  var ClassProps = this.prototype;
+  assert(ClassProps.__hooks, "Must be setup first, see `Entity.setup`");
+  assert(HOOK_OPERATIONS.indexOf(operation) !== -1,
+         "operation must be one of: " + HOOK_OPERATIONS.join(', '));
+  assert(hook instanceof Function, "hook must be a function");
+  ClassProps.__hooks[operation].push(hook);
+  return this;
+};
+
 /**
  * Ensure existence of the underlying Azure Storage Table
  *
@@ -658,9 +1459,22 @@ Entity.ensureTable = function() {
   var Class       = this;
   var ClassProps  = Class.prototype;
 
-  return ClassProps.__aux.createTable().catch(function(err) {
-    if (!err || err.code !== 'TableAlreadyExists') {
-      throw err;
+  // Create table ignoring if it already exists
+  var createTable = function(aux) {
+    return aux.createTable().catch(function(err) {
+      if (!err || err.code !== 'TableAlreadyExists') {
+        throw err;
+      }
+    });
+  };
+
+  return createTable(ClassProps.__aux).then(function() {
+    if (ClassProps.__indexAux) {
+      return createTable(ClassProps.__indexAux);
+    }
+  }).then(function() {
+    if (ClassProps.__uniqueAux) {
+      return createTable(ClassProps.__uniqueAux);
     }
   }).catch(rethrowDebug(
     "ensureTable: Failed to create table '%s' with err: %j",
@@ -677,7 +1491,15 @@ Entity.removeTable = function() {
   var Class       = this;
   var ClassProps  = Class.prototype;
 
-  return ClassProps.__aux.deleteTable().catch(rethrowDebug(
+  return ClassProps.__aux.deleteTable().then(function() {
+    if (ClassProps.__indexAux) {
+      return ClassProps.__indexAux.deleteTable();
+    }
+  }).then(function() {
+    if (ClassProps.__uniqueAux) {
+      return ClassProps.__uniqueAux.deleteTable();
+    }
+  }).catch(rethrowDebug(
     "deleteTable: Failed to delete table '%s' with err: %j",
     ClassProps.__table
   ));
@@ -686,6 +1508,9 @@ Entity.removeTable = function() {
 /**
  * Create an entity on azure table with property and mapping.
  * Returns a promise for an instance of `this` (typically an Entity subclass)
+ *
+ * If `overwriteIfExists` is true, any existing entity with the same keys is
+ * replaced, and values reserved for its unique constraints are released.
  */
 Entity.create = function(properties, overwriteIfExists) {
   var Class       = this;
@@ -695,48 +1520,188 @@ Entity.create = function(properties, overwriteIfExists) {
   // Serialize entity
   var entity = ClassProps.__serialize(properties);
 
-  // Insert with insertEntity or updateEntity with replace null
-  var inserted = null;
-  if (!overwriteIfExists) {
-    inserted = ClassProps.__aux.insertEntity(entity);
-  } else {
-    inserted = ClassProps.__aux.updateEntity(entity, {
-      mode: 'replace',
-      eTag: null
-    });
-  }
+  // Unique keys of the entity overwritten, these are released after creation
+  var staleUniqueKeys = {};
 
-  // Create entity
-  return inserted
-    .catch(rethrowDebug("Failed to insert entity err: %j"))
-    .then(function(etag) {
-      entity['odata.etag'] = etag;
-      return entity;
+  // Call before hooks, these may veto the creation
+  var inserted = runHooks(ClassProps, 'create', [properties]).then(function() {
+    // Find unique keys held by the entity, if it's overwritten
+    if (!overwriteIfExists || _.isEmpty(ClassProps.__unique)) {
+      return;
+    }
+    return ClassProps.__aux.getEntity(
+      entity.PartitionKey,
+      entity.RowKey
+    ).then(function(existing) {
+      staleUniqueKeys = indexKeysDifference(
+        uniqueKeys(ClassProps, ClassProps.__deserialize(existing)),
+        uniqueKeys(ClassProps, properties)
+      );
+    }, function(err) {
+      if (!err || err.code !== 'ResourceNotFound') {
+        throw err;
+      }
+    });
+  }).then(function() {
+    // Reserve values for unique constraints, before creating the entity
+    return reserveUniqueKeys(
+      ClassProps,
+      uniqueKeys(ClassProps, properties),
+      entity.PartitionKey,
+      entity.RowKey
+    );
+  }).then(function(reserved) {
+    // Create index entities first, so the entity can always be found by index
+    return createIndexEntities(
+      ClassProps,
+      indexKeys(ClassProps, properties),
+      entity.PartitionKey,
+      entity.RowKey
+    ).then(function() {
+      // Insert with insertEntity or updateEntity with replace null
+      if (!overwriteIfExists) {
+        return ClassProps.__aux.insertEntity(entity);
+      }
+      return ClassProps.__aux.updateEntity(entity, {
+        mode: 'replace',
+        eTag: null
+      });
+    }).catch(function(err) {
+      // Release values reserved, if the entity wasn't created
+      return releaseUniqueKeys(
+        ClassProps,
+        reserved,
+        entity.PartitionKey,
+        entity.RowKey
+      ).then(function() {
+        throw err;
+      });
+    });
+  });
+
+  // Create entity
+  return inserted
+    .catch(rethrowDebug("Failed to insert entity err: %j"))
+    .then(function(etag) {
+      entity['odata.etag'] = etag;
+      invalidateCache(ClassProps, entity.PartitionKey, entity.RowKey);
+      // Release values for unique keys of the entity overwritten
+      return releaseUniqueKeys(
+        ClassProps,
+        staleUniqueKeys,
+        entity.PartitionKey,
+        entity.RowKey
+      ).then(function() {
+        return entity;
+      });
     })
-    .then(wrapEntityClass(Class));
+    .then(wrapEntityClass(Class))
+    .then(function(item) {
+      emitEvent(ClassProps, 'created', [item]);
+      return item;
+    });
 };
 
 /**
  * Load Entity subclass from azure given PartitionKey and RowKey,
  * This method return a promise for the subclass instance.
  *
- * If `ignoreIfNotExists` is true, this method will return `null` if the entity
- * to be loaded doesn't exist.
+ * Options are given as `options` on the form:
+ * ```js
+ * {
+ *   ignoreIfNotExists:  false,        // Return null, if entity doesn't exist
+ *   select:             undefined,    // List of properties to load
+ *   maxAge:             undefined     // Max age in ms of cached entity
+ * }
+ * ```
+ * For backwards compatibility, `options` may also be given as a boolean,
+ * which is then taken as `ignoreIfNotExists`.
+ *
+ * If `options.ignoreIfNotExists` is true, this method will return `null` if
+ * the entity to be loaded doesn't exist.
+ *
+ * If `hideExpired` was given in `Entity.configure`, expired entities are
+ * treated as if they don't exist, even if `Entity.expire` haven't removed them
+ * yet. In this case the error will have `code` as `'ResourceNotFound'`.
+ *
+ * If `options.select` is given as a list of properties, only these properties
+ * are loaded and the result is a read-only partial entity, as explained in
+ * `Entity.scan`.
+ *
+ * If the `cache` option was given in `Entity.setup`, entities are loaded from
+ * the cache, if present. If `options.maxAge` is given, cached entities at
+ * least `maxAge` ms old are ignored, so `maxAge: 0` always loads the entity
+ * from azure, the cache is still updated with the result.
  */
-Entity.load = function(properties, ignoreIfNotExists) {
+Entity.load = function(properties, options) {
+  if (typeof(options) !== 'object' || options === null) {
+    options = {ignoreIfNotExists: options};
+  }
   properties = properties || {};
   var Class       = this;
   var ClassProps  = Class.prototype;
+  var select      = selectProperties(ClassProps, options.select);
+  assert(options.maxAge === undefined ||
+         typeof(options.maxAge) === 'number', "maxAge must be a number");
 
   // Serialize partitionKey and rowKey
   var partitionKey  = ClassProps.__partitionKey.exact(properties);
   var rowKey        = ClassProps.__rowKey.exact(properties);
 
-  return ClassProps.__aux.getEntity(
-    partitionKey,
-    rowKey
-  ).then(wrapEntityClass(Class), function(err) {
-    if (ignoreIfNotExists && err && err.code === 'ResourceNotFound') {
+  // Look for the entity in the cache, if enabled
+  var cache   = ClassProps.__cache;
+  var key     = cacheKey(partitionKey, rowKey);
+  var cached  = undefined;
+  if (cache) {
+    var entry = cache.get(key);
+    if (entry && (options.maxAge === undefined ||
+                  Date.now() - entry.fetched < options.maxAge)) {
+      cached = entry.entity;
+      ClassProps.__cacheStats.hits += 1;
+    } else {
+      ClassProps.__cacheStats.misses += 1;
+    }
+    ClassProps.__reportCache(cached !== undefined);
+  }
+
+  // Fetch the entity, unless it was cached
+  var fetched = null;
+  if (cached !== undefined) {
+    fetched = Promise.resolve(cached);
+  } else {
+    // Remember number of invalidations, as we shouldn't cache the entity if
+    // it was modified while it was being fetched
+    var invalidations = cache ? ClassProps.__cacheStats.invalidations : 0;
+    var started       = Date.now();
+    fetched = ClassProps.__aux.getEntity(
+      partitionKey,
+      rowKey,
+      {select: selectColumns(ClassProps, select)}
+    ).then(function(entity) {
+      if (cache && select === undefined &&
+          ClassProps.__cacheStats.invalidations === invalidations) {
+        cache.set(key, {entity: entity, fetched: started});
+      }
+      return entity;
+    });
+  }
+
+  var wrap = wrapPartialEntityClass(Class, select);
+  return fetched.then(wrap).then(function(item) {
+    var expired = item && ClassProps.__hideExpired &&
+                  isExpired(item, new Date());
+    if (!item || expired) {
+      throw new errors.NotFound(
+        expired ? "Entity has expired" : "Entity was removed", {
+          table:        ClassProps.__table,
+          partitionKey: partitionKey,
+          rowKey:       rowKey
+        }
+      );
+    }
+    return item;
+  }).catch(function(err) {
+    if (options.ignoreIfNotExists && err && err.code === 'ResourceNotFound') {
       return null; // Ignore entity that doesn't exists
     }
     throw err;
@@ -744,6 +1709,21 @@ Entity.load = function(properties, ignoreIfNotExists) {
 };
 
 
+/**
+ * Get statistics for the cache for `Entity.load`, returns `null` if the cache
+ * isn't enabled with the `cache` option for `Entity.setup`. Otherwise, returns
+ * an object on the form `{hits, misses, invalidations, size}`.
+ */
+Entity.cacheStats = function() {
+  var ClassProps = this.prototype;
+  if (!ClassProps.__cache) {
+    return null;
+  }
+  return _.defaults({
+    size:     ClassProps.__cache.length
+  }, ClassProps.__cacheStats);
+};
+
 /**
  * Remove entity without loading it. Using this method you cannot quantify about
  * the remote state you're deleting. Using `Entity.prototype.remove` removal
@@ -761,9 +1741,30 @@ Entity.remove = function(properties, ignoreIfNotExists) {
   var partitionKey  = ClassProps.__partitionKey.exact(properties);
   var rowKey        = ClassProps.__rowKey.exact(properties);
 
-  return ClassProps.__aux.deleteEntity(partitionKey, rowKey, {
-    eTag: '*'
-  }).then(function() {
+  // If we have indexes or unique constraints, we must load the entity to
+  // remove index entities and reservations, in which case
+  // Entity.prototype.remove calls hooks and emits the event
+  var removed = null;
+  if (_.isEmpty(ClassProps.__indexes) && _.isEmpty(ClassProps.__unique)) {
+    var hooked = runHooks(ClassProps, 'remove', [properties, null]);
+    removed = hooked.then(function() {
+      return ClassProps.__aux.deleteEntity(partitionKey, rowKey, {
+        eTag: '*'
+      });
+    }).then(function() {
+      invalidateCache(ClassProps, partitionKey, rowKey);
+      emitEvent(ClassProps, 'removed', [properties, null]);
+    });
+  } else {
+    removed = ClassProps.__aux.getEntity(
+      partitionKey,
+      rowKey
+    ).then(wrapEntityClass(Class)).then(function(item) {
+      return item.remove(true, false);
+    });
+  }
+
+  return removed.then(function() {
     return true;
   }, function(err) {
     // Re-throw error if we're not supposed to ignore it
@@ -777,13 +1778,38 @@ Entity.remove = function(properties, ignoreIfNotExists) {
 
 /** Remove entity if not modified, unless `ignoreChanges` is set */
 Entity.prototype.remove = function(ignoreChanges, ignoreIfNotExists) {
-  return this.__aux.deleteEntity(this._partitionKey, this._rowKey, {
-    eTag:     (ignoreChanges ? '*' : this._etag)
-  }).catch(function(err) {
+  var self = this;
+  var removed = false;
+  return runHooks(this, 'remove', [this._properties, this]).then(function() {
+    return self.__aux.deleteEntity(self._partitionKey, self._rowKey, {
+      eTag:     (ignoreChanges ? '*' : self._etag)
+    });
+  }).then(function() {
+    removed = true;
+  }, function(err) {
     // Re-throw error if we're not supposed to ignore it
     if (!ignoreIfNotExists || !err || err.code !== 'ResourceNotFound') {
       throw err;
     }
+  }).then(function() {
+    invalidateCache(self, self._partitionKey, self._rowKey);
+    return removeIndexEntities(
+      self,
+      indexKeys(self, self._properties),
+      self._partitionKey,
+      self._rowKey
+    );
+  }).then(function() {
+    return releaseUniqueKeys(
+      self,
+      uniqueKeys(self, self._properties),
+      self._partitionKey,
+      self._rowKey
+    );
+  }).then(function() {
+    if (removed) {
+      emitEvent(self, 'removed', [self._properties, self]);
+    }
   }).catch(rethrowDebug("Failed to delete entity, err: %j"));
 };
 
@@ -801,6 +1827,8 @@ Entity.prototype.reload = function() {
   ).then(function(entity) {
     // Deserialize a shadow object from the entity
     self._properties    = self.__deserialize(entity);
+    self._outdated      = self.__isOutdated(entity);
+    self._partial       = false;
     // Note, that Entity.prototype.modify relies on _properties becoming a new
     // object. So ensure that is maintained or updated Entity.prototype.modify
 
@@ -813,6 +1841,73 @@ Entity.prototype.reload = function() {
   });
 };
 
+/**
+ * Serialize changes to `item` from `original` properties to `properties`.
+ * Returns `null` if there are no changes, otherwise an object on the form
+ * `{entity: {...}, mode: 'merge' || 'replace'}` for use with `updateEntity`.
+ *
+ * If `item` has an older schema version all properties will be serialized
+ * and `mode` will be `'replace'`. This throws an error if `properties` have
+ * changes to properties in the partition or row key.
+ */
+var serializeChanges = function(item, original, properties) {
+  var isChanged     = false;    // Track if we have changes
+  var mode          = 'merge';  // Track update mode
+  // Track changes we have to upload, keys are included from the start as
+  // encrypted types bind values to the keys of the entity
+  var entityChanges = {
+    PartitionKey:   item._partitionKey,
+    RowKey:         item._rowKey
+  };
+
+  // If we don't have schema version changes, or outdated properties
+  if (item._version === item.__version && !item._outdated) {
+    // Check if `properties` have been changed and serialize changes to
+    // `entityChanges` while flagging changes in `isChanged`
+    _.forIn(item.__mapping, function(type, property) {
+      var value = properties[property];
+      if (!type.equal(original[property], value)) {
+        type.serialize(entityChanges, value, item);
+        isChanged = true;
+        // Optional properties set to null aren't serialized, so we must
+        // replace the entity to remove them
+        if (value === undefined || value === null) {
+          mode = 'replace';
+        }
+      }
+    });
+    if (mode === 'replace') {
+      entityChanges = item.__serialize(properties);
+    }
+  } else {
+    // If we have a schema version upgrade, or properties that must be
+    // serialized again (e.g. encrypted with an old key) replace all properties
+    mode          = 'replace';
+    isChanged     = true;
+    entityChanges = item.__serialize(properties);
+  }
+
+  // Check for changes
+  if (!isChanged) {
+    return null;
+  }
+
+  // Check for key modifications
+  assert(item._partitionKey === item.__partitionKey.exact(properties),
+         "You can't modify elements of the partitionKey");
+  assert(item._rowKey === item.__rowKey.exact(properties),
+         "You can't modify elements of the rowKey");
+
+  // Set rowKey and partition key
+  entityChanges.PartitionKey  = item._partitionKey;
+  entityChanges.RowKey        = item._rowKey;
+
+  return {
+    entity:   entityChanges,
+    mode:     mode
+  };
+};
+
 /**
  * Modify an entity, the `modifier` is a function that is called with
  * a clone of the entity as `this` and first argument, it should apply
@@ -842,71 +1937,128 @@ Entity.prototype.reload = function() {
  *   entity.property = "new value";
  * });
  * ```
+ *
+ * **Retry policy**, when the update fails due to optimistic concurrency, the
+ * modifier will be retried according to the retry policy given in
+ * `Entity.setup`, with overwrites given as `retryPolicy`, on the form:
+ * ```js
+ * {
+ *   attempts:       10,         // Max number of attempts
+ *   delay:          0,          // Delay before first retry in ms
+ *   maxDelay:       30 * 1000,  // Max delay between retries in ms
+ *   jitter:         0.25,       // Fraction of delay to randomize
+ *   deadline:       null        // Max time spent in ms, null for no deadline
+ * }
+ * ```
+ * The delay is doubled for each retry, and randomly reduced by up to `jitter`
+ * times the delay. If the conflict persists after `attempts`, or if retrying
+ * would exceed the `deadline`, an `Entity.errors.TooManyRetries` error is
+ * thrown, with `err.attempts` as the number of attempts made. Each conflict is
+ * reported to the statistics drain given in `Entity.setup` with method
+ * `'modify'` and error `'UpdateConditionNotSatisfied'`, aggregated by table.
+ * The `partitionKey` and `rowKey` of contended entities are debug logged.
+ *
+ * If the entity is a partial entity, loaded with the `select` option, the full
+ * entity is reloaded before the modifier is applied.
  */
-Entity.prototype.modify = function(modifier) {
+Entity.prototype.modify = function(modifier, retryPolicy) {
   var self = this;
+  var policy = createRetryPolicy(retryPolicy, this.__retryPolicy);
+
+  // Partial entities must be reloaded in full before they can be modified
+  if (this._partial) {
+    return Entity.prototype.reload.call(this).then(function() {
+      return Entity.prototype.modify.call(self, modifier, retryPolicy);
+    });
+  }
 
   // Create a clone of this._properties, so we can compare properties and
   // decide what to upload, as well as we can restore state if operations fail
-  var properties    = {};
-  _.forIn(this.__mapping, function(type, property) {
-    properties[property] = type.clone(self._properties[property]);
-  });
+  var properties    = cloneProperties(this);
   var eTag          = this._etag;
   var version       = this._version;
 
+  // Index keys and unique keys that are no longer in use after modification
+  var staleIndexKeys  = {};
+  var staleUniqueKeys = {};
+
+  // Properties before the successful modification, if it changed anything
+  var modifiedFrom = undefined;
+
   // Attempt to modify this object
-  var attemptsLeft = MAX_MODIFY_ATTEMPTS;
+  var started   = Date.now();
+  var attempts  = 0;
   var attemptModify = function() {
+    var attemptStarted = process.hrtime();
+    attempts += 1;
+
+    // Find index keys and unique keys before modification
+    var oldIndexKeys  = indexKeys(self, self._properties);
+    var oldUniqueKeys = uniqueKeys(self, self._properties);
+
+    // Clone properties before modification, if hooks or listeners need them
+    var before = null;
+    if (isObserved(self, 'modify', 'modified')) {
+      before = cloneProperties(self);
+    }
+
     // Invoke modifier
     return Promise.resolve(modifier.call(
       self._properties,
       self._properties
     )).then(function() {
-      var isChanged     = false;    // Track if we have changes
-      var entityChanges = {};       // Track changes we have to upload
-      var mode          = 'merge';  // Track update mode
-
-      // If we don't have schema version changes
-      if (self._version === self.__version) {
-        // Check if `self._properties` have been changed and serialize changes
-        // to `entityChanges` while flagging changes in `isChanged`
-        _.forIn(self.__mapping, function(type, property) {
-          var value = self._properties[property];
-          if (!type.equal(properties[property], value)) {
-            type.serialize(entityChanges, value);
-            isChanged = true;
-          }
-        });
-      } else {
-        // If we have a schema version upgrade replace all properties
-        mode          = 'replace';
-        isChanged     = true;
-        entityChanges = self.__serialize(self._properties);
-      }
+      // Serialize changes from `properties` to `self._properties`
+      var changes = serializeChanges(self, properties, self._properties);
 
       // Check for changes
-      if (!isChanged) {
+      if (!changes) {
         debug("Return modify trivially, as no change was applied by modifier");
         return self;
       }
 
-      // Check for key modifications
-      assert(self._partitionKey === self.__partitionKey.exact(self._properties),
-             "You can't modify elements of the partitionKey");
-      assert(self._rowKey === self.__rowKey.exact(self._properties),
-             "You can't modify elements of the rowKey");
-
-      // Set rowKey and partition key
-      entityChanges.PartitionKey  = self._partitionKey;
-      entityChanges.RowKey        = self._rowKey;
-
-      // Update entity with changes
-      return self.__aux.updateEntity(entityChanges, {
-        mode:   mode,
-        eTag:   self._etag
+      // Call before hooks, these may veto the modification
+      var newIndexKeys  = indexKeys(self, self._properties);
+      var newUniqueKeys = uniqueKeys(self, self._properties);
+      return runHooks(self, 'modify', [self, before]).then(function() {
+        // Reserve values for new unique keys before updating the entity
+        return reserveUniqueKeys(
+          self,
+          indexKeysDifference(newUniqueKeys, oldUniqueKeys),
+          self._partitionKey,
+          self._rowKey
+        );
+      }).then(function(reserved) {
+        // Create index entities for new index keys before updating the entity
+        return createIndexEntities(
+          self,
+          indexKeysDifference(newIndexKeys, oldIndexKeys),
+          self._partitionKey,
+          self._rowKey
+        ).then(function() {
+          // Update entity with changes
+          return self.__aux.updateEntity(changes.entity, {
+            mode:   changes.mode,
+            eTag:   self._etag
+          });
+        }).catch(function(err) {
+          // Release values reserved, if the entity wasn't updated
+          return releaseUniqueKeys(
+            self,
+            reserved,
+            self._partitionKey,
+            self._rowKey
+          ).then(function() {
+            throw err;
+          });
+        });
       }).then(function(eTag) {
-        self._etag = eTag;
+        self._etag      = eTag;
+        self._version   = self.__version;
+        self._outdated  = false;
+        staleIndexKeys  = indexKeysDifference(oldIndexKeys, newIndexKeys);
+        staleUniqueKeys = indexKeysDifference(oldUniqueKeys, newUniqueKeys);
+        modifiedFrom    = before;
+        invalidateCache(self, self._partitionKey, self._rowKey);
         return self;
       });
     }).catch(function(err) {
@@ -921,22 +2073,79 @@ Entity.prototype.modify = function(modifier) {
         throw err;
       }
 
-      // Decrement number of attempts left
-      attemptsLeft -= 1;
-      if (attemptsLeft === 0) {
-        debug("ERROR: MAX_MODIFY_ATTEMPTS exhausted, we might have congestion");
-        throw new Error("MAX_MODIFY_ATTEMPTS exhausted, check for congestion");
+      // Entity was modified by another process, so cache is outdated
+      invalidateCache(self, self._partitionKey, self._rowKey);
+
+      // Report conflict, keys are only logged to keep cardinality bounded
+      debug("modify conflict in %s on partitionKey: %s, rowKey: %s",
+            self.__table, self._partitionKey, self._rowKey);
+      var d = process.hrtime(attemptStarted);
+      self.__report({
+        duration:       d[0] * 1000 + (d[1] / 1000000),
+        method:         'modify',
+        error:          err.code
+      });
+
+      // Check if we have attempts left, and can retry before the deadline
+      if (attempts >= policy.attempts) {
+        debug("ERROR: modify failed after %d attempts, we might have " +
+              "congestion", attempts);
+        throw new errors.TooManyRetries("modify failed after " + attempts +
+                                        " attempts, check for congestion", {
+          table:        self.__table,
+          partitionKey: self._partitionKey,
+          rowKey:       self._rowKey,
+          attempts:     attempts
+        });
+      }
+      var delay = retryDelay(policy, attempts);
+      if (policy.deadline !== null &&
+          Date.now() + delay - started > policy.deadline) {
+        debug("ERROR: modify deadline exceeded after %d attempts", attempts);
+        throw new errors.TooManyRetries("modify deadline exceeded after " +
+                                        attempts + " attempts", {
+          table:        self.__table,
+          partitionKey: self._partitionKey,
+          rowKey:       self._rowKey,
+          attempts:     attempts
+        });
       }
 
-      // Reload and try again
-      return Entity.prototype.reload.call(self).then(function() {
+      // Wait, reload and try again
+      return new Promise(function(accept) {
+        setTimeout(accept, delay);
+      }).then(function() {
+        return Entity.prototype.reload.call(self);
+      }).then(function() {
         // Attempt to modify again
         return attemptModify();
       });
     });
   };
 
-  return attemptModify();
+  // Remove index entities for index keys no longer used, after the entity
+  // have been updated, so the entity can always be found by index
+  return attemptModify().then(function() {
+    return removeIndexEntities(
+      self,
+      staleIndexKeys,
+      self._partitionKey,
+      self._rowKey
+    );
+  }).then(function() {
+    // Release values for unique keys no longer used
+    return releaseUniqueKeys(
+      self,
+      staleUniqueKeys,
+      self._partitionKey,
+      self._rowKey
+    );
+  }).then(function() {
+    if (modifiedFrom !== undefined) {
+      emitEvent(self, 'modified', [self, modifiedFrom]);
+    }
+    return self;
+  });
 };
 
 
@@ -978,6 +2187,97 @@ var VALID_PARTITION_MATCH = ['exact', 'none'];
 // Valid values for `options.matchRow` in Entity.scan and Entity.query
 var VALID_ROW_MATCH       = ['exact', 'partial', 'none'];
 
+/**
+ * Construct $filter string for `conditions` given options `matchPartition` and
+ * `matchRow`, as explained in `Entity.scan`.
+ */
+var scanFilter = function(ClassProps, conditions, options) {
+  assert(VALID_PARTITION_MATCH.indexOf(options.matchPartition) !== -1,
+         "Valid values for 'matchPartition' are: none, exact")
+  assert(VALID_ROW_MATCH.indexOf(options.matchRow) !== -1,
+         "Valid values for 'matchRow' are: none, partial, exact");
+
+  // Declare partitionKey, rowKey and covered as list of keys covered by either
+  // partitionKey or rowKey
+  var partitionKey  = undefined
+  var rowKey        = undefined;
+  var rowKeyPrefix  = undefined;
+  var covered       = [];
+
+  // Construct keys exact, if that is how they are required to be matched
+  if (options.matchPartition === 'exact') {
+    partitionKey    = ClassProps.__partitionKey.exactFromConditions(conditions);
+    covered         = _.union(covered, ClassProps.__partitionKey.covers);
+  }
+  if (options.matchRow === 'exact') {
+    rowKey          = ClassProps.__rowKey.exactFromConditions(conditions);
+    covered         = _.union(covered, ClassProps.__rowKey.covers);
+  }
+
+  // Construct partial rowKey
+  if (options.matchRow === 'partial') {
+    var partial     = ClassProps.__rowKey.partialFromConditions(conditions);
+    if (partial.exact) {
+      rowKey        = partial.key;
+    } else {
+      rowKeyPrefix  = partial.key;
+    }
+    covered         = _.union(covered, partial.covers);
+  }
+
+  // Create a $filter string builder to abstract away joining with 'and'
+  var filter = '';
+  var filterBuilder = function(condition) {
+    if (filter === '') {
+      filter = condition;
+    } else if (condition !== '') {
+      filter += ' and ' + condition;
+    }
+  };
+
+  // If we have partitionKey and rowKey we should add them to the query
+  var azOps = azure.Table.Operators;
+  if (partitionKey !== undefined) {
+    filterBuilder('PartitionKey eq ' + azOps.string(partitionKey));
+  }
+  if (rowKey !== undefined) {
+    filterBuilder('RowKey eq ' + azOps.string(rowKey));
+  }
+  if (rowKeyPrefix !== undefined) {
+    // Prefix match as range query, this works because '~' is larger than any
+    // character in an encoded key, see CompositeKey.partialFromConditions
+    filterBuilder('RowKey ge ' + azOps.string(rowKeyPrefix));
+    filterBuilder('RowKey lt ' + azOps.string(rowKeyPrefix + '~'));
+  }
+
+  // Construct query from conditions using operators
+  _.forIn(conditions, function(op, property) {
+    // If the property is covered by the partitionKey or rowKey, we don't want
+    // to apply a filter to it
+    if (_.contains(covered, property)) {
+      return;
+    }
+
+    // Find and check that we have a type
+    var type = ClassProps.__mapping[property];
+    if (!type) {
+      throw new Error("Property: '" + property +
+                      "' used in query is not defined!");
+    }
+
+    // Ensure that we have an operator, we just assume anything specified
+    // without an operator is equality
+    if (!(op instanceof Entity.op)) {
+      op = Entity.op.equal(op);
+    }
+
+    // Let the type construct the filter
+    type.filter(op, filterBuilder);
+  });
+
+  return filter;
+};
+
 /**
  *
  * Scan the entire table filtering on properties and possibly accelerated
@@ -994,11 +2294,14 @@ var VALID_ROW_MATCH       = ['exact', 'partial', 'none'];
  * Entity.scan({
  *   prop1:              Entity.op.equal('val1'),  // Filter on prop1 === 'val1'
  *   prop2:              "val2",                   // Same as Entity.op.equal
- *   prop3:              Entity.op.lessThan(42)    // Filter on prop3 < 42
+ *   prop3:              Entity.op.lessThan(42),   // Filter on prop3 < 42
+ *   prop4:              Entity.op.in([1, 2, 3]),  // Filter on prop4 in list
+ *   prop5:              Entity.op.startsWith('a') // Filter on prefix of prop5
  * }, {
  *   matchPartition:     'none',       // Require 'exact' or 'none' partitionKey
- *   matchRow:           'none',       // Require 'exact' or 'none' rowKey
+ *   matchRow:           'none',       // Require 'exact', 'partial' or 'none'
  *   limit:              1000,         // Max number of entries
+ *   select:             undefined,    // List of properties to load
  *   continuation:       undefined     // Continuation token to scan from
  * }).then(function(data) {
  *   data.entries        // List of Entity
@@ -1017,8 +2320,9 @@ var VALID_ROW_MATCH       = ['exact', 'partial', 'none'];
  * }, {
  *   continuation:       '...',        // Continuation token to continue from
  *   matchPartition:     'none',       // Require 'exact' or 'none' partitionKey
- *   matchRow:           'none',       // Require 'exact' or 'none' rowKey
- *   limit:              1000,         // Max number of parallel handler calls
+ *   matchRow:           'none',       // Require 'exact', 'partial' or 'none'
+ *   limit:              1000,         // Max number of entries per page
+ *   concurrency:        10,           // Max number of parallel handler calls
  *   handler:            function(item) {
  *     return new Promise(...); // Do something with the item
  *   }
@@ -1028,6 +2332,20 @@ var VALID_ROW_MATCH       = ['exact', 'partial', 'none'];
  * });
  * ```
  *
+ * Pages are fetched one at the time, and the handler is called with at most
+ * `concurrency` entities in parallel. If `concurrency` isn't given, the
+ * handler is called for all entities in a page in parallel, so `limit` will
+ * also limit the number of parallel handler calls. To consume entities as a
+ * stream, or abort a scan and resume it later, see `Entity.scanStream`.
+ *
+ * **Operators**, besides comparison operators, `Entity.op.in(list)` matches
+ * values in `list`, `Entity.op.startsWith(prefix)` matches strings with the
+ * given prefix, and `Entity.op.or(op1, op2, ...)` matches values satisfying
+ * any of the given operators. Conditions on different properties are always
+ * joined with `and`. Not all types support all operators, `startsWith` is only
+ * supported by string types, an error is thrown if an operator isn't
+ * supported by the type of the property.
+ *
  * **Configuring match levels**, the options `matchPartition` and `matchRow`
  * can be used specify match levels. If left as `'none'` (default), the scan
  * will not use Partition- or Row-Key indexes for acceleration.
@@ -1040,6 +2358,24 @@ var VALID_ROW_MATCH       = ['exact', 'partial', 'none'];
  * exact row-key, and error will be thrown. This allows you to reason about
  * expected performance.
  *
+ * If you specify `matchRow: 'partial'`, conditions must contain equality
+ * constraints for one or more leading keys of the row-key. For a
+ * `CompositeKey` this is used to accelerate the table scan with a prefix
+ * match on the row-key. If all keys are given, this is the same as `'exact'`.
+ * Other key types can't be matched partially, so for these `'partial'` is the
+ * same as `'exact'`. If not even the first key is constrained by an equality
+ * constraint an error will be thrown.
+ *
+ * **Selecting properties**, if `select` is given as a list of properties, only
+ * columns for these properties are downloaded using `$select`. This is useful
+ * to avoid downloading large `Blob`, `Text`, `JSON` or `SlugIdArray`
+ * properties. Properties covered by keys, indexes and `expires` are always
+ * loaded, other properties will be `undefined`. Entities loaded this way are
+ * partial entities, they are read-only and `item.modify` will reload the full
+ * entity before applying the modifier. Partial entities can't be modified in
+ * a batch, without calling `item.reload` first. Notice, that entities stored
+ * with an older schema version are loaded in full, so they can be migrated.
+ *
  * **Continuation token**, if using `Entity.scan` without a handler, you receive
  * a continuation token with your results. You can use this to continue the
  * table scan. A continuation token is a a string (that's all you need to know).
@@ -1051,118 +2387,58 @@ Entity.scan = function(conditions, options) {
     matchPartition:   'none',
     handler:          null,
     limit:            undefined,
-    continuation:     undefined
+    concurrency:      undefined,
+    continuation:     undefined,
+    select:           undefined
   });
   conditions = conditions || {};
   var Class       = this;
   var ClassProps  = Class.prototype;
-  assert(VALID_PARTITION_MATCH.indexOf(options.matchPartition) !== -1,
-         "Valid values for 'matchPartition' are: none, exact")
-  assert(VALID_ROW_MATCH.indexOf(options.matchRow) !== -1,
-         "Valid values for 'matchRow' are: none, partial, exact");
   assert(!options.handler || options.handler instanceof Function,
          "If options.handler is given it must be a function");
   assert(options.limit === undefined ||
          typeof(options.limit) === 'number', "options.limit must be a number");
+  assert(options.concurrency === undefined ||
+         (typeof(options.concurrency) === 'number' && options.concurrency > 0),
+         "options.concurrency must be a positive number");
 
-  // Declare partitionKey, rowKey and covered as list of keys covered by either
-  // partitionKey or rowKey
-  var partitionKey  = undefined
-  var rowKey        = undefined;
-  var covered       = [];
-
-  // Construct keys exact, if that is how they are required to be matched
-  if (options.matchPartition === 'exact') {
-    partitionKey    = ClassProps.__partitionKey.exactFromConditions(conditions);
-    covered         = _.union(covered, ClassProps.__partitionKey.covers);
-  }
-  if (options.matchRow === 'exact') {
-    rowKey          = ClassProps.__rowKey.exactFromConditions(conditions);
-    covered         = _.union(covered, ClassProps.__rowKey.covers);
-  }
+  // Construct $filter string from conditions
+  var filter = scanFilter(ClassProps, conditions, options);
 
-  // Construct partial rowKey
-  if (options.matchRow === 'partial') {
-    // TODO: Implement partial matching, this involves prefix matching.
-    //       this should be possible without changing the format for the
-    //       CompositeKey, because ~ is the last character outputted by
-    //       encodeStringKey. Also remember to append keys covered to the
-    //       covered variable.
-    throw new Error("Partial matches on rowKey is not implemented yet!");
-  }
+  // Find properties to select, if any
+  var select = selectProperties(ClassProps, options.select);
 
-  // Create a $filter string builder to abstract away joining with 'and'
-  var filter = '';
-  var filterBuilder = function(condition) {
-    if (filter === '') {
-      filter = condition;
-    } else if (condition !== '') {
-      filter += ' and ' + condition;
-    }
+  // Fetch results with operational continuation token
+  var fetchResults = function(continuation) {
+    var continuation = decodeContinuationToken(continuation);
+    return ClassProps.__aux.queryEntities({
+      filter:           filter,
+      select:           selectColumns(ClassProps, select),
+      top:              options.limit,
+      nextPartitionKey: continuation.nextPartitionKey,
+      nextRowKey:       continuation.nextRowKey
+    }).then(function(data) {
+      var wrap = wrapPartialEntityClass(Class, select);
+      return Promise.all(data.entities.map(wrap)).then(function(entries) {
+        return {
+          entries:      _.compact(entries),
+          continuation: encodeContinuationToken(data)
+        };
+      });
+    });
   };
 
-  // If we have partitionKey and rowKey we should add them to the query
-  var azOps = azure.Table.Operators;
-  if (partitionKey !== undefined) {
-    filterBuilder('PartitionKey eq ' + azOps.string(partitionKey));
-  }
-  if (rowKey !== undefined) {
-    filterBuilder('RowKey eq ' + azOps.string(rowKey));
-  }
-
-  // Construct query from conditions using operators
-  _.forIn(conditions, function(op, property) {
-    // If the property is covered by the partitionKey or rowKey, we don't want
-    // to apply a filter to it
-    if (_.contains(covered, property)) {
-      return;
-    }
-
-    // Find and check that we have a type
-    var type = ClassProps.__mapping[property];
-    if (!type) {
-      throw new Error("Property: '" + property +
-                      "' used in query is not defined!");
-    }
-
-    // Ensure that we have an operator, we just assume anything specified
-    // without an operator is equality
-    if (!(op instanceof Entity.op)) {
-      op = Entity.op.equal(op);
-    }
-
-    // Let the type construct the filter
-    type.filter(op, filterBuilder);
-  });
-
-  // Fetch results with operational continuation token
-  var fetchResults = function(continuation) {
-    var continuation = decodeContinuationToken(continuation);
-    return ClassProps.__aux.queryEntities({
-      filter:           filter,
-      top:              options.limit,
-      nextPartitionKey: continuation.nextPartitionKey,
-      nextRowKey:       continuation.nextRowKey
-    }).then(function(data) {
-      return {
-        entries:      data.entities.map(function(entity) {
-                        return new Class(entity);
-                      }),
-        continuation: encodeContinuationToken(data)
-      };
-    });
-  };
-
-  // Fetch results
-  var results = fetchResults(options.continuation);
+  // Fetch results
+  var results = fetchResults(options.continuation);
 
   // If we have a handler, then we have to handle the results
   if (options.handler) {
     var handleResults = function(results) {
       return results.then(function(data) {
-        return Promise.all(data.entries.map(function(item) {
+        var concurrency = options.concurrency || data.entries.length;
+        return forEachLimit(data.entries, concurrency, function(item) {
           return options.handler(item);
-        })).then(function() {
+        }).then(function() {
           if (data.continuation) {
             return handleResults(fetchResults(data.continuation));
           }
@@ -1200,17 +2476,1264 @@ Entity.query = function(conditions, options) {
   return Entity.scan.call(this, conditions, options);
 };
 
+/**
+ * Count entities matching `conditions`, using the same conditions and options
+ * `matchPartition` and `matchRow` as `Entity.scan`.
+ *
+ * Only `PartitionKey`, `RowKey` and `Version` are selected, so this doesn't
+ * download the properties of entities. But it's still a table scan, unless
+ * `matchPartition: 'exact'` is used, so use it with care.
+ *
+ * ```js
+ * Entity.count({
+ *   state:              'pending'
+ * }, {
+ *   matchPartition:     'none',       // Require 'exact' or 'none' partitionKey
+ *   matchRow:           'none',       // Require 'exact', 'partial' or 'none'
+ *   limit:              1000          // Max number of entities per page
+ * }).then(function(count) {
+ *   // Number of entities with state === 'pending'
+ * });
+ * ```
+ */
+Entity.count = function(conditions, options) {
+  return Entity.aggregate.call(this, conditions, options).then(function(data) {
+    return data.count;
+  });
+};
+
+/**
+ * Aggregate entities matching `conditions`, using the same conditions and
+ * options `matchPartition` and `matchRow` as `Entity.scan`.
+ *
+ * ```js
+ * Entity.aggregate({
+ *   state:              'pending'
+ * }, {
+ *   groupBy:            'provisionerId',  // Property to group by (optional)
+ *   min:                ['created'],      // Properties to find minimum of
+ *   max:                ['created'],      // Properties to find maximum of
+ *   matchPartition:     'none',
+ *   matchRow:           'none',
+ *   limit:              1000              // Max number of entities per page
+ * }).then(function(data) {
+ *   data.count          // Number of entities matching
+ *   data.min.created    // Minimum value of created, null if none
+ *   data.max.created    // Maximum value of created, null if none
+ *   data.groups         // List of {value, count, min, max} for each value of
+ *                       // provisionerId, only present if groupBy is given
+ * });
+ * ```
+ *
+ * Only properties given in `groupBy`, `min` and `max` are selected, so large
+ * Blob or JSON properties aren't downloaded. Hence, these properties must have
+ * ordered types, such as `String`, `Number` and `Date`. Entities with `null`
+ * values are ignored by `min` and `max`, but grouped by `groupBy`.
+ *
+ * Notice, that entities stored with an older schema version are loaded in
+ * full, such that they can be migrated before they are aggregated.
+ */
+Entity.aggregate = function(conditions, options) {
+  // Set default options
+  options = _.defaults(options || {}, {
+    matchRow:         'none',
+    matchPartition:   'none',
+    groupBy:          undefined,
+    min:              [],
+    max:              [],
+    limit:            undefined
+  });
+  conditions = conditions || {};
+  var Class       = this;
+  var ClassProps  = Class.prototype;
+  var minimize    = [].concat(options.min);
+  var maximize    = [].concat(options.max);
+  assert(options.groupBy === undefined || typeof(options.groupBy) === 'string',
+         "options.groupBy must be a property name");
+  assert(options.limit === undefined ||
+         typeof(options.limit) === 'number', "options.limit must be a number");
+
+  // Find properties to select and check that they can be aggregated
+  var properties = _.union(
+    options.groupBy !== undefined ? [options.groupBy] : [],
+    minimize,
+    maximize
+  );
+  properties.forEach(function(property) {
+    var type = ClassProps.__mapping[property];
+    if (!type) {
+      throw new Error("Property: '" + property +
+                      "' used in aggregate is not defined!");
+    }
+    if (!type.isOrdered) {
+      throw new Error("Property: '" + property + "' can't be aggregated, " +
+                      "as its type isn't ordered");
+    }
+  });
+
+  // Construct $filter string from conditions
+  var filter = scanFilter(ClassProps, conditions, options);
+
+  // Create aggregate with count, min and max
+  var createAggregate = function() {
+    return {
+      count:  0,
+      min:    _.zipObject(minimize, minimize.map(_.constant(null))),
+      max:    _.zipObject(maximize, maximize.map(_.constant(null)))
+    };
+  };
+
+  // Add values from properties to aggregate
+  var addToAggregate = function(aggregate, properties) {
+    aggregate.count += 1;
+    minimize.forEach(function(property) {
+      var value = properties[property];
+      var min   = aggregate.min[property];
+      if (value !== null && (min === null || value < min)) {
+        aggregate.min[property] = value;
+      }
+    });
+    maximize.forEach(function(property) {
+      var value = properties[property];
+      var max   = aggregate.max[property];
+      if (value !== null && (max === null || value > max)) {
+        aggregate.max[property] = value;
+      }
+    });
+  };
+
+  // Find properties of a projected entity, returns null if the entity is gone
+  var readProperties = function(entity) {
+    // Entities from older versions must be loaded in full and migrated
+    if (entity.Version !== ClassProps.__version && properties.length > 0) {
+      return ClassProps.__aux.getEntity(
+        entity.PartitionKey,
+        entity.RowKey
+      ).then(wrapEntityClass(Class)).then(function(item) {
+        return item._properties;
+      }, function(err) {
+        if (!err || err.code !== 'ResourceNotFound') {
+          throw err;
+        }
+        return null;
+      });
+    }
+    return Promise.resolve(_.zipObject(properties, properties.map(function(p) {
+      return ClassProps.__mapping[p].deserialize(entity, ClassProps);
+    })));
+  };
+
+  var result = createAggregate();
+  var groups = {};
+  if (options.groupBy !== undefined) {
+    result.groups = [];
+  }
+
+  // Fetch pages and aggregate them one at the time
+  var fetchResults = function(continuation) {
+    continuation = decodeContinuationToken(continuation);
+    return ClassProps.__aux.queryEntities({
+      filter:           filter,
+      select:           selectColumns(ClassProps, properties),
+      top:              options.limit,
+      nextPartitionKey: continuation.nextPartitionKey,
+      nextRowKey:       continuation.nextRowKey
+    }).then(function(data) {
+      var read = Promise.all(data.entities.map(readProperties));
+      return read.then(function(list) {
+        _.compact(list).forEach(function(properties) {
+          addToAggregate(result, properties);
+          if (options.groupBy === undefined) {
+            return;
+          }
+          // Find group by string representation of the value
+          var type  = ClassProps.__mapping[options.groupBy];
+          var value = properties[options.groupBy];
+          var key   = 'null';
+          if (value !== null) {
+            key = 'value:' + type.string(value);
+          }
+          var group = groups[key];
+          if (!group) {
+            group = groups[key] = _.defaults({value: value}, createAggregate());
+            result.groups.push(group);
+          }
+          addToAggregate(group, properties);
+        });
+        var token = encodeContinuationToken(data);
+        if (token) {
+          return fetchResults(token);
+        }
+      });
+    });
+  };
+
+  return fetchResults(undefined).then(function() {
+    return result;
+  });
+};
+
+/**
+ * Readable object stream of entities from `Entity.scan`, see
+ * `Entity.scanStream`.
+ */
+var ScanStream = function(Class, conditions, options) {
+  stream.Readable.call(this, {
+    objectMode:     true,
+    highWaterMark:  options.highWaterMark
+  });
+  this._Class         = Class;
+  this._conditions    = conditions;
+  this._options       = options;
+  this._entries       = [];       // Entities fetched, but not pushed
+  this._fetching      = false;    // True, if fetching a page
+  this._aborted       = false;    // True, if abort() have been called
+  this._ended         = false;    // True, if push(null) have been called
+
+  // Continuation token for the page after the current page, `undefined`
+  // until the first page have been fetched
+  this._pageContinuation = undefined;
+
+  /**
+   * Continuation token to resume the scan from, this points to the first
+   * entity that haven't been pushed to the stream. `null` when the entire
+   * table have been scanned.
+   */
+  this.continuation   = options.continuation || null;
+};
+
+// Inherit from stream.Readable
+util.inherits(ScanStream, stream.Readable);
+
+/** End the stream, if not already ended */
+ScanStream.prototype._end = function() {
+  if (!this._ended) {
+    this._ended = true;
+    this.push(null);
+  }
+};
+
+/** Push fetched entities until backpressure is applied */
+ScanStream.prototype._pushEntries = function() {
+  var more = true;
+  while (more && this._entries.length > 0) {
+    var item = this._entries.shift();
+    this.continuation = this._entries.length > 0 ?
+                        itemContinuationToken(this._entries[0]) :
+                        this._pageContinuation;
+    more = this.push(item);
+  }
+  return more;
+};
+
+ScanStream.prototype._read = function() {
+  var self = this;
+  if (this._aborted || this._ended || this._fetching) {
+    return;
+  }
+  // Push entities from current page, if we have any, and stop if we can't
+  // push more entities
+  if (!this._pushEntries()) {
+    return;
+  }
+  // End the stream, if there are no more pages
+  if (this.continuation === null && this._pageContinuation !== undefined) {
+    return this._end();
+  }
+  // Fetch next page
+  this._fetching = true;
+  Entity.scan.call(this._Class, this._conditions, {
+    matchPartition:   this._options.matchPartition,
+    matchRow:         this._options.matchRow,
+    limit:            this._options.limit,
+    select:           this._options.select,
+    continuation:     this.continuation || undefined
+  }).then(function(data) {
+    self._fetching          = false;
+    self._pageContinuation  = data.continuation || null;
+    if (self._aborted) {
+      return;
+    }
+    self._entries = data.entries;
+    if (self._entries.length > 0) {
+      self.continuation = itemContinuationToken(self._entries[0]);
+    } else {
+      self.continuation = self._pageContinuation;
+    }
+    self._read();
+  }).catch(function(err) {
+    self._fetching = false;
+    self.emit('error', err);
+  });
+};
+
+/**
+ * Abort the scan, no more pages will be fetched, and entities that have been
+ * fetched, but not pushed to the stream are discarded. The stream ends once
+ * entities already pushed have been consumed. Returns a continuation token
+ * that points to the first entity not pushed to the stream, `null` if there
+ * are no more entities.
+ */
+ScanStream.prototype.abort = function() {
+  this._aborted = true;
+  this._entries = [];
+  this._end();
+  return this.continuation;
+};
+
+/** Continuation token that resumes a scan from, and including, `item` */
+var itemContinuationToken = function(item) {
+  return encodeContinuationToken({
+    nextPartitionKey: item._partitionKey,
+    nextRowKey:       item._rowKey
+  });
+};
+
+/**
+ * Scan the table as a readable object stream of entities, taking the same
+ * `conditions` and options `matchPartition`, `matchRow`, `limit` (page size),
+ * `select` and `continuation` as `Entity.scan`. In addition the
+ * `highWaterMark` option controls how many entities can be buffered in the
+ * stream.
+ *
+ * ```js
+ * var stream = Entity.scanStream({
+ *   prop1:              Entity.op.equal('val1')
+ * }, {
+ *   limit:              100,          // Number of entities per page
+ *   highWaterMark:      16            // Number of entities to buffer
+ * });
+ * stream.on('data', function(item) {
+ *   // Do something with the item, call stream.pause() and stream.resume()
+ *   // or pipe to a writable stream to apply backpressure.
+ *   if (...) {
+ *     // Abort the scan, and save continuation token to resume later
+ *     var continuation = stream.abort();
+ *   }
+ * });
+ * stream.on('end', function() {...});
+ * ```
+ *
+ * Pages are only fetched when the stream is read, and entities are only pushed
+ * to the stream, while it's below `highWaterMark`. So at most a page and
+ * `highWaterMark` entities are kept in memory. The stream is also async
+ * iterable, in Node.js versions that support it.
+ *
+ * `stream.continuation` is a continuation token pointing to the first entity
+ * that haven't been pushed to the stream, which can be used to resume the
+ * scan with `Entity.scan` or `Entity.scanStream`. Notice that entities
+ * buffered in the stream have been pushed, so when aborting with
+ * `stream.abort()` you should consume the buffered entities until the stream
+ * ends, or process them again when resuming.
+ */
+Entity.scanStream = function(conditions, options) {
+  options = _.defaults({}, options || {}, {
+    matchRow:         'none',
+    matchPartition:   'none',
+    limit:            undefined,
+    continuation:     undefined,
+    highWaterMark:    16
+  });
+  assert(!options.handler, "options.handler isn't supported by scanStream");
+  return new ScanStream(this, conditions || {}, options);
+};
+
+/**
+ * Query entities by the secondary index `name` declared in `Entity.configure`.
+ * Conditions must give equality constraints for all properties covered by the
+ * index key, as with `matchPartition: 'exact'` in `Entity.scan`.
+ *
+ * ```js
+ * Entity.queryIndex('byEmail', {
+ *   email:              'user@example.com'
+ * }, {
+ *   limit:              1000,         // Max number of entries
+ *   continuation:       undefined     // Continuation token to query from
+ * }).then(function(data) {
+ *   data.entries        // List of Entity
+ *   data.continuation   // Continuation token, if defined
+ * });
+ * ```
+ *
+ * Index entities referencing entities that no longer exists, or no longer
+ * matches the index key are ignored, so `data.entries` may contain fewer
+ * entries than `limit`, even if `data.continuation` is defined.
+ */
+Entity.queryIndex = function(name, conditions, options) {
+  options = _.defaults({}, options || {}, {
+    limit:            undefined,
+    continuation:     undefined
+  });
+  conditions = conditions || {};
+  var Class       = this;
+  var ClassProps  = Class.prototype;
+  var index       = ClassProps.__indexes[name];
+  assert(index, "Index '" + name + "' is not declared in Entity.configure");
+  assert(options.limit === undefined ||
+         typeof(options.limit) === 'number', "options.limit must be a number");
+  _.keys(conditions).forEach(function(property) {
+    assert(index.covers.indexOf(property) !== -1, "Property '" + property +
+           "' isn't covered by index '" + name + "'");
+  });
+  var key = name + '~' + index.exactFromConditions(conditions);
+
+  var continuation = decodeContinuationToken(options.continuation);
+  return ClassProps.__indexAux.queryEntities({
+    filter:           'PartitionKey eq ' + azure.Table.Operators.string(key),
+    top:              options.limit,
+    nextPartitionKey: continuation.nextPartitionKey,
+    nextRowKey:       continuation.nextRowKey
+  }).then(function(data) {
+    return Promise.all(data.entities.map(function(entity) {
+      return ClassProps.__aux.getEntity(
+        entity.TargetPartitionKey,
+        entity.TargetRowKey
+      ).then(wrapEntityClass(Class)).then(function(item) {
+        // Ignore stale index entities
+        if (indexKeys(ClassProps, item._properties)[name] !== key) {
+          return null;
+        }
+        return item;
+      }, function(err) {
+        if (!err || err.code !== 'ResourceNotFound') {
+          throw err;
+        }
+        return null;
+      });
+    })).then(function(items) {
+      return {
+        entries:      _.compact(items),
+        continuation: encodeContinuationToken(data)
+      };
+    });
+  });
+};
+
+/**
+ * Repair secondary indexes, by creating index entities for all entities in the
+ * table, and removing index entities that are stale. That is index entities
+ * referencing entities that doesn't exist, don't match the index key, or for
+ * indexes that are no longer declared.
+ *
+ * Options:
+ * ```js
+ * {
+ *   concurrency:    10,             // Max entities processed in parallel
+ *   limit:          1000            // Max entities to fetch per page
+ * }
+ * ```
+ *
+ * Returns a promise for a status object on the form:
+ * ```js
+ * {
+ *   indexed:        42,             // Number of entities indexed
+ *   removed:        7               // Number of stale index entities removed
+ * }
+ * ```
+ *
+ * This is safe to run while the table is in use, but entities modified while
+ * the repair is running may not be indexed correctly. If `Entity.create`,
+ * `Entity.prototype.modify`, and `Entity.prototype.remove` are used, only
+ * stale index entities are possible, as index entities are created before
+ * the entity is written and removed afterwards.
+ */
+Entity.repairIndexes = function(options) {
+  options = _.defaults({}, options || {}, {
+    concurrency:    BACKGROUND_CONCURRENCY,
+    limit:          undefined
+  });
+  var Class       = this;
+  var ClassProps  = Class.prototype;
+  assert(ClassProps.__indexAux, "Entity must have indexes declared in " +
+         "Entity.configure to be repaired");
+
+  var status = {
+    indexed:        0,
+    removed:        0
+  };
+
+  // Create index entities for item
+  var indexItem = function(item) {
+    return createIndexEntities(
+      ClassProps,
+      indexKeys(ClassProps, item._properties),
+      item._partitionKey,
+      item._rowKey
+    ).then(function() {
+      status.indexed += 1;
+    });
+  };
+
+  // Create index entities for entities one page at the time
+  var indexPage = function(continuation) {
+    return Entity.scan.call(Class, {}, {
+      limit:          options.limit,
+      continuation:   continuation
+    }).then(function(data) {
+      var done = forEachLimit(data.entries, options.concurrency, indexItem);
+      return done.then(function() {
+        if (data.continuation) {
+          return indexPage(data.continuation);
+        }
+      });
+    });
+  };
+
+  // Remove index entity, if it is stale
+  var repairIndexEntity = function(entity) {
+    var name = entity.PartitionKey.split('~')[0];
+    return ClassProps.__aux.getEntity(
+      entity.TargetPartitionKey,
+      entity.TargetRowKey
+    ).then(wrapEntityClass(Class)).then(function(item) {
+      return indexKeys(ClassProps, item._properties)[name] ===
+             entity.PartitionKey;
+    }, function(err) {
+      if (!err || err.code !== 'ResourceNotFound') {
+        throw err;
+      }
+      return false;
+    }).then(function(valid) {
+      if (valid) {
+        return;
+      }
+      return ClassProps.__indexAux.deleteEntity(
+        entity.PartitionKey,
+        entity.RowKey,
+        {eTag: entity['odata.etag']}
+      ).then(function() {
+        status.removed += 1;
+      }, function(err) {
+        // Ignore index entities that have been removed or updated
+        if (!err || (err.code !== 'ResourceNotFound' &&
+                     err.code !== 'UpdateConditionNotSatisfied')) {
+          throw err;
+        }
+      });
+    });
+  };
+
+  // Remove stale index entities one page at the time
+  var repairPage = function(continuation) {
+    continuation = decodeContinuationToken(continuation);
+    return ClassProps.__indexAux.queryEntities({
+      top:              options.limit,
+      nextPartitionKey: continuation.nextPartitionKey,
+      nextRowKey:       continuation.nextRowKey
+    }).then(function(data) {
+      var done = forEachLimit(
+        data.entities, options.concurrency, repairIndexEntity
+      );
+      return done.then(function() {
+        var continuation = encodeContinuationToken(data);
+        if (continuation) {
+          return repairPage(continuation);
+        }
+      });
+    });
+  };
+
+  return indexPage(undefined).then(function() {
+    return repairPage(undefined);
+  }).then(function() {
+    debug("repairIndexes: indexed %d entities in table '%s', removed %d",
+          status.indexed, ClassProps.__table, status.removed);
+    return status;
+  }).catch(rethrowDebug("repairIndexes: Failed to repair indexes, err: %j"));
+};
+
+
+/**
+ * Migrate all entities in the table to the current schema version.
+ *
+ * Entities are migrated lazily when read, but `Entity.scan` filters are
+ * evaluated by Azure against the stored properties. So if a property is
+ * renamed or changed in a new version, filters on it won't match entities
+ * stored with an older version. This method scans the table and rewrites all
+ * entities with an older version, using `Entity.prototype.modify` semantics.
+ *
+ * Options:
+ * ```js
+ * {
+ *   continuation:   undefined,      // Continuation token to resume from
+ *   limit:          1000,           // Max entities to fetch per page
+ *   concurrency:    10,             // Max entities migrated in parallel
+ *   progress:       function(status) {
+ *     // Called after each page with a copy of the status object returned,
+ *     // status.continuation can be saved to resume migration later.
+ *     // May return a promise, which will be awaited.
+ *   }
+ * }
+ * ```
+ *
+ * Returns a promise for a status object on the form:
+ * ```js
+ * {
+ *   scanned:        42,             // Number of entities scanned
+ *   migrated:       7,              // Number of entities migrated
+ *   versions: {                     // Number of entities scanned per version
+ *     1:            7,              // (before migration), when there is no
+ *     2:            35              // entities with old versions the old
+ *   },                              // migration code can be dropped.
+ *   continuation:   null            // Continuation token, null when done
+ * }
+ * ```
+ *
+ * Entities removed while the migration is running are ignored, and entities
+ * modified concurrently are reloaded and migrated again, as with `modify`.
+ */
+Entity.migrateAll = function(options) {
+  options = _.defaults({}, options || {}, {
+    continuation:   undefined,
+    limit:          undefined,
+    concurrency:    BACKGROUND_CONCURRENCY,
+    progress:       null
+  });
+  var Class       = this;
+  var ClassProps  = Class.prototype;
+  assert(typeof(options.concurrency) === 'number' && options.concurrency > 0,
+         "options.concurrency must be a positive number");
+  assert(!options.progress || options.progress instanceof Function,
+         "If options.progress is given it must be a function");
+
+  var status = {
+    scanned:        0,
+    migrated:       0,
+    versions:       {},
+    continuation:   options.continuation || null
+  };
+
+  // Migrate an item, if it has an old version
+  var migrateItem = function(item) {
+    status.scanned += 1;
+    status.versions[item._version] = (status.versions[item._version] || 0) + 1;
+    if (item._version === ClassProps.__version) {
+      return;
+    }
+    // Modify without changes, this will replace the entity with the current
+    // version, because the version of item differs. If another process
+    // migrated the entity first, modify reloads it and the modifier sees the
+    // current version, so it isn't counted as migrated here.
+    var outdated = false;
+    return item.modify(function() {
+      outdated = item._version !== ClassProps.__version;
+    }).then(function() {
+      if (outdated) {
+        status.migrated += 1;
+      }
+    }, function(err) {
+      // Ignore entities that have been removed
+      if (!err || err.code !== 'ResourceNotFound') {
+        throw err;
+      }
+    });
+  };
+
+  // Migrate entities one page at the time
+  var migratePage = function(continuation) {
+    return Entity.scan.call(Class, {}, {
+      limit:          options.limit,
+      continuation:   continuation
+    }).then(function(data) {
+      return forEachLimit(
+        data.entries, options.concurrency, migrateItem
+      ).then(function() {
+        status.continuation = data.continuation || null;
+        if (options.progress) {
+          return options.progress(_.cloneDeep(status));
+        }
+      }).then(function() {
+        if (data.continuation) {
+          return migratePage(data.continuation);
+        }
+      });
+    });
+  };
+
+  return migratePage(options.continuation).then(function() {
+    debug("migrateAll: migrated %d of %d entities in table '%s'",
+          status.migrated, status.scanned, ClassProps.__table);
+    return status;
+  }).catch(rethrowDebug("migrateAll: Failed to migrate entities, err: %j"));
+};
+
+/**
+ * Remove all entities that have expired at `now`, as given by the `expires`
+ * property declared in `Entity.configure`. If `now` isn't given, the current
+ * time is used.
+ *
+ * Options:
+ * ```js
+ * {
+ *   concurrency:    10,             // Max entities removed in parallel
+ *   limit:          1000            // Max entities to fetch per page
+ * }
+ * ```
+ *
+ * Returns a promise for a status object on the form:
+ * ```js
+ * {
+ *   removed:        42,             // Number of entities removed
+ *   skipped:        1               // Number of entities modified or removed
+ * }                                 // concurrently, and hence, not removed
+ * ```
+ *
+ * Entities modified while being expired are skipped, as their expiration may
+ * have been extended. These will be removed on the next call, if still expired.
+ */
+Entity.expire = function(now, options) {
+  options = _.defaults({}, options || {}, {
+    concurrency:    BACKGROUND_CONCURRENCY,
+    limit:          undefined
+  });
+  now = now || new Date();
+  var Class       = this;
+  var ClassProps  = Class.prototype;
+  assert(ClassProps.__expires, "expires must be given in Entity.configure");
+  assert(now instanceof Date, "now must be a Date object");
+  assert(typeof(options.concurrency) === 'number' && options.concurrency > 0,
+         "options.concurrency must be a positive number");
+
+  var status = {
+    removed:        0,
+    skipped:        0
+  };
+
+  // Remove item, unless it have been modified or removed
+  var removeItem = function(item) {
+    return item.remove(false, false).then(function() {
+      status.removed += 1;
+    }, function(err) {
+      if (!err || (err.code !== 'UpdateConditionNotSatisfied' &&
+                   err.code !== 'ResourceNotFound')) {
+        throw err;
+      }
+      status.skipped += 1;
+    });
+  };
+
+  // Remove expired entities one page at the time
+  var conditions = {};
+  conditions[ClassProps.__expires] = Entity.op.lessThan(now);
+  var expirePage = function(continuation) {
+    return Entity.scan.call(Class, conditions, {
+      limit:          options.limit,
+      continuation:   continuation
+    }).then(function(data) {
+      var done = forEachLimit(data.entries, options.concurrency, removeItem);
+      return done.then(function() {
+        if (data.continuation) {
+          return expirePage(data.continuation);
+        }
+      });
+    });
+  };
+
+  return expirePage(undefined).then(function() {
+    debug("expire: removed %d entities from table '%s', skipped %d",
+          status.removed, ClassProps.__table, status.skipped);
+    return status;
+  }).catch(rethrowDebug("expire: Failed to remove entities, err: %j"));
+};
+
+/**
+ * Export all entities to the writable stream `output` as newline-delimited
+ * JSON, one serialized entity per line. Entities are deserialized and then
+ * serialized with the current schema version, so old entities are migrated.
+ * Constraints aren't checked, so entities stored before a constraint was added
+ * are exported too.
+ * Encrypted properties remain encrypted, so the same `cryptoKey` must be
+ * given to `Entity.setup` when importing the entities again.
+ *
+ * Options:
+ * ```js
+ * {
+ *   limit:          1000            // Max entities to fetch per page
+ * }
+ * ```
+ *
+ * Returns a promise for a status object on the form `{exported: 42}`, when all
+ * entities have been written to `output`, this doesn't end `output`.
+ */
+Entity.exportTo = function(output, options) {
+  options = _.defaults({}, options || {}, {
+    limit:          undefined
+  });
+  var Class       = this;
+  var ClassProps  = Class.prototype;
+  assert(output && output.write instanceof Function,
+         "output must be a writable stream");
+
+  var status = {
+    exported:       0
+  };
+
+  // Reject if output emits an error
+  var onError = null;
+  var onDrain = null;
+  var failed = new Promise(function(accept, reject) {
+    onError = reject;
+  });
+  output.once('error', onError);
+
+  // Write text to output, respecting backpressure
+  var write = function(text) {
+    return Promise.race([failed, new Promise(function(accept) {
+      if (output.write(text)) {
+        accept();
+      } else {
+        onDrain = accept;
+        output.once('drain', onDrain);
+      }
+    })]);
+  };
+
+  // Remove listeners from output, when the export is done
+  var cleanup = function() {
+    output.removeListener('error', onError);
+    if (onDrain) {
+      output.removeListener('drain', onDrain);
+    }
+  };
+
+  // Export entities one page at the time
+  var exportPage = function(continuation) {
+    return Entity.scan.call(Class, {}, {
+      limit:          options.limit,
+      continuation:   continuation
+    }).then(function(data) {
+      // Serialize without checking constraints, as entities stored before a
+      // constraint was added must also be exported
+      var text = data.entries.map(function(item) {
+        var entity = ClassProps.__serialize(item._properties, true);
+        return JSON.stringify(entity) + '\n';
+      }).join('');
+      status.exported += data.entries.length;
+      return write(text).then(function() {
+        if (data.continuation) {
+          return exportPage(data.continuation);
+        }
+      });
+    });
+  };
+
+  return exportPage(undefined).then(function() {
+    cleanup();
+    debug("exportTo: exported %d entities from table '%s'",
+          status.exported, ClassProps.__table);
+    return status;
+  }, function(err) {
+    cleanup();
+    throw err;
+  }).catch(rethrowDebug("exportTo: Failed to export entities, err: %j"));
+};
+
+// Valid values for `options.mode` in Entity.importFrom
+var VALID_IMPORT_MODES = ['create', 'overwrite', 'skip'];
+
+/**
+ * Import entities from the readable stream `input` with newline-delimited JSON,
+ * as written by `Entity.exportTo`. Entities are deserialized, migrating old
+ * versions, and created with `Entity.create`, so indexes, hooks and events
+ * work as usual.
+ *
+ * Options:
+ * ```js
+ * {
+ *   mode:           'create',       // 'create', 'overwrite' or 'skip'
+ *   concurrency:    10              // Max entities created in parallel
+ * }
+ * ```
+ *
+ * In mode `'create'` the import fails if an entity already exists, in mode
+ * `'overwrite'` existing entities are overwritten, and in mode `'skip'`
+ * existing entities are left unchanged. In all modes, the import fails if an
+ * entity violates a unique constraint with another entity.
+ *
+ * Returns a promise for a status object on the form:
+ * ```js
+ * {
+ *   imported:       42,             // Number of entities created
+ *   skipped:        1               // Number of entities that already existed
+ * }
+ * ```
+ *
+ * If a line can't be imported, the import fails with an error that has
+ * `err.line` as the line number. Entities imported before the failure are not
+ * removed, so the import can be resumed with mode `'skip'`.
+ */
+Entity.importFrom = function(input, options) {
+  options = _.defaults({}, options || {}, {
+    mode:           'create',
+    concurrency:    BACKGROUND_CONCURRENCY
+  });
+  var Class       = this;
+  var ClassProps  = Class.prototype;
+  assert(input && input.on instanceof Function,
+         "input must be a readable stream");
+  assert(VALID_IMPORT_MODES.indexOf(options.mode) !== -1,
+         "Valid values for 'mode' are: " + VALID_IMPORT_MODES.join(', '));
+  assert(typeof(options.concurrency) === 'number' && options.concurrency > 0,
+         "options.concurrency must be a positive number");
+
+  var status = {
+    imported:       0,
+    skipped:        0
+  };
+
+  // Import a line, given as {number, text}
+  var overwrite = options.mode === 'overwrite';
+  var importLine = function(line) {
+    return Promise.resolve().then(function() {
+      var properties = ClassProps.__deserialize(JSON.parse(line.text));
+      return Entity.create.call(Class, properties, overwrite);
+    }).then(function() {
+      status.imported += 1;
+    }, function(err) {
+      // Skip entities that exist, but not entities violating a unique
+      // constraint with another entity, these would be lost
+      var exists = err && err.code === 'EntityAlreadyExists' &&
+                   !(err instanceof errors.UniqueConstraintViolation);
+      if (options.mode === 'skip' && exists) {
+        status.skipped += 1;
+        return;
+      }
+      if (err && err.line === undefined) {
+        err.line = line.number;
+      }
+      throw err;
+    });
+  };
+
+  return new Promise(function(accept, reject) {
+    var lines     = [];     // Lines read, but not imported
+    var buffer    = '';     // Text read after the last newline
+    var count     = 0;      // Number of lines read
+    var running   = 0;      // Number of lines being imported
+    var ended     = false;  // True, if input has ended
+    var failed    = false;  // True, if an import failed
+
+    // Add lines from text, ignoring empty lines
+    var addLines = function(text) {
+      text.split('\n').forEach(function(text) {
+        count += 1;
+        if (text.trim() !== '') {
+          lines.push({number: count, text: text});
+        }
+      });
+    };
+
+    // Import lines with at most options.concurrency running, and pause input
+    // if we have more lines than we can handle
+    var next = function() {
+      if (failed) {
+        return;
+      }
+      while (running < options.concurrency && lines.length > 0) {
+        running += 1;
+        importLine(lines.shift()).then(function() {
+          running -= 1;
+          next();
+        }, function(err) {
+          failed = true;
+          if (input.pause instanceof Function) {
+            input.pause();
+          }
+          reject(err);
+        });
+      }
+      if (ended) {
+        if (running === 0) {
+          accept(status);
+        }
+      } else if (lines.length >= options.concurrency) {
+        input.pause();
+      } else {
+        input.resume();
+      }
+    };
+
+    input.setEncoding('utf8');
+    input.on('data', function(chunk) {
+      var text = buffer + chunk;
+      var end  = text.lastIndexOf('\n');
+      buffer = text.substr(end + 1);
+      if (end !== -1) {
+        addLines(text.substr(0, end));
+      }
+      next();
+    });
+    input.on('end', function() {
+      ended = true;
+      addLines(buffer);
+      next();
+    });
+    input.on('error', function(err) {
+      failed = true;
+      reject(err);
+    });
+  }).then(function(status) {
+    debug("importFrom: imported %d entities to table '%s', skipped %d",
+          status.imported, ClassProps.__table, status.skipped);
+    return status;
+  }).catch(rethrowDebug("importFrom: Failed to import entities, err: %j"));
+};
+
+/**
+ * Batch of operations for an entity group transaction, see `Entity.batch`.
+ * Operations are recorded with `create`, `modify` and `remove`, and submitted
+ * as a single transaction with `submit`.
+ */
+var EntityBatch = function(Class) {
+  this._Class       = Class;
+  this._operations  = [];
+};
+
+/**
+ * Add an operation to the batch, `prepare` is a function that returns a
+ * promise for `null` (nothing to submit) or an object on the form:
+ * `{request: {...}, done: function(eTag) {...}}`, where `request` is an
+ * operation as accepted by `submitBatch` and `done` is called with the eTag,
+ * when the batch have been submitted, and returns the result of the operation.
+ */
+EntityBatch.prototype._add = function(name, prepare) {
+  this._operations.push({
+    name:     name,
+    prepare:  prepare
+  });
+  return this;
+};
+
+/**
+ * Create an entity with `properties` as part of this batch, overwriting any
+ * existing entity if `overwriteIfExists` is true. Result of the operation will
+ * be an instance of the `Entity` subclass.
+ */
+EntityBatch.prototype.create = function(properties, overwriteIfExists) {
+  var Class       = this._Class;
+  var ClassProps  = Class.prototype;
+  assert(properties, "Properties is required");
+  return this._add('create', function() {
+    var entity = ClassProps.__serialize(properties);
+    var request = null;
+    if (!overwriteIfExists) {
+      request = {
+        method:   'insertEntity',
+        entity:   entity
+      };
+    } else {
+      request = {
+        method:   'updateEntity',
+        entity:   entity,
+        options:  {mode: 'replace', eTag: null}
+      };
+    }
+    return {
+      request:  request,
+      done:     function(eTag) {
+        entity['odata.etag'] = eTag;
+        return new Class(entity);
+      }
+    };
+  });
+};
+
+/**
+ * Modify `item` with `modifier` as part of this batch, see
+ * `Entity.prototype.modify` for details on `modifier`. The modifier is
+ * applied to a clone of the properties when the batch is submitted, and
+ * `item` is only updated if the batch succeeds.
+ *
+ * Unlike `Entity.prototype.modify` this won't retry, if `item` have been
+ * modified by another process. Instead the entire batch fails with
+ * `UpdateConditionNotSatisfied`, and you may `reload` and try again.
+ * Result of the operation will be `item`.
+ */
+EntityBatch.prototype.modify = function(item, modifier) {
+  assert(item instanceof this._Class,
+         "item must be an instance of the Entity subclass");
+  assert(modifier instanceof Function, "modifier must be a function");
+  assert(!item._partial, "Partial entities must be reloaded before they can " +
+                         "be modified in a batch");
+  return this._add('modify', function() {
+    // Create a clone of item._properties, so we can apply modifier to it
+    var properties = {};
+    _.forIn(item.__mapping, function(type, property) {
+      properties[property] = type.clone(item._properties[property]);
+    });
+    return Promise.resolve(modifier.call(
+      properties,
+      properties
+    )).then(function() {
+      var changes = serializeChanges(item, item._properties, properties);
+      if (!changes) {
+        return {
+          request:  null,
+          done:     function() { return item; }
+        };
+      }
+      return {
+        request:  {
+          method:   'updateEntity',
+          entity:   changes.entity,
+          options:  {mode: changes.mode, eTag: item._etag}
+        },
+        done:     function(eTag) {
+          item._properties  = properties;
+          item._version     = item.__version;
+          item._outdated    = false;
+          item._etag        = eTag;
+          return item;
+        }
+      };
+    });
+  });
+};
+
+/**
+ * Remove an entity as part of this batch. If given an instance of the
+ * `Entity` subclass, removal will fail if the remote entity has been
+ * modified, unless `ignoreChanges` is set. If given properties, the entity
+ * with keys constructed from properties will be removed regardless of changes.
+ * Result of the operation will be `true`.
+ *
+ * Notice that removal of an entity that doesn't exist causes the entire batch
+ * to fail with `ResourceNotFound`.
+ */
+EntityBatch.prototype.remove = function(itemOrProperties, ignoreChanges) {
+  var ClassProps = this._Class.prototype;
+  assert(itemOrProperties, "item or properties is required");
+  return this._add('remove', function() {
+    var request = {
+      method:   'deleteEntity',
+      options:  {eTag: '*'}
+    };
+    if (itemOrProperties instanceof Entity) {
+      request.partitionKey  = itemOrProperties._partitionKey;
+      request.rowKey        = itemOrProperties._rowKey;
+      if (!ignoreChanges) {
+        request.options.eTag = itemOrProperties._etag;
+      }
+    } else {
+      request.partitionKey  = ClassProps.__partitionKey.exact(itemOrProperties);
+      request.rowKey        = ClassProps.__rowKey.exact(itemOrProperties);
+    }
+    return {
+      request:  request,
+      done:     function() { return true; }
+    };
+  });
+};
+
+/**
+ * Submit all operations in this batch as an entity group transaction.
+ *
+ * Returns a promise for a list of results in the order operations were added
+ * to the batch. Either all operations succeed or none of them are applied.
+ * If an operation fails, the error will have `err.index` set to the index of
+ * the failed operation and `err.operation` set to `'create'`, `'modify'` or
+ * `'remove'`, if the failed operation is known.
+ */
+EntityBatch.prototype.submit = function() {
+  var ClassProps  = this._Class.prototype;
+  var operations  = this._operations;
+  assert(operations.length <= azureBatch.MAX_BATCH_OPERATIONS,
+         "A batch can contain at most " + azureBatch.MAX_BATCH_OPERATIONS +
+         " operations");
+
+  // Annotate error with index and name of operation
+  var annotateError = function(err, index) {
+    if (err && index !== undefined && operations[index]) {
+      err.index     = index;
+      err.operation = operations[index].name;
+    }
+    return err;
+  };
+
+  // Prepare all operations
+  return Promise.all(operations.map(function(op, index) {
+    return Promise.resolve().then(op.prepare).catch(function(err) {
+      throw annotateError(err, index);
+    });
+  })).then(function(prepared) {
+    // Find operations we have to submit, and remember their indexes
+    var indexes = [];
+    var requests = [];
+    prepared.forEach(function(entry, index) {
+      if (entry.request) {
+        indexes.push(index);
+        requests.push(entry.request);
+      }
+    });
+
+    // Submit requests, if there is any
+    var submitted = Promise.resolve([]);
+    if (requests.length > 0) {
+      submitted = ClassProps.__aux.submitBatch(requests).catch(function(err) {
+        throw annotateError(err, indexes[err ? err.index : undefined]);
+      });
+    }
+
+    return submitted.then(function(eTags) {
+      // Remove entities modified by the batch from the cache
+      requests.forEach(function(request) {
+        if (request.entity) {
+          invalidateCache(
+            ClassProps, request.entity.PartitionKey, request.entity.RowKey
+          );
+        } else {
+          invalidateCache(ClassProps, request.partitionKey, request.rowKey);
+        }
+      });
+      return prepared.map(function(entry, index) {
+        return entry.done(eTags[indexes.indexOf(index)]);
+      });
+    });
+  }).catch(rethrowDebug("Failed to submit batch, err: %j"));
+};
+
+/**
+ * Create a batch of operations to be submitted as an entity group transaction.
+ * All operations in a batch must be for entities with the same partition key,
+ * an entity can only be referenced once, and a batch can have at most 100
+ * operations.
+ *
+ * Example:
+ * ```js
+ * Entity.batch()
+ *   .create({id: 'my-id', name: 'task',       count: 1})
+ *   .create({id: 'my-id', name: 'dependency', count: 0})
+ *   .modify(item, function() {
+ *     this.count += 1;
+ *   })
+ *   .remove({id: 'my-id', name: 'old-dependency'})
+ *   .submit().then(function(results) {
+ *     // results[0] and results[1] are the created entities
+ *     // results[2] is item, and results[3] is true
+ *   });
+ * ```
+ *
+ * Either all operations succeed or the entire batch fails, in which case the
+ * error will have `err.index` and `err.operation` identifying the operation
+ * that failed.
+ *
+ * Batches aren't supported for entities with indexes or unique constraints, as
+ * index entities and reservations are stored in other tables. Before hooks and
+ * events, see `Entity.before`, are not triggered by batches.
+ */
+Entity.batch = function() {
+  assert(_.isEmpty(this.prototype.__indexes),
+         "Entity.batch doesn't support entities with indexes");
+  assert(_.isEmpty(this.prototype.__unique),
+         "Entity.batch doesn't support entities with unique constraints");
+  return new EntityBatch(this);
+};
 
 /** Utility method for node making util.inspect print properties */
 Entity.prototype.inspect = function(depth) {
   return util.inspect(this._properties, {depth: depth});
 };
 
-// TODO: Method upgrade all entities to new version in a background-process
-//       This is useful for when something relies on filtering properties
-//       and we change a property name. We should have some utilities for doing
-//       this...
-
 // Export Entity
 module.exports = Entity;
 
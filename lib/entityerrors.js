@@ -0,0 +1,138 @@
+"use strict";
+
+var util            = require('util');
+var _               = require('lodash');
+
+/******************** EntityError ********************/
+
+/**
+ * Base class for errors thrown by Entity operations. Errors are constructed
+ * with a `message` and `details` which are assigned to the error, typically
+ * these are:
+ *  - `table`, name of the azure table,
+ *  - `partitionKey`, PartitionKey of the entity, and
+ *  - `rowKey`, RowKey of the entity.
+ *
+ * Like errors from `fast-azure-storage` errors have a `code`, which is the
+ * error code from azure, so `err.code === 'ResourceNotFound'` continues to
+ * work, but it's recommended to use `instanceof` with the subclasses below.
+ */
+var EntityError = function(message, details) {
+  Error.call(this);
+  Error.captureStackTrace(this, this.constructor);
+  this.message = message;
+  _.assign(this, details || {});
+};
+
+// Inherit from Error
+util.inherits(EntityError, Error);
+
+/** Define a subclass of `Parent` with `name`, `code` and `statusCode` */
+var defineError = function(Parent, name, code, statusCode) {
+  var EntityErrorClass = function(message, details) {
+    Parent.call(this, message, details);
+  };
+  util.inherits(EntityErrorClass, Parent);
+  EntityErrorClass.prototype.name       = name;
+  EntityErrorClass.prototype.code       = code;
+  EntityErrorClass.prototype.statusCode = statusCode;
+  return EntityErrorClass;
+};
+
+// Export EntityError
+exports.EntityError = EntityError;
+
+/******************** NotFound Error ********************/
+
+/**
+ * Error thrown when an entity doesn't exist, or was removed or modified before
+ * the operation could complete. `code` is `'ResourceNotFound'`.
+ */
+var NotFound = defineError(
+  EntityError, 'NotFoundError', 'ResourceNotFound', 404
+);
+
+// Export NotFound
+exports.NotFound = NotFound;
+
+/******************** AlreadyExists Error ********************/
+
+/**
+ * Error thrown when an entity can't be created, because it already exists.
+ * `code` is `'EntityAlreadyExists'`.
+ */
+var AlreadyExists = defineError(
+  EntityError, 'AlreadyExistsError', 'EntityAlreadyExists', 409
+);
+
+// Export AlreadyExists
+exports.AlreadyExists = AlreadyExists;
+
+/******************** Conflict Error ********************/
+
+/**
+ * Error thrown when an entity can't be modified or removed, because it was
+ * modified by another process, ie. its eTag didn't match.
+ * `code` is `'UpdateConditionNotSatisfied'`.
+ */
+var Conflict = defineError(
+  EntityError, 'ConflictError', 'UpdateConditionNotSatisfied', 412
+);
+
+// Export Conflict
+exports.Conflict = Conflict;
+
+/******************** TooManyRetries Error ********************/
+
+/**
+ * Error thrown when an operation gives up retrying, e.g. when
+ * `Entity.prototype.modify` keeps experiencing conflicts from optimistic
+ * concurrency. `attempts` is the number of attempts made.
+ */
+var TooManyRetries = defineError(
+  EntityError, 'TooManyRetriesError', 'TooManyRetries', undefined
+);
+
+// Export TooManyRetries
+exports.TooManyRetries = TooManyRetries;
+
+/******************** UniqueConstraintViolation Error ********************/
+
+/**
+ * Error thrown when an entity can't be created or modified, because another
+ * entity has the same values for properties in a `unique` constraint declared
+ * in `Entity.configure`. `properties` is the list of properties in the
+ * constraint. This is a subclass of `AlreadyExists`.
+ */
+var UniqueConstraintViolation = defineError(
+  AlreadyExists, 'UniqueConstraintViolationError', 'EntityAlreadyExists', 409
+);
+
+// Export UniqueConstraintViolation
+exports.UniqueConstraintViolation = UniqueConstraintViolation;
+
+/******************** Azure Errors ********************/
+
+// Error classes for error codes from azure
+var AZURE_ERRORS = {
+  ResourceNotFound:             NotFound,
+  EntityAlreadyExists:          AlreadyExists,
+  UpdateConditionNotSatisfied:  Conflict
+};
+
+/**
+ * Wrap `err` from `fast-azure-storage` in an `EntityError` subclass with
+ * `details`, if its code is one of the codes above. Other errors are returned
+ * as they are. Properties `payload` and `index` are kept, if present.
+ */
+var fromAzureError = function(err, details) {
+  if (!err || err instanceof EntityError || !AZURE_ERRORS[err.code]) {
+    return err;
+  }
+  return new AZURE_ERRORS[err.code](err.message, _.assign(
+    _.pick(err, 'payload', 'index'), details
+  ));
+};
+
+// Export fromAzureError
+exports.fromAzureError = fromAzureError;
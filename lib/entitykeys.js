@@ -57,6 +57,10 @@ var decodeStringKey = function(key) {
   return decodeURIComponent(key.replace(/!/g, '%'));
 };
 
+// Export encodeStringKey and decodeStringKey for use in EncodedString type
+exports.encodeStringKey = encodeStringKey;
+exports.decodeStringKey = decodeStringKey;
+
 /******************** String Key ********************/
 
 /** Construct a StringKey */
@@ -92,6 +96,18 @@ StringKey.prototype.exactFromConditions = function(properties) {
   return encodeStringKey(this.type.string(value));
 };
 
+/**
+ * Construct partial key if possible, a StringKey can't be matched partially,
+ * so this is always an exact match. See CompositeKey.partialFromConditions.
+ */
+StringKey.prototype.partialFromConditions = function(properties) {
+  return {
+    key:      this.exactFromConditions(properties),
+    exact:    true,
+    covers:   this.covers
+  };
+};
+
 /** Create StringKey builder */
 exports.StringKey = function(key) {
   return function(mapping) {
@@ -121,6 +137,14 @@ ConstantKey.prototype.exactFromConditions = function(properties) {
   return this.encodedConstant;
 };
 
+ConstantKey.prototype.partialFromConditions = function(properties) {
+  return {
+    key:      this.encodedConstant,
+    exact:    true,
+    covers:   this.covers
+  };
+};
+
 exports.ConstantKey = function(constant) {
   assert(typeof(constant) === 'string', "ConstantKey takes a string!");
   return function(mapping) {
@@ -132,8 +156,8 @@ exports.ConstantKey = function(constant) {
 /******************** Composite Key ********************/
 
 // Separator for use in Composite keys (don't change this)
-// Note, that tilde is the last character, we can exploit this when we decide to
-// implement prefix matching for rowKeys.
+// Note, that tilde is the last character, we exploit this for prefix matching
+// in CompositeKey.partialFromConditions.
 var COMPOSITE_SEPARATOR = '~';
 
 /** Construct a CompositeKey */
@@ -185,6 +209,60 @@ CompositeKey.prototype.exactFromConditions = function(properties) {
   }, this).join(COMPOSITE_SEPARATOR); // Join with separator
 };
 
+/**
+ * Construct partial key from leading keys for which conditions specifies an
+ * exact value. Returns an object on the form:
+ * ```js
+ * {
+ *   key:      '...',           // Exact key or prefix of key
+ *   exact:    true || false,   // True, if key is exact
+ *   covers:   ['key1', ...]    // Properties covered by the key
+ * }
+ * ```
+ *
+ * If `exact` is false, `key` is a prefix that ends with the separator, and
+ * any composite key starting with `key` is less than `key + '~'`, because all
+ * characters in an encoded string key are less than `~`. Hence, a prefix match
+ * can be done as a range query.
+ */
+CompositeKey.prototype.partialFromConditions = function(properties) {
+  var prefix  = '';
+  var covers  = [];
+  for (var i = 0; i < this.keys.length; i++) {
+    // Get value from key, stop at the first key with no exact value
+    var value = valueFromOpOrValue(properties[this.keys[i]]);
+    if (value === undefined) {
+      break;
+    }
+
+    // Encode as string and append to prefix
+    prefix += encodeStringKey(this.types[i].string(value)) +
+              COMPOSITE_SEPARATOR;
+    covers.push(this.keys[i]);
+  }
+
+  // Check that we have at least the first key
+  if (covers.length === 0) {
+    throw new Error("Unable to render partial CompositeKey from properties, " +
+                    "missing: '" + this.keys[0] + "'");
+  }
+
+  // If all keys are covered, we have an exact key (without trailing separator)
+  if (covers.length === this.keys.length) {
+    return {
+      key:      prefix.substr(0, prefix.length - COMPOSITE_SEPARATOR.length),
+      exact:    true,
+      covers:   covers
+    };
+  }
+
+  return {
+    key:      prefix,
+    exact:    false,
+    covers:   covers
+  };
+};
+
 exports.CompositeKey = function() {
   var keys = Array.prototype.slice.call(arguments);
   keys.forEach(function(key) {
@@ -273,6 +351,18 @@ HashKey.prototype.exactFromConditions = function(properties) {
   return hash.digest('hex');
 };
 
+/**
+ * Construct partial key if possible, a HashKey can't be matched partially,
+ * so this is always an exact match. See CompositeKey.partialFromConditions.
+ */
+HashKey.prototype.partialFromConditions = function(properties) {
+  return {
+    key:      this.exactFromConditions(properties),
+    exact:    true,
+    covers:   this.covers
+  };
+};
+
 exports.HashKey = function() {
   var keys = Array.prototype.slice.call(arguments);
   keys.forEach(function(key) {
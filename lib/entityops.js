@@ -68,6 +68,80 @@ EQUIVALENCE_RELATIONS.forEach(function(operator) {
   };
 });
 
+/******************** Composite Operators ********************/
+
+/** Operator matching values in a list, see `Op.in` */
+var InOp = function(operand) {
+  Op.call(this, operand);
+};
+util.inherits(InOp, Op);
+InOp.prototype.operator = 'in';
+InOp.prototype.ordered = false;
+
+/** Max number of comparisons Azure Table Storage allows in a filter */
+var MAX_COMPARISONS = 15;
+
+/**
+ * Match values equal to one of the values in `list`, types construct this as
+ * a disjunction of equality comparisons. Hence, `list` can at most contain 15
+ * values, as Azure Table Storage allows at most 15 comparisons in a filter.
+ */
+Op.in = function(list) {
+  assert(list instanceof Array, "operand must be an array");
+  assert(list.length > 0, "operand must contain at least one value");
+  assert(list.length <= MAX_COMPARISONS, "operand can't contain more than " +
+         MAX_COMPARISONS + " values");
+  return new InOp(list);
+};
+
+/** Operator matching strings with a prefix, see `Op.startsWith` */
+var StartsWithOp = function(operand) {
+  Op.call(this, operand);
+};
+util.inherits(StartsWithOp, Op);
+StartsWithOp.prototype.operator = 'startsWith';
+StartsWithOp.prototype.ordered = true;
+
+/**
+ * Match strings starting with `prefix`, types construct this as a range
+ * query, hence, it's only supported by types ordered as strings.
+ */
+Op.startsWith = function(prefix) {
+  assert(typeof(prefix) === 'string', "prefix must be a string");
+  return new StartsWithOp(prefix);
+};
+
+/** Operator matching any of a list of operators, see `Op.or` */
+var OrOp = function(operand) {
+  Op.call(this, operand);
+};
+util.inherits(OrOp, Op);
+OrOp.prototype.operator = 'or';
+OrOp.prototype.ordered = false;
+
+/**
+ * Match values satisfying at least one of the operators given as arguments,
+ * values given instead of operators are treated as `Op.equal`.
+ *
+ * Example:
+ * ```js
+ * Entity.scan({
+ *   name:  Entity.op.or(Entity.op.startsWith('a'), Entity.op.equal('b'))
+ * });
+ * ```
+ */
+Op.or = function() {
+  var operands = _.toArray(arguments).map(function(operand) {
+    assert(operand !== undefined, "operand is required");
+    if (operand instanceof Op) {
+      return operand;
+    }
+    return Op[azTableOps.Equal](operand);
+  });
+  assert(operands.length > 0, "at least one operand is required");
+  return new OrOp(operands);
+};
+
 /******************** Short Hands ********************/
 
 // Human readable short hand for operators
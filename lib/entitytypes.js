@@ -1,6 +1,7 @@
 "use strict";
 
 var util            = require('util');
+var crypto          = require('crypto');
 var assert          = require('assert');
 var _               = require('lodash');
 var debug           = require('debug')('base:entity:types');
@@ -9,6 +10,7 @@ var stringify       = require('json-stable-stringify');
 var buffertools     = require('buffertools');
 var azure           = require('fast-azure-storage');
 var fmt             = azure.Table.Operators;
+var keys            = require('./entitykeys');
 
 // Check that value is of types for name and property
 // Print messages and throw an error if the check fails
@@ -23,6 +25,67 @@ var checkType = function(name, property, value, types) {
   }
 };
 
+// Check that value satisfies constraint for name and property
+// Print messages and throw an error if the check fails
+var checkConstraint = function(name, property, value, valid, message) {
+  if (!valid) {
+    debug("%s '%s' %s got: %j", name, property, message, value);
+    var err = new Error(name + " '" + property + "' " + message + " got: " +
+                        JSON.stringify(value));
+    err.property = property;
+    throw err;
+  }
+};
+
+/**
+ * Build $filter string for `op` on property of `type`, where `compare` is a
+ * function that returns a condition comparing the property with an operand,
+ * given `(operator, operand)`. Composite operators `in` and `or` are
+ * constructed using `compare`, and if `prefixable` is true, `startsWith` is
+ * constructed as a range query.
+ */
+var buildFilter = function(type, op, compare, prefixable) {
+  switch (op.operator) {
+    case 'in':
+      return '(' + op.operand.map(function(value) {
+        return compare(fmt.Equal, value);
+      }).join(' or ') + ')';
+
+    case 'or':
+      return '(' + op.operand.map(function(op) {
+        return buildFilter(type, op, compare, prefixable);
+      }).join(' or ') + ')';
+
+    case 'startsWith':
+      if (!prefixable) {
+        throw new Error("Operator 'startsWith' isn't supported for '" +
+                        type.property + "', as it isn't ordered as a string");
+      }
+      // Find the smallest string larger than all strings with the prefix, by
+      // incrementing the last character that can be incremented
+      var prefix  = op.operand;
+      var end     = prefix.replace(/\uffff+$/, '');
+      var lower   = compare(fmt.GreaterThanOrEqual, prefix);
+      if (end === '') {
+        return lower;
+      }
+      end = end.substr(0, end.length - 1) +
+            String.fromCharCode(end.charCodeAt(end.length - 1) + 1);
+      return '(' + lower + ' and ' + compare(fmt.LessThan, end) + ')';
+
+    default:
+      return compare(op.operator, op.operand);
+  }
+};
+
+/**
+ * True, if constraints should be checked when serializing values with
+ * `context`, this is false when entities are serialized by `Entity.exportTo`.
+ */
+var checkConstraintsFor = function(context) {
+  return !context || context.__checkConstraints !== false;
+};
+
 /******************** Base Type ********************/
 
 /** Base class for all Entity serializable data types */
@@ -46,8 +109,43 @@ BaseType.prototype.isOrdered    = false;
  */
 BaseType.prototype.isComparable = false;
 
-/** Serialize value to target for property */
-BaseType.prototype.serialize = function(target, value) {
+/**
+ * Constraints for values of this type, see `constrainType`. Constraints are
+ * checked with `checkConstraints` when values are serialized.
+ */
+BaseType.prototype.constraints  = {};
+
+/** Check that value satisfies constraints, throws an error if not */
+BaseType.prototype.checkConstraints = function(value) {
+};
+
+/**
+ * Context keys required by this type, these must be declared in
+ * `Entity.configure` and given in `Entity.setup`.
+ */
+BaseType.prototype.requiredContext = [];
+
+/**
+ * Check if the property is present in source, used for deserialization of
+ * optional properties.
+ */
+BaseType.prototype.isPresent = function(source) {
+  return source[this.property] !== undefined && source[this.property] !== null;
+};
+
+/**
+ * List of columns used to store the property, these are selected with
+ * `$select` when only some properties are loaded.
+ */
+BaseType.prototype.columns = function() {
+  return [this.property];
+};
+
+/**
+ * Serialize value to target for property, `context` is the `Entity` subclass
+ * instance or prototype, which holds properties from `Entity.setup` context.
+ */
+BaseType.prototype.serialize = function(target, value, context) {
   throw new Error("Not implemented");
 };
 
@@ -69,7 +167,11 @@ BaseType.prototype.clone = function(value) {
   return this.deserialize(virtualTarget);
 };
 
-/** Construct $filter string with operator */
+/**
+ * Construct $filter string with operator, besides comparison operators, types
+ * should support `in` and `or`, and `startsWith` if values are ordered as
+ * strings, see `buildFilter`. Otherwise, an error must be thrown.
+ */
 BaseType.prototype.filter = function(op, filterBuilder) {
   throw new Error("Not implemented");
 };
@@ -84,14 +186,109 @@ BaseType.prototype.hash = function(value) {
   return this.string(value);
 };
 
-/** Deserialize value for property from source */
-BaseType.prototype.deserialize = function(source) {
+/** Deserialize value for property from source, `context` as in `serialize` */
+BaseType.prototype.deserialize = function(source, context) {
   throw new Error("Not implemented");
 };
 
+/**
+ * Check if source must be serialized again, even if the value is unchanged,
+ * `context` as in `serialize`. For example, if encrypted with an old key.
+ */
+BaseType.prototype.isOutdated = function(source, context) {
+  return false;
+};
+
 // Export BaseType
 exports.BaseType = BaseType;
 
+/******************** Constrained Types ********************/
+
+/**
+ * Create a subclass of `Type` with `constraints`. Constraints are merged with
+ * constraints from `Type`, and checked when values are serialized, that is
+ * before entities are created or modified. Hence, entities stored before a
+ * constraint was added can still be loaded.
+ *
+ * The `optional` constraint is supported by all types, if `true` the value
+ * may be `null` or `undefined`, in which case the property isn't stored, and
+ * it'll be `null` when loaded. Otherwise, constraints are type specific.
+ */
+var constrainType = function(Type, constraints) {
+  assert(Type.prototype instanceof BaseType || Type === BaseType,
+         "Type must be an Entity type");
+  var ConstrainedType = function(property) {
+    Type.apply(this, arguments);
+  };
+  _.assign(ConstrainedType, Type);
+  util.inherits(ConstrainedType, Type);
+
+  var parent = Type.prototype;
+  constraints = _.defaults({}, constraints, parent.constraints);
+  ConstrainedType.prototype.constraints = constraints;
+
+  // Require value to be given, unless optional, and check constraints after
+  // the value has been validated by serialize
+  ConstrainedType.prototype.serialize = function(target, value, context) {
+    var checked = checkConstraintsFor(context);
+    if (value === undefined || value === null) {
+      if (checked) {
+        checkConstraint('Property', this.property, value,
+                        constraints.optional, "is required");
+      }
+      return;
+    }
+    parent.serialize.call(this, target, value, context);
+    if (checked) {
+      this.checkConstraints(value);
+    }
+  };
+
+  if (constraints.optional) {
+    ConstrainedType.prototype.deserialize = function(source, context) {
+      if (!this.isPresent(source)) {
+        return null;
+      }
+      return parent.deserialize.call(this, source, context);
+    };
+
+    ConstrainedType.prototype.isOutdated = function(source, context) {
+      if (!this.isPresent(source)) {
+        return false;
+      }
+      return parent.isOutdated.call(this, source, context);
+    };
+
+    ConstrainedType.prototype.equal = function(value1, value2) {
+      if (value1 === undefined || value1 === null ||
+          value2 === undefined || value2 === null) {
+        return (value1 === undefined || value1 === null) &&
+               (value2 === undefined || value2 === null);
+      }
+      return parent.equal.call(this, value1, value2);
+    };
+
+    ConstrainedType.prototype.clone = function(value) {
+      if (value === undefined || value === null) {
+        return null;
+      }
+      return parent.clone.call(this, value);
+    };
+  }
+
+  return ConstrainedType;
+};
+
+/**
+ * Mark `Type` as optional, properties of the resulting type may be `null` or
+ * `undefined`, see `constrainType`. Optional types can't be used in keys.
+ *
+ * Example: `Entity.types.Optional(Entity.types.Date)`
+ */
+exports.Optional = function(Type) {
+  return constrainType(Type, {optional: true});
+};
+
 /******************** Value Type ********************/
 
 /** Base class Value Entity types */
@@ -139,8 +336,35 @@ exports.BaseValueType = BaseValueType;
 
 /******************** String Type ********************/
 
-/** String Entity type */
+/**
+ * String Entity type
+ *
+ * Calling `StringType` without `new` creates a constrained String type, with
+ * constraints on the form:
+ * ```js
+ * {
+ *   maxLength:    256,                // Max length of the string
+ *   pattern:      /^[a-z]+$/,         // Pattern strings must match
+ *   enum:         ['a', 'b', ...],    // List of allowed values
+ *   optional:     false               // Allow null and undefined
+ * }
+ * ```
+ * Example: `Entity.types.String({maxLength: 22, pattern: /^[a-z]+$/})`
+ */
 var StringType = function(property) {
+  if (!(this instanceof StringType)) {
+    var constraints = property || {};
+    assert(typeof(constraints) === 'object', "constraints must be an object");
+    assert(constraints.maxLength === undefined ||
+           typeof(constraints.maxLength) === 'number',
+           "maxLength must be a number");
+    assert(constraints.pattern === undefined ||
+           constraints.pattern instanceof RegExp,
+           "pattern must be a RegExp");
+    assert(constraints.enum === undefined ||
+           constraints.enum instanceof Array, "enum must be an array");
+    return constrainType(StringType, constraints);
+  }
   BaseValueType.apply(this, arguments);
 };
 
@@ -151,21 +375,118 @@ StringType.prototype.validate = function(value) {
   checkType('StringType', this.property, value, 'string');
 };
 
+StringType.prototype.checkConstraints = function(value) {
+  var constraints = this.constraints;
+  if (constraints.maxLength !== undefined) {
+    checkConstraint('StringType', this.property, value,
+                    value.length <= constraints.maxLength,
+                    "must be at most " + constraints.maxLength +
+                    " characters");
+  }
+  if (constraints.pattern !== undefined) {
+    checkConstraint('StringType', this.property, value,
+                    constraints.pattern.test(value),
+                    "must match pattern " + constraints.pattern);
+  }
+  if (constraints.enum !== undefined) {
+    checkConstraint('StringType', this.property, value,
+                    constraints.enum.indexOf(value) !== -1,
+                    "must be one of " + JSON.stringify(constraints.enum));
+  }
+};
+
 StringType.prototype.filter = function(op, filterBuilder) {
-  this.validate(op.operand);
-  filterBuilder(
-    this.property + ' ' + op.operator + ' ' + fmt.string(op.operand)
-  );
+  var self = this;
+  filterBuilder(buildFilter(this, op, function(operator, operand) {
+    self.validate(operand);
+    return self.property + ' ' + operator + ' ' + fmt.string(operand);
+  }, true));
 };
 
 // Export StringType as String
 exports.String = StringType;
 
+/******************** EncodedString Type ********************/
+
+/**
+ * EncodedString Entity type, a String type stored with the same encoding as
+ * string keys. Hence, it can hold strings with characters Azure Table Storage
+ * doesn't accept in string properties, and the stored value is safe for use in
+ * a key. The encoding doesn't preserve ordering, so only equality comparisons
+ * are supported in filters.
+ *
+ * Calling `EncodedStringType` without `new` creates a constrained type, with
+ * constraints as for `StringType`, these are checked on the decoded string.
+ */
+var EncodedStringType = function(property) {
+  if (!(this instanceof EncodedStringType)) {
+    StringType(property || {}); // Validate constraints as for StringType
+    return constrainType(EncodedStringType, property || {});
+  }
+  StringType.apply(this, arguments);
+};
+
+// Inherit from StringType
+util.inherits(EncodedStringType, StringType);
+
+EncodedStringType.prototype.isOrdered    = false;
+EncodedStringType.prototype.isComparable = true;
+
+EncodedStringType.prototype.serialize = function(target, value) {
+  this.validate(value);
+  target[this.property] = keys.encodeStringKey(value);
+};
+
+EncodedStringType.prototype.deserialize = function(source) {
+  var value = source[this.property];
+  checkType('EncodedStringType', this.property, value, 'string');
+  return keys.decodeStringKey(value);
+};
+
+EncodedStringType.prototype.filter = function(op, filterBuilder) {
+  var self = this;
+  filterBuilder(buildFilter(this, op, function(operator, operand) {
+    if (operator !== fmt.Equal && operator !== fmt.NotEqual) {
+      throw new Error("Operator '" + operator + "' isn't supported for '" +
+                      self.property + "', as it isn't ordered");
+    }
+    self.validate(operand);
+    return self.property + ' ' + operator + ' ' +
+           fmt.string(keys.encodeStringKey(operand));
+  }, false));
+};
+
+// Export EncodedStringType as EncodedString
+exports.EncodedString = EncodedStringType;
+
 
 /******************** Number Type ********************/
 
-/** String Entity type */
+/**
+ * Number Entity type
+ *
+ * Calling `NumberType` without `new` creates a constrained Number type, with
+ * constraints on the form:
+ * ```js
+ * {
+ *   min:          0,                  // Minimum value (inclusive)
+ *   max:          100,                // Maximum value (inclusive)
+ *   integer:      true,               // Require value to be an integer
+ *   optional:     false               // Allow null and undefined
+ * }
+ * ```
+ * Example: `Entity.types.Number({min: 0, integer: true})`
+ */
 var NumberType = function(property) {
+  if (!(this instanceof NumberType)) {
+    var constraints = property || {};
+    assert(typeof(constraints) === 'object', "constraints must be an object");
+    assert(constraints.min === undefined ||
+           typeof(constraints.min) === 'number', "min must be a number");
+    assert(constraints.max === undefined ||
+           typeof(constraints.max) === 'number', "max must be a number");
+    return constrainType(NumberType, constraints);
+  }
   BaseValueType.apply(this, arguments);
 };
 
@@ -176,21 +497,73 @@ NumberType.prototype.validate = function(value) {
   checkType('NumberType', this.property, value, 'number');
 };
 
+NumberType.prototype.checkConstraints = function(value) {
+  var constraints = this.constraints;
+  if (constraints.min !== undefined) {
+    checkConstraint('NumberType', this.property, value,
+                    value >= constraints.min,
+                    "must be at least " + constraints.min);
+  }
+  if (constraints.max !== undefined) {
+    checkConstraint('NumberType', this.property, value,
+                    value <= constraints.max,
+                    "must be at most " + constraints.max);
+  }
+  if (constraints.integer) {
+    checkConstraint('NumberType', this.property, value,
+                    value % 1 === 0, "must be an integer");
+  }
+};
+
 NumberType.prototype.string = function(value) {
   this.validate(value);
   return value.toString();
 };
 
 NumberType.prototype.filter = function(op, filterBuilder) {
-  this.validate(op.operand);
-  filterBuilder(
-    this.property + ' ' + op.operator + ' ' + fmt.number(op.operand)
-  );
+  var self = this;
+  filterBuilder(buildFilter(this, op, function(operator, operand) {
+    self.validate(operand);
+    return self.property + ' ' + operator + ' ' + fmt.number(operand);
+  }, false));
 };
 
 // Export NumberType as Number
 exports.Number = NumberType;
 
+/******************** Boolean Type ********************/
+
+/** Boolean Entity type */
+var BooleanType = function(property) {
+  BaseValueType.apply(this, arguments);
+};
+
+// Inherit from BaseValueType
+util.inherits(BooleanType, BaseValueType);
+
+BooleanType.prototype.isOrdered    = false;
+BooleanType.prototype.isComparable = true;
+
+BooleanType.prototype.validate = function(value) {
+  checkType('BooleanType', this.property, value, 'boolean');
+};
+
+BooleanType.prototype.string = function(value) {
+  this.validate(value);
+  return value ? 'true' : 'false';
+};
+
+BooleanType.prototype.filter = function(op, filterBuilder) {
+  var self = this;
+  filterBuilder(buildFilter(this, op, function(operator, operand) {
+    self.validate(operand);
+    return self.property + ' ' + operator + ' ' + fmt.bool(operand);
+  }, false));
+};
+
+// Export BooleanType as Boolean
+exports.Boolean = BooleanType;
+
 /******************** Date Type ********************/
 
 /** Date Entity type */
@@ -240,10 +613,11 @@ DateType.prototype.deserialize = function(source) {
 };
 
 DateType.prototype.filter = function(op, filterBuilder) {
-  this.validate(op.operand);
-  filterBuilder(
-    this.property + ' ' + op.operator + ' ' + fmt.date(op.operand)
-  );
+  var self = this;
+  filterBuilder(buildFilter(this, op, function(operator, operand) {
+    self.validate(operand);
+    return self.property + ' ' + operator + ' ' + fmt.date(operand);
+  }, false));
 };
 
 
@@ -289,10 +663,11 @@ UUIDType.prototype.serialize = function(target, value) {
 };
 
 UUIDType.prototype.filter = function(op, filterBuilder) {
-  this.validate(op.operand);
-  filterBuilder(
-    this.property + ' ' + op.operator + ' ' + fmt.guid(op.operand)
-  );
+  var self = this;
+  filterBuilder(buildFilter(this, op, function(operator, operand) {
+    self.validate(operand);
+    return self.property + ' ' + operator + ' ' + fmt.guid(operand);
+  }, false));
 };
 
 // Export UUIDType as UUID
@@ -333,17 +708,30 @@ SlugIdType.prototype.deserialize = function(source) {
 };
 
 SlugIdType.prototype.filter = function(op, filterBuilder) {
-  this.validate(op.operand);
-  filterBuilder(
-    this.property + ' ' + op.operator + ' ' +
-    fmt.guid(slugid.encode(op.operand))
-  );
+  var self = this;
+  filterBuilder(buildFilter(this, op, function(operator, operand) {
+    self.validate(operand);
+    return self.property + ' ' + operator + ' ' +
+           fmt.guid(slugid.encode(operand));
+  }, false));
 };
 
 
 // Export SlugIdType as SlugId
 exports.SlugId = SlugIdType;
 
+/******************** Optional Value Types ********************/
+
+// Optional variants of value types, properties of these types may be `null`,
+// see `exports.Optional`
+exports.OptionalString        = exports.Optional(StringType);
+exports.OptionalEncodedString = exports.Optional(EncodedStringType);
+exports.OptionalNumber        = exports.Optional(NumberType);
+exports.OptionalBoolean       = exports.Optional(BooleanType);
+exports.OptionalDate          = exports.Optional(DateType);
+exports.OptionalUUID          = exports.Optional(UUIDType);
+exports.OptionalSlugId        = exports.Optional(SlugIdType);
+
 /******************** Buffer Type ********************/
 
 /** Abstract type of all buffer based Entity types
@@ -361,6 +749,20 @@ util.inherits(BaseBufferType, BaseType);
 BaseBufferType.prototype.isOrdered    = false;
 BaseBufferType.prototype.isComparable = false;
 
+BaseBufferType.prototype.isPresent = function(source) {
+  // Columns selected, but not present, are `null`
+  var chunks = source['__bufchunks_' + this.property];
+  return chunks !== undefined && chunks !== null;
+};
+
+BaseBufferType.prototype.columns = function() {
+  var property = this.property;
+  // Buffers are stored in at most 4 chunks, see writeBuffer
+  return ['__bufchunks_' + property].concat(_.range(4).map(function(i) {
+    return '__buf' + i + '_' + property;
+  }));
+};
+
 /** Transform value to buffer */
 BaseBufferType.prototype.toBuffer = function(value) {
   throw new Error("Not implemented");
@@ -371,25 +773,22 @@ BaseBufferType.prototype.fromBuffer = function(buffer) {
   throw new Error("Not implemented");
 };
 
-BaseBufferType.prototype.serialize = function(target, value) {
-  value = this.toBuffer(value);
-  assert(value.length <= 256 * 1024, "Can't store buffers > 256kb");
+/** Write buffer to target in chunks for property */
+BaseBufferType.prototype.writeBuffer = function(target, buffer) {
+  assert(buffer.length <= 256 * 1024, "Can't store buffers > 256kb");
   // We have one chunk per 64kb
-  var chunks = Math.ceil(value.length / (64 * 1024));
+  var chunks = Math.ceil(buffer.length / (64 * 1024));
   for(var i = 0; i < chunks; i++) {
-    var end   = Math.min((i + 1) * 64 * 1024, value.length);
-    var chunk = value.slice(i * 64 * 1024, end);
+    var end   = Math.min((i + 1) * 64 * 1024, buffer.length);
+    var chunk = buffer.slice(i * 64 * 1024, end);
     target['__buf' + i + '_' + this.property + '@odata.type'] = 'Edm.Binary';
     target['__buf' + i + '_' + this.property] = chunk.toString('base64');
   }
   target['__bufchunks_' + this.property] = chunks;
 };
 
-BaseBufferType.prototype.hash = function(value) {
-  return this.toBuffer(value);
-};
-
-BaseBufferType.prototype.deserialize = function(source) {
+/** Read buffer for property from chunks in source */
+BaseBufferType.prototype.readBuffer = function(source) {
   var n = source['__bufchunks_' + this.property];
   checkType('BaseBufferType', '__bufchunks_' + this.property, n, 'number');
 
@@ -397,7 +796,19 @@ BaseBufferType.prototype.deserialize = function(source) {
   for(var i = 0; i < n; i++) {
     chunks[i] = new Buffer(source['__buf' + i + '_' + this.property], 'base64');
   }
-  return this.fromBuffer(Buffer.concat(chunks));
+  return Buffer.concat(chunks);
+};
+
+BaseBufferType.prototype.serialize = function(target, value) {
+  this.writeBuffer(target, this.toBuffer(value));
+};
+
+BaseBufferType.prototype.hash = function(value) {
+  return this.toBuffer(value);
+};
+
+BaseBufferType.prototype.deserialize = function(source) {
+  return this.fromBuffer(this.readBuffer(source));
 };
 
 BaseBufferType.prototype.filter = function() {
@@ -533,6 +944,277 @@ JSONType.prototype.clone = function(value) {
 // Export JSONType as JSON
 exports.JSON = JSONType;
 
+/******************** Schema Type ********************/
+
+/**
+ * JSON Entity type validated against a JSON schema, see `exports.Schema`.
+ * Values are validated with the `validator` context property, which must be
+ * declared in `Entity.configure` and given in `Entity.setup` as a validator
+ * from `base.validator`.
+ */
+var SchemaType = function(property) {
+  JSONType.apply(this, arguments);
+};
+
+// Inherit from JSONType
+util.inherits(SchemaType, JSONType);
+
+SchemaType.prototype.requiredContext = ['validator'];
+
+/** Identifier of the schema values must satisfy */
+SchemaType.prototype.schemaId = undefined;
+
+SchemaType.prototype.serialize = function(target, value, context) {
+  assert(context && context.validator, "Schema types requires 'validator' " +
+         "to be given in Entity.setup as a validator from base.validator");
+  this.validate(value);
+  var errors = null;
+  if (checkConstraintsFor(context)) {
+    errors = context.validator.check(value, this.schemaId);
+  }
+  if (errors) {
+    debug("SchemaType '%s' doesn't match schema: %s got: %j, errors: %j",
+          this.property, this.schemaId, value, errors);
+    var err = new Error("SchemaType '" + this.property + "' doesn't match " +
+                        "schema: " + this.schemaId + ", errors: " +
+                        JSON.stringify(errors));
+    err.property  = this.property;
+    err.errors    = errors;
+    throw err;
+  }
+  JSONType.prototype.serialize.call(this, target, value, context);
+};
+
+/**
+ * Create a JSON type validated against the JSON schema `schemaId` when
+ * entities are created or modified, like constraints, see `SchemaType`.
+ *
+ * Example: `Entity.types.Schema('http://schemas.../v1/payload.json#')`
+ */
+exports.Schema = function(schemaId) {
+  assert(typeof(schemaId) === 'string', "schemaId must be a string");
+  var SchemaIdType = function(property) {
+    SchemaType.apply(this, arguments);
+  };
+  util.inherits(SchemaIdType, SchemaType);
+  SchemaIdType.prototype.schemaId = schemaId;
+  return SchemaIdType;
+};
+
+// Export SchemaType
+exports.SchemaType = SchemaType;
+
+/******************** Encrypted Types ********************/
+
+/** Version of the encrypted buffer format, stored as the first byte */
+var ENCRYPTION_VERSION      = 1;
+
+// Encryption algorithm and sizes of the elements in the encrypted buffer,
+// which is on the form: version, key id, iv, auth tag, ciphertext
+var ENCRYPTION_ALGORITHM    = 'aes-256-gcm';
+var ENCRYPTION_KEY_SIZE     = 256 / 8;
+var ENCRYPTION_KEY_ID_SIZE  = 4;
+var ENCRYPTION_IV_SIZE      = 12;
+var ENCRYPTION_TAG_SIZE     = 16;
+var ENCRYPTION_HEADER_SIZE  = 1 + ENCRYPTION_KEY_ID_SIZE +
+                              ENCRYPTION_IV_SIZE + ENCRYPTION_TAG_SIZE;
+
+/**
+ * Load keys from `context.cryptoKey`, given as a base64 encoded 256 bit key,
+ * or a list of such keys. The first key is used for encryption, the remaining
+ * keys are old keys that can only be used for decryption.
+ *
+ * Returns an object on the form `{current: key, byId: {hexId: key}}`, where
+ * `key` is on the form `{id: Buffer, key: Buffer}`, and `id` is a prefix of
+ * the SHA-256 hash of the key. Keys are parsed once per `Entity.setup`, as
+ * they are cached in `context.__contextCache`.
+ */
+var loadCryptoKeys = function(context) {
+  assert(context && context.cryptoKey, "Encrypted types requires 'cryptoKey' " +
+         "to be declared as context in Entity.configure and given in " +
+         "Entity.setup");
+  var cache = context.__contextCache;
+  if (cache && cache.cryptoKeys) {
+    return cache.cryptoKeys;
+  }
+  var keys = context.cryptoKey;
+  if (!(keys instanceof Array)) {
+    keys = [keys];
+  }
+  assert(keys.length > 0, "cryptoKey must contain at least one key");
+  keys = keys.map(function(key) {
+    assert(typeof(key) === 'string', "cryptoKey must be base64 encoded");
+    var buffer = new Buffer(key, 'base64');
+    assert(buffer.length === ENCRYPTION_KEY_SIZE,
+           "cryptoKey must be a base64 encoded 256 bit key");
+    var hash = crypto.createHash('sha256').update(buffer).digest();
+    return {
+      id:   hash.slice(0, ENCRYPTION_KEY_ID_SIZE),
+      key:  buffer
+    };
+  });
+  var cryptoKeys = {
+    current:  keys[0],
+    byId:     _.indexBy(keys, function(key) {
+      return key.id.toString('hex');
+    })
+  };
+  if (cache) {
+    cache.cryptoKeys = cryptoKeys;
+  }
+  return cryptoKeys;
+};
+
+/** Abstract type of all encrypted Entity types
+ *
+ * Values are encrypted with AES-256-GCM using the key(s) given as `cryptoKey`
+ * in `Entity.setup` context, see `loadCryptoKeys`. Entities encrypted with an
+ * old key are re-encrypted with the current key, when modified.
+ *
+ * Subclasses must implement `toBuffer`, `fromBuffer`, `equal` and `clone`,
+ * as the encrypted buffer is different every time a value is serialized.
+ */
+var BaseEncryptedType = function(property) {
+  BaseBufferType.apply(this, arguments);
+};
+
+// Inherit from BaseBufferType
+util.inherits(BaseEncryptedType, BaseBufferType);
+
+BaseEncryptedType.prototype.requiredContext = ['cryptoKey'];
+
+/**
+ * Additional authenticated data for the value of this property in `entity`,
+ * this binds the ciphertext to the property, PartitionKey and RowKey, so it
+ * can't be copied to another property or entity.
+ */
+BaseEncryptedType.prototype.additionalData = function(entity) {
+  assert(typeof(entity.PartitionKey) === 'string' &&
+         typeof(entity.RowKey) === 'string', "EncryptedType '" +
+         this.property + "' requires PartitionKey and RowKey of the entity");
+  return new Buffer(JSON.stringify([
+    this.property,
+    entity.PartitionKey,
+    entity.RowKey
+  ]), 'utf8');
+};
+
+BaseEncryptedType.prototype.serialize = function(target, value, context) {
+  var plaintext = this.toBuffer(value);
+  var key       = loadCryptoKeys(context).current;
+  var iv        = crypto.randomBytes(ENCRYPTION_IV_SIZE);
+  var cipher    = crypto.createCipheriv(ENCRYPTION_ALGORITHM, key.key, iv);
+  cipher.setAAD(this.additionalData(target));
+  var ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  this.writeBuffer(target, Buffer.concat([
+    new Buffer([ENCRYPTION_VERSION]),
+    key.id,
+    iv,
+    cipher.getAuthTag(),
+    ciphertext
+  ]));
+};
+
+BaseEncryptedType.prototype.deserialize = function(source, context) {
+  var buffer = this.readBuffer(source);
+  assert(buffer.length >= ENCRYPTION_HEADER_SIZE &&
+         buffer[0] === ENCRYPTION_VERSION, "EncryptedType '" + this.property +
+         "' has an unsupported encryption version");
+  var offset  = 1;
+  var keyId   = buffer.slice(offset, offset += ENCRYPTION_KEY_ID_SIZE);
+  var iv      = buffer.slice(offset, offset += ENCRYPTION_IV_SIZE);
+  var tag     = buffer.slice(offset, offset += ENCRYPTION_TAG_SIZE);
+  var key     = loadCryptoKeys(context).byId[keyId.toString('hex')];
+  if (!key) {
+    debug("EncryptedType '%s' was encrypted with unknown key id: %s",
+          this.property, keyId.toString('hex'));
+    throw new Error("EncryptedType '" + this.property + "' was encrypted " +
+                    "with an unknown key, id: " + keyId.toString('hex'));
+  }
+  var decipher = crypto.createDecipheriv(ENCRYPTION_ALGORITHM, key.key, iv);
+  decipher.setAAD(this.additionalData(source));
+  decipher.setAuthTag(tag);
+  return this.fromBuffer(Buffer.concat([
+    decipher.update(buffer.slice(offset)),
+    decipher.final()
+  ]));
+};
+
+BaseEncryptedType.prototype.isOutdated = function(source, context) {
+  // Columns aren't present if the property is missing or wasn't selected
+  var chunk = source['__buf0_' + this.property];
+  if (typeof(chunk) !== 'string') {
+    return false;
+  }
+  // Decode only the first 6 bytes, we just need version and key id
+  var header = new Buffer(chunk.substr(0, 8), 'base64');
+  var key    = loadCryptoKeys(context).current;
+  return header[0] !== ENCRYPTION_VERSION ||
+         buffertools.compare(header.slice(1, 1 + ENCRYPTION_KEY_ID_SIZE),
+                             key.id) !== 0;
+};
+
+BaseEncryptedType.prototype.filter = function() {
+  throw new Error("EncryptedType '" + this.property + "' can't be used in " +
+                  "filters, as encrypted values are not comparable!");
+};
+
+// Export BaseEncryptedType as BaseEncryptedType
+exports.BaseEncryptedType = BaseEncryptedType;
+
+/** EncryptedBlob Entity type, see BlobType */
+var EncryptedBlobType = function(property) {
+  BaseEncryptedType.apply(this, arguments);
+};
+
+// Inherit from BaseEncryptedType
+util.inherits(EncryptedBlobType, BaseEncryptedType);
+
+EncryptedBlobType.prototype.validate    = BlobType.prototype.validate;
+EncryptedBlobType.prototype.toBuffer    = BlobType.prototype.toBuffer;
+EncryptedBlobType.prototype.fromBuffer  = BlobType.prototype.fromBuffer;
+EncryptedBlobType.prototype.equal       = BlobType.prototype.equal;
+EncryptedBlobType.prototype.clone       = BlobType.prototype.clone;
+
+// Export EncryptedBlobType as EncryptedBlob
+exports.EncryptedBlob = EncryptedBlobType;
+
+/** EncryptedText Entity type, see TextType */
+var EncryptedTextType = function(property) {
+  BaseEncryptedType.apply(this, arguments);
+};
+
+// Inherit from BaseEncryptedType
+util.inherits(EncryptedTextType, BaseEncryptedType);
+
+EncryptedTextType.prototype.validate    = TextType.prototype.validate;
+EncryptedTextType.prototype.toBuffer    = TextType.prototype.toBuffer;
+EncryptedTextType.prototype.fromBuffer  = TextType.prototype.fromBuffer;
+EncryptedTextType.prototype.equal       = TextType.prototype.equal;
+EncryptedTextType.prototype.hash        = TextType.prototype.hash;
+EncryptedTextType.prototype.clone       = TextType.prototype.clone;
+
+// Export EncryptedTextType as EncryptedText
+exports.EncryptedText = EncryptedTextType;
+
+/** EncryptedJSON Entity type, see JSONType */
+var EncryptedJSONType = function(property) {
+  BaseEncryptedType.apply(this, arguments);
+};
+
+// Inherit from BaseEncryptedType
+util.inherits(EncryptedJSONType, BaseEncryptedType);
+
+EncryptedJSONType.prototype.validate    = JSONType.prototype.validate;
+EncryptedJSONType.prototype.toBuffer    = JSONType.prototype.toBuffer;
+EncryptedJSONType.prototype.fromBuffer  = JSONType.prototype.fromBuffer;
+EncryptedJSONType.prototype.equal       = JSONType.prototype.equal;
+EncryptedJSONType.prototype.hash        = JSONType.prototype.hash;
+EncryptedJSONType.prototype.clone       = JSONType.prototype.clone;
+
+// Export EncryptedJSONType as EncryptedJSON
+exports.EncryptedJSON = EncryptedJSONType;
+
 /******************** SlugIdArray Type ********************/
 
 // SIZE of a slugid
@@ -547,6 +1229,14 @@ var slugIdToBuffer = function(slug) {
   return new Buffer(base64, 'base64');
 };
 
+// Convert buffer to slugid (opposite of slugIdToBuffer)
+var bufferToSlugId = function(buffer) {
+  return buffer.toString('base64')
+               .replace(/\+/g, '-')
+               .replace(/\//g, '_')
+               .replace(/=+$/, '');
+};
+
 /** Array of slugids packed into a buffer for space and speed */
 var SlugIdArray = function() {
   this.buffer = new Buffer(SLUGID_SIZE * 32);
@@ -566,10 +1256,11 @@ SlugIdArray.prototype.push = function(slug) {
 SlugIdArray.prototype.realloc = function() {
   // Allocate more space, if needed, we this by doubling the underlying buffer
   if (this.avail === 0) {
-    var buffer = new Buffer(this.length * 2 * SLUGID_SIZE);
+    var size = Math.max(this.length * 2, 32);
+    var buffer = new Buffer(size * SLUGID_SIZE);
     this.buffer.copy(buffer);
     this.buffer = buffer;
-    this.avail = this.length;
+    this.avail = size - this.length;
     return true;
   }
 
@@ -693,3 +1384,152 @@ SlugIdArrayType.create = function() {
 
 // Export SlugIdArrayType as SlugIdArray
 exports.SlugIdArray = SlugIdArrayType;
+
+/******************** SlugIdSet Type ********************/
+
+/**
+ * Set of slugids packed into a buffer, like `SlugIdArray`, but slugids are
+ * kept sorted and without duplicates. Hence, sets with the same slugids are
+ * equal, regardless of the order slugids were added in.
+ */
+var SlugIdSet = function() {
+  SlugIdArray.call(this);
+};
+
+// Inherit from SlugIdArray
+util.inherits(SlugIdSet, SlugIdArray);
+
+/**
+ * Find index of `slug` in the set using binary search, returns `-(i + 1)`,
+ * where `i` is the index `slug` should be inserted at, if it isn't present.
+ */
+SlugIdSet.prototype.search = function(slug) {
+  var target  = slugIdToBuffer(slug);
+  var low     = 0;
+  var high    = this.length - 1;
+  while (low <= high) {
+    var mid = (low + high) >>> 1;
+    var cmp = buffertools.compare(
+      this.buffer.slice(mid * SLUGID_SIZE, (mid + 1) * SLUGID_SIZE),
+      target
+    );
+    if (cmp < 0) {
+      low = mid + 1;
+    } else if (cmp > 0) {
+      high = mid - 1;
+    } else {
+      return mid;
+    }
+  }
+  return -(low + 1);
+};
+
+/** Get index of a slugid, -1 if it is not in the set */
+SlugIdSet.prototype.indexOf = function(slug) {
+  return Math.max(this.search(slug), -1);
+};
+
+/** Check if slugid is in the set */
+SlugIdSet.prototype.has = function(slug) {
+  return this.search(slug) >= 0;
+};
+
+/** Add slugid to the set, returns false if it was already present */
+SlugIdSet.prototype.add = function(slug) {
+  var index = this.search(slug);
+  if (index >= 0) {
+    return false;
+  }
+  index = -(index + 1);
+  this.realloc();
+  // Move slugids after index one slot, this uses memmove like remove
+  this.buffer.copy(
+    this.buffer,
+    (index + 1) * SLUGID_SIZE,
+    index * SLUGID_SIZE,
+    this.length * SLUGID_SIZE
+  );
+  slugIdToBuffer(slug).copy(this.buffer, index * SLUGID_SIZE);
+  this.length += 1;
+  this.avail  -= 1;
+  return true;
+};
+
+/** Add slugid to the set, same as `add`, as sets are unordered */
+SlugIdSet.prototype.push = SlugIdSet.prototype.add;
+
+/** Get slugids in the set as an array of strings */
+SlugIdSet.prototype.toArray = function() {
+  var slugs = [];
+  for (var i = 0; i < this.length; i++) {
+    slugs.push(bufferToSlugId(
+      this.buffer.slice(i * SLUGID_SIZE, (i + 1) * SLUGID_SIZE)
+    ));
+  }
+  return slugs;
+};
+
+/** Clone the slugid set */
+SlugIdSet.prototype.clone = function() {
+  var clone = new SlugIdSet();
+  clone.buffer  = new Buffer(this.buffer);
+  clone.length  = this.length;
+  clone.avail   = this.avail;
+  return clone;
+};
+
+SlugIdSet.fromBuffer = function(buffer) {
+  var set = new SlugIdSet();
+  set.buffer  = buffer;
+  set.length  = buffer.length / SLUGID_SIZE;
+  set.avail   = 0;
+  return set;
+};
+
+/** SlugIdSet Entity type */
+var SlugIdSetType = function(property) {
+  SlugIdArrayType.apply(this, arguments);
+};
+
+// Inherit from SlugIdArrayType
+util.inherits(SlugIdSetType, SlugIdArrayType);
+
+SlugIdSetType.prototype.toBuffer = function(value) {
+  assert(value instanceof SlugIdSet, "SlugIdSetType '" + this.property +
+         "' expected SlugIdSet, got: " + value);
+  return value.getBufferView();
+};
+
+SlugIdSetType.prototype.fromBuffer = function(value) {
+  return SlugIdSet.fromBuffer(value);
+};
+
+SlugIdSetType.prototype.equal = function(value1, value2) {
+  assert(value1 instanceof SlugIdSet, "SlugIdSetType '" + this.property +
+         "' expected SlugIdSet, got: " + value1);
+  assert(value2 instanceof SlugIdSet, "SlugIdSetType '" + this.property +
+         "' expected SlugIdSet, got: " + value2);
+  return value1.equals(value2);
+};
+
+SlugIdSetType.prototype.hash = function(value) {
+  return this.toBuffer(value);
+};
+
+SlugIdSetType.prototype.clone = function(value) {
+  assert(value instanceof SlugIdSet, "SlugIdSetType '" + this.property +
+         "' expected SlugIdSet, got: " + value);
+  return value.clone();
+};
+
+/** Create a SlugIdSet, with slugids from `slugs`, if given */
+SlugIdSetType.create = function(slugs) {
+  var set = new SlugIdSet();
+  (slugs || []).forEach(function(slug) {
+    set.add(slug);
+  });
+  return set;
+};
+
+// Export SlugIdSetType as SlugIdSet
+exports.SlugIdSet = SlugIdSetType;
@@ -0,0 +1,582 @@
+"use strict";
+
+var assert          = require('assert');
+var _               = require('lodash');
+var Promise         = require('promise');
+var debug           = require('debug')('base:entity:inmemorytable');
+var azureBatch      = require('./azurebatch');
+
+/** Max number of entities returned by queryEntities (same as Azure) */
+var MAX_QUERY_RESULTS = 1000;
+
+/**
+ * Create an error similar to errors returned by `fast-azure-storage`, so that
+ * code checking `err.code` can't tell the difference.
+ */
+var createError = function(code, statusCode, message) {
+  var err         = new Error(message);
+  err.name        = code + 'Error';
+  err.code        = code;
+  err.statusCode  = statusCode;
+  err.payload     = JSON.stringify({
+    'odata.error': {
+      code:       code,
+      message:    {lang: 'en-US', value: message}
+    }
+  });
+  return err;
+};
+
+/** Compare two entities by PartitionKey and RowKey, for use with sort() */
+var compareKeys = function(pk1, rk1, pk2, rk2) {
+  if (pk1 !== pk2) {
+    return pk1 < pk2 ? -1 : 1;
+  }
+  if (rk1 !== rk2) {
+    return rk1 < rk2 ? -1 : 1;
+  }
+  return 0;
+};
+
+/******************** $filter Parsing ********************/
+
+// Comparison operators supported in $filter expressions
+var COMPARISON_OPERATORS = ['eq', 'ne', 'gt', 'ge', 'lt', 'le'];
+
+// Patterns for numbers and words (property names and operators) in $filter
+var NUMBER_PATTERN  = /^-?[0-9]+(\.[0-9]+)?([eE][+\-]?[0-9]+)?(?![a-zA-Z_\-])/;
+var WORD_PATTERN    = /^[a-zA-Z_@\-][a-zA-Z0-9_@.\-]*/;
+
+/**
+ * Split $filter string into tokens, each token is an object on the form:
+ * `{kind: 'lparen' | 'rparen' | 'word' | 'literal', value: ...}`, where
+ * literals have `value` on the form `{type: 'string' | 'number' | 'bool' |
+ * 'date' | 'guid', value: ...}`.
+ */
+var tokenize = function(filter) {
+  var tokens  = [];
+  var i       = 0;
+  var n       = filter.length;
+
+  // Read a quoted string starting at index i, returns the unescaped string
+  var readQuoted = function() {
+    assert(filter[i] === "'", "Expected quote in $filter at " + i);
+    i += 1;
+    var value = '';
+    while (true) {
+      if (i >= n) {
+        throw new Error("Unterminated string in $filter: " + filter);
+      }
+      if (filter[i] === "'") {
+        // Two single quotes is an escaped single quote
+        if (filter[i + 1] === "'") {
+          value += "'";
+          i += 2;
+          continue;
+        }
+        i += 1;
+        return value;
+      }
+      value += filter[i];
+      i += 1;
+    }
+  };
+
+  while (i < n) {
+    var c = filter[i];
+    if (c === ' ') {
+      i += 1;
+    } else if (c === '(') {
+      tokens.push({kind: 'lparen'});
+      i += 1;
+    } else if (c === ')') {
+      tokens.push({kind: 'rparen'});
+      i += 1;
+    } else if (c === "'") {
+      tokens.push({kind: 'literal', value: {
+        type:   'string',
+        value:  readQuoted()
+      }});
+    } else if (NUMBER_PATTERN.test(filter.substr(i))) {
+      var number = NUMBER_PATTERN.exec(filter.substr(i))[0];
+      tokens.push({kind: 'literal', value: {
+        type:   'number',
+        value:  parseFloat(number)
+      }});
+      i += number.length;
+    } else {
+      var word = WORD_PATTERN.exec(filter.substr(i));
+      if (!word) {
+        throw new Error("Unexpected character in $filter at " + i + ": " +
+                        filter);
+      }
+      word = word[0];
+      i += word.length;
+      if (word === 'datetime' && filter[i] === "'") {
+        tokens.push({kind: 'literal', value: {
+          type:   'date',
+          value:  new Date(readQuoted()).getTime()
+        }});
+      } else if (word === 'guid' && filter[i] === "'") {
+        tokens.push({kind: 'literal', value: {
+          type:   'guid',
+          value:  readQuoted().toLowerCase()
+        }});
+      } else if (word === 'true' || word === 'false') {
+        tokens.push({kind: 'literal', value: {
+          type:   'bool',
+          value:  word === 'true'
+        }});
+      } else {
+        tokens.push({kind: 'word', value: word});
+      }
+    }
+  }
+  return tokens;
+};
+
+/**
+ * Parse a $filter string to a predicate function that takes a stored entity
+ * and returns true, if the entity matches the filter.
+ *
+ * Supports comparison operators, `and`, `or`, `not` and parentheses with
+ * string, number, boolean, datetime and guid literals. This is sufficient for
+ * the filters constructed by `Entity.scan`.
+ */
+var parseFilter = function(filter) {
+  if (!filter) {
+    return function() { return true; };
+  }
+  var tokens  = tokenize(filter);
+  var pos     = 0;
+
+  var peekWord = function(word) {
+    var token = tokens[pos];
+    return token && token.kind === 'word' && token.value === word;
+  };
+
+  var parseOr = function() {
+    var left = parseAnd();
+    while (peekWord('or')) {
+      pos += 1;
+      left = (function(a, b) {
+        return function(entity) { return a(entity) || b(entity); };
+      })(left, parseAnd());
+    }
+    return left;
+  };
+
+  var parseAnd = function() {
+    var left = parseUnary();
+    while (peekWord('and')) {
+      pos += 1;
+      left = (function(a, b) {
+        return function(entity) { return a(entity) && b(entity); };
+      })(left, parseUnary());
+    }
+    return left;
+  };
+
+  var parseUnary = function() {
+    if (peekWord('not')) {
+      pos += 1;
+      var operand = parseUnary();
+      return function(entity) { return !operand(entity); };
+    }
+    return parsePrimary();
+  };
+
+  var parsePrimary = function() {
+    var token = tokens[pos];
+    if (!token) {
+      throw new Error("Unexpected end of $filter: " + filter);
+    }
+    if (token.kind === 'lparen') {
+      pos += 1;
+      var expr = parseOr();
+      if (!tokens[pos] || tokens[pos].kind !== 'rparen') {
+        throw new Error("Expected ')' in $filter: " + filter);
+      }
+      pos += 1;
+      return expr;
+    }
+    return parseComparison();
+  };
+
+  var parseComparison = function() {
+    var property  = tokens[pos];
+    var operator  = tokens[pos + 1];
+    var literal   = tokens[pos + 2];
+    if (!property || property.kind !== 'word' ||
+        !operator || operator.kind !== 'word' ||
+        COMPARISON_OPERATORS.indexOf(operator.value) === -1 ||
+        !literal || literal.kind !== 'literal') {
+      throw new Error("Expected '<property> <operator> <constant>' in " +
+                      "$filter: " + filter);
+    }
+    pos += 3;
+    return createComparison(property.value, operator.value, literal.value);
+  };
+
+  var predicate = parseOr();
+  if (pos !== tokens.length) {
+    throw new Error("Unexpected trailing tokens in $filter: " + filter);
+  }
+  return predicate;
+};
+
+/**
+ * Create predicate comparing `property` of an entity with `literal` using
+ * `operator`. Like Azure Table Storage, entities that doesn't have the
+ * property or have a property of a different type doesn't match.
+ */
+var createComparison = function(property, operator, literal) {
+  return function(entity) {
+    var value = entity[property];
+    if (value === undefined || value === null) {
+      return false;
+    }
+    var type = entity[property + '@odata.type'];
+
+    // Transform value to something comparable with the literal
+    switch (literal.type) {
+      case 'string':
+        if (typeof(value) !== 'string' || (type && type !== 'Edm.String')) {
+          return false;
+        }
+        break;
+      case 'number':
+        if (typeof(value) !== 'number') {
+          return false;
+        }
+        break;
+      case 'bool':
+        if (typeof(value) !== 'boolean') {
+          return false;
+        }
+        break;
+      case 'date':
+        if (type !== 'Edm.DateTime') {
+          return false;
+        }
+        value = new Date(value).getTime();
+        break;
+      case 'guid':
+        if (type !== 'Edm.Guid') {
+          return false;
+        }
+        value = value.toLowerCase();
+        break;
+    }
+
+    // Compare value to literal
+    var operand = literal.value;
+    switch (operator) {
+      case 'eq': return value === operand;
+      case 'ne': return value !== operand;
+      case 'gt': return value >   operand;
+      case 'ge': return value >=  operand;
+      case 'lt': return value <   operand;
+      case 'le': return value <=  operand;
+    }
+    return false;
+  };
+};
+
+/******************** In-Memory Table ********************/
+
+/**
+ * In-memory stand-in for the `azure.Table` client from `fast-azure-storage`.
+ *
+ * This implements the subset of the `azure.Table` interface used by `Entity`,
+ * that is `createTable`, `deleteTable`, `getEntity`, `queryEntities`,
+ * `insertEntity`, `updateEntity` and `deleteEntity`, with the same semantics
+ * and error codes. In addition it implements `submitBatch` for entity group
+ * transactions, see `azurebatch.submitBatch`. Hence, it can be given to
+ * `Entity.setup` as follows:
+ *
+ * ```js
+ * var MyEntity = MyAbstractEntity.setup({
+ *   table:    'MyTable',
+ *   client:   new base.Entity.InMemoryTable()
+ * });
+ * ```
+ *
+ * Tables are stored on the instance, so multiple `Entity` subclasses setup
+ * with the same `InMemoryTable` instance and table name will share data.
+ * This is intended for testing purposes only, as nothing is persisted.
+ */
+var InMemoryTable = function() {
+  this._tables    = {};
+  this._nextETag  = 1;
+};
+
+/** Get table by name or throw TableNotFound */
+InMemoryTable.prototype._getTable = function(table) {
+  assert(typeof(table) === 'string', "table name must be a string");
+  var entities = this._tables[table];
+  if (!entities) {
+    throw createError('TableNotFound', 404,
+                      "The table specified does not exist.");
+  }
+  return entities;
+};
+
+/** Get a key for storage of entity in the table object */
+InMemoryTable.prototype._key = function(partitionKey, rowKey) {
+  assert(typeof(partitionKey) === 'string', "PartitionKey must be a string");
+  assert(typeof(rowKey) === 'string',       "RowKey must be a string");
+  return JSON.stringify([partitionKey, rowKey]);
+};
+
+/** Store entity in table, returns the new eTag */
+InMemoryTable.prototype._store = function(entities, entity) {
+  var now   = new Date();
+  var eTag  = 'W/"datetime\'' + encodeURIComponent(now.toJSON()) + '\'-' +
+              (this._nextETag++) + '"';
+  var stored = _.cloneDeep(entity);
+  delete stored['odata.etag'];
+  stored.Timestamp                  = now.toJSON();
+  stored['Timestamp@odata.type']    = 'Edm.DateTime';
+  stored['odata.etag']              = eTag;
+  entities[this._key(entity.PartitionKey, entity.RowKey)] = stored;
+  return eTag;
+};
+
+/**
+ * Return a copy of a stored entity with only properties from `select`, like
+ * azure, properties selected that aren't present in the entity are `null`.
+ */
+var project = function(entity, select) {
+  if (!select) {
+    return _.cloneDeep(entity);
+  }
+  var result = {'odata.etag': entity['odata.etag']};
+  select.forEach(function(key) {
+    result[key] = entity[key] !== undefined ? entity[key] : null;
+    if (entity[key + '@odata.type'] !== undefined) {
+      result[key + '@odata.type'] = entity[key + '@odata.type'];
+    }
+  });
+  return result;
+};
+
+/** Create table with given `name` */
+InMemoryTable.prototype.createTable = function(name) {
+  var self = this;
+  return Promise.resolve().then(function() {
+    if (self._tables[name]) {
+      throw createError('TableAlreadyExists', 409,
+                        "The table specified already exists.");
+    }
+    debug("Creating in-memory table: %s", name);
+    self._tables[name] = {};
+  });
+};
+
+/** Delete table with given `name` */
+InMemoryTable.prototype.deleteTable = function(name) {
+  var self = this;
+  return Promise.resolve().then(function() {
+    self._getTable(name);
+    delete self._tables[name];
+  });
+};
+
+/** Get entity from `table` with given `partitionKey` and `rowKey` */
+InMemoryTable.prototype.getEntity = function(table, partitionKey, rowKey,
+                                             options) {
+  var self = this;
+  return Promise.resolve().then(function() {
+    var entities  = self._getTable(table);
+    var entity    = entities[self._key(partitionKey, rowKey)];
+    if (!entity) {
+      throw createError('ResourceNotFound', 404,
+                        "The specified resource does not exist.");
+    }
+    if (options && options.filter && !parseFilter(options.filter)(entity)) {
+      throw createError('ResourceNotFound', 404,
+                        "The specified resource does not exist.");
+    }
+    return project(entity, options ? options.select : undefined);
+  });
+};
+
+/**
+ * Query entities from `table`, supports `filter`, `select`, `top` and paging
+ * with `nextPartitionKey` and `nextRowKey`, see `azure.Table.queryEntities`.
+ */
+InMemoryTable.prototype.queryEntities = function(table, options) {
+  var self = this;
+  options = options || {};
+  return Promise.resolve().then(function() {
+    var entities  = self._getTable(table);
+    var predicate = parseFilter(options.filter);
+    var top       = Math.min(options.top || MAX_QUERY_RESULTS,
+                             MAX_QUERY_RESULTS);
+
+    // Sort entities by PartitionKey and RowKey, like Azure Table Storage does
+    var sorted = _.values(entities).sort(function(a, b) {
+      return compareKeys(a.PartitionKey, a.RowKey, b.PartitionKey, b.RowKey);
+    });
+
+    // Skip entities before the continuation token
+    if (options.nextPartitionKey || options.nextRowKey) {
+      var nextPartitionKey  = options.nextPartitionKey || '';
+      var nextRowKey        = options.nextRowKey || '';
+      sorted = sorted.filter(function(entity) {
+        return compareKeys(
+          entity.PartitionKey, entity.RowKey,
+          nextPartitionKey, nextRowKey
+        ) >= 0;
+      });
+    }
+
+    // Find matching entities
+    var results = [];
+    var next    = null;
+    for (var i = 0; i < sorted.length; i++) {
+      if (!predicate(sorted[i])) {
+        continue;
+      }
+      if (results.length === top) {
+        next = sorted[i];
+        break;
+      }
+      results.push(project(sorted[i], options.select));
+    }
+
+    return {
+      entities:         results,
+      nextPartitionKey: next ? next.PartitionKey  : null,
+      nextRowKey:       next ? next.RowKey        : null
+    };
+  });
+};
+
+/** Insert `entity` into the `entities` of a table, returns the eTag */
+InMemoryTable.prototype._insert = function(entities, entity) {
+  var key = this._key(entity.PartitionKey, entity.RowKey);
+  if (entities[key]) {
+    throw createError('EntityAlreadyExists', 409,
+                      "The specified entity already exists.");
+  }
+  return this._store(entities, entity);
+};
+
+/** Update `entity` in the `entities` of a table, returns the eTag */
+InMemoryTable.prototype._update = function(entities, entity, options) {
+  assert(options, "Options is required for updateEntity");
+  assert(options.mode === 'replace' || options.mode === 'merge',
+         "`options.mode` must be 'replace' or 'merge'");
+  var existing = entities[this._key(entity.PartitionKey, entity.RowKey)];
+
+  // Check eTag condition, if given
+  if (options.eTag) {
+    if (!existing) {
+      throw createError('ResourceNotFound', 404,
+                        "The specified resource does not exist.");
+    }
+    if (options.eTag !== '*' && options.eTag !== existing['odata.etag']) {
+      throw createError('UpdateConditionNotSatisfied', 412,
+                        "The update condition specified in the request " +
+                        "was not satisfied.");
+    }
+  }
+
+  // Merge with existing entity, if merging
+  if (options.mode === 'merge' && existing) {
+    entity = _.defaults({}, entity, _.omit(existing, [
+      'odata.etag',
+      'Timestamp',
+      'Timestamp@odata.type'
+    ]));
+  }
+  return this._store(entities, entity);
+};
+
+/** Delete entity from the `entities` of a table */
+InMemoryTable.prototype._delete = function(entities, partitionKey, rowKey,
+                                           options) {
+  assert(options && options.eTag, "`options.eTag` must be given");
+  var key       = this._key(partitionKey, rowKey);
+  var existing  = entities[key];
+  if (!existing) {
+    throw createError('ResourceNotFound', 404,
+                      "The specified resource does not exist.");
+  }
+  if (options.eTag !== '*' && options.eTag !== existing['odata.etag']) {
+    throw createError('UpdateConditionNotSatisfied', 412,
+                      "The update condition specified in the request " +
+                      "was not satisfied.");
+  }
+  delete entities[key];
+};
+
+/** Insert `entity` into `table`, returns a promise for the eTag */
+InMemoryTable.prototype.insertEntity = function(table, entity) {
+  var self = this;
+  return Promise.resolve().then(function() {
+    return self._insert(self._getTable(table), entity);
+  });
+};
+
+/**
+ * Update `entity` in `table` with `options` on the form:
+ * `{mode: 'replace' || 'merge', eTag: '...' || '*' || null}`, see
+ * `azure.Table.updateEntity` for details. Returns a promise for the eTag.
+ */
+InMemoryTable.prototype.updateEntity = function(table, entity, options) {
+  var self = this;
+  return Promise.resolve().then(function() {
+    return self._update(self._getTable(table), entity, options);
+  });
+};
+
+/**
+ * Delete entity identified by `partitionKey` and `rowKey` from `table`, with
+ * `options` on the form `{eTag: '...' || '*'}`.
+ */
+InMemoryTable.prototype.deleteEntity = function(table, partitionKey, rowKey,
+                                                options) {
+  var self = this;
+  return Promise.resolve().then(function() {
+    self._delete(self._getTable(table), partitionKey, rowKey, options);
+  });
+};
+
+/**
+ * Submit `operations` as an entity group transaction on `table`, see
+ * `azurebatch.submitBatch` for details. Operations are applied to a copy of
+ * the table, which replaces the table if all operations succeed.
+ */
+InMemoryTable.prototype.submitBatch = function(table, operations) {
+  var self = this;
+  return Promise.resolve().then(function() {
+    azureBatch.validateOperations(operations);
+    var entities = _.clone(self._getTable(table));
+    var eTags = operations.map(function(op, index) {
+      try {
+        if (op.method === 'insertEntity') {
+          return self._insert(entities, op.entity);
+        }
+        if (op.method === 'updateEntity') {
+          return self._update(entities, op.entity, op.options);
+        }
+        self._delete(entities, op.partitionKey, op.rowKey, op.options);
+        return undefined;
+      }
+      catch (err) {
+        // Prefix message with index of operation, like Azure does
+        err.message = index + ':' + err.message;
+        err.index   = index;
+        throw err;
+      }
+    });
+    self._tables[table] = entities;
+    return eTags;
+  });
+};
+
+// Export InMemoryTable
+module.exports = InMemoryTable;
@@ -0,0 +1,363 @@
+"use strict";
+
+var assert          = require('assert');
+var util            = require('util');
+var events          = require('events');
+var os              = require('os');
+var slugid          = require('slugid');
+var _               = require('lodash');
+var Promise         = require('promise');
+var debug           = require('debug')('base:lease');
+var Entity          = require('./entity');
+
+/** Entity for storing leases, one entity per lease name */
+var LeaseEntity = Entity.configure({
+  version:          1,
+  partitionKey:     Entity.keys.StringKey('name'),
+  rowKey:           Entity.keys.ConstantKey('lease'),
+  properties: {
+    name:           Entity.types.String,
+    owner:          Entity.types.String,  // Owner for debugging
+    token:          Entity.types.SlugId,  // Unique for each acquisition
+    expires:        Entity.types.Date     // Time the lease expires
+  }
+});
+
+/******************** LeaseLost Error ********************/
+
+/**
+ * Error given to `onLost` callbacks and thrown by `HeldLease.renew` when a
+ * lease is no longer held, because it expired or was acquired by another.
+ */
+var LeaseLost = function(message, name) {
+  Error.call(this);
+  Error.captureStackTrace(this, LeaseLost);
+  this.name     = 'LeaseLostError';
+  this.code     = 'LeaseLost';
+  this.message  = message;
+  this.lease    = name;
+};
+
+// Inherit from Error
+util.inherits(LeaseLost, Error);
+
+/******************** HeldLease ********************/
+
+/**
+ * A lease held by this process, returned from `Lease.prototype.acquire`. This
+ * is an EventEmitter that emits `lost` with a `LeaseLost` error, if the lease
+ * is lost, see `HeldLease.prototype.onLost`.
+ *
+ * Properties:
+ *  - `name`, name of the lease,
+ *  - `ttl`, time to live in ms given when acquired, and
+ *  - `expires`, Date at which the lease expires, unless renewed.
+ */
+var HeldLease = function(item, ttl) {
+  events.EventEmitter.call(this);
+  this._item      = item;
+  this._renewing  = null;
+  this._timer     = null;
+  this._state     = 'held';
+  this.name       = item.name;
+  this.ttl        = ttl;
+  this.expires    = item.expires;
+  this.__scheduleExpiry();
+};
+
+// Inherit from EventEmitter
+util.inherits(HeldLease, events.EventEmitter);
+
+/** Mark lease lost when it expires, this is reset when renewed */
+HeldLease.prototype.__scheduleExpiry = function() {
+  clearTimeout(this._timer);
+  var delay = Math.max(this.expires.getTime() - Date.now(), 0);
+  this._timer = setTimeout(function() {
+    this.__lost("Lease '" + this.name + "' expired without being renewed");
+  }.bind(this), delay);
+  // Don't keep the process alive, just because a lease is held
+  this._timer.unref();
+};
+
+/** Mark lease lost with `message`, and notify `onLost` callbacks */
+HeldLease.prototype.__lost = function(message) {
+  if (this._state !== 'held') {
+    return;
+  }
+  debug("Lost lease: %s, %s", this.name, message);
+  clearTimeout(this._timer);
+  this._state = 'lost';
+  this._error = new LeaseLost(message, this.name);
+  try {
+    this.emit('lost', this._error);
+  } catch (err) {
+    debug("onLost callback failed, err: %s, %j", err, err, err.stack);
+  }
+};
+
+/** Check if the lease is still held, ie. not released, lost or expired */
+HeldLease.prototype.isHeld = function() {
+  return this._state === 'held' && this.expires.getTime() > Date.now();
+};
+
+/**
+ * Register `callback` to be called with a `LeaseLost` error, if the lease
+ * expires without being renewed, or renewal finds that it's no longer held.
+ * If the lease have already been lost, `callback` is called on next tick.
+ * Callbacks aren't called when the lease is released. Returns `this`.
+ */
+HeldLease.prototype.onLost = function(callback) {
+  assert(callback instanceof Function, "callback must be a function");
+  if (this._state === 'lost') {
+    process.nextTick(callback.bind(null, this._error));
+  } else {
+    this.on('lost', callback);
+  }
+  return this;
+};
+
+/**
+ * Renew the lease for another `ttl` ms, defaults to `ttl` given when the lease
+ * was acquired. Returns a promise that the lease have been renewed, this fails
+ * with a `LeaseLost` error if the lease is no longer held.
+ *
+ * If renewal fails for other reasons, such as network errors, the lease is
+ * still held until it expires, so renewal may be attempted again.
+ */
+HeldLease.prototype.renew = function(ttl) {
+  var self = this;
+  ttl = ttl || this.ttl;
+  assert(typeof(ttl) === 'number' && ttl > 0, "ttl must be a positive number");
+  if (this._state !== 'held') {
+    return Promise.reject(this._error || new LeaseLost(
+      "Lease '" + this.name + "' was released", this.name
+    ));
+  }
+  // Wait for renewals in progress, so the entity isn't modified concurrently
+  if (this._renewing) {
+    return this._renewing.then(function() {
+      return self.renew(ttl);
+    });
+  }
+  var token = this._item.token;
+  var renewed = this._item.modify(function() {
+    // The lease is still held, even if expired, if no other have acquired it
+    if (this.token !== token) {
+      throw new LeaseLost(
+        "Lease '" + self.name + "' was acquired by " + this.owner,
+        self.name
+      );
+    }
+    // Always change expires, otherwise modify returns without checking that
+    // the entity is unchanged
+    var expires = Date.now() + ttl;
+    if (expires === this.expires.getTime()) {
+      expires += 1;
+    }
+    this.expires = new Date(expires);
+  }).then(function(item) {
+    // Update expiration, unless the lease was lost or released meanwhile
+    if (self._state === 'held') {
+      self.expires = item.expires;
+      self.__scheduleExpiry();
+    }
+  }, function(err) {
+    if (err && err.code === 'ResourceNotFound') {
+      err = new LeaseLost("Lease '" + self.name + "' was removed", self.name);
+    }
+    if (err instanceof LeaseLost) {
+      self.__lost(err.message);
+    }
+    throw err;
+  });
+  this._renewing = renewed.then(function() {
+    self._renewing = null;
+  }, function() {
+    self._renewing = null;
+  });
+  return renewed;
+};
+
+/**
+ * Release the lease, so it can be acquired by others. Returns a promise that
+ * the lease have been released. If the lease is no longer held, this does
+ * nothing, so it's always safe to call.
+ */
+HeldLease.prototype.release = function() {
+  var self = this;
+  if (this._state !== 'held') {
+    return Promise.resolve();
+  }
+  this._state = 'released';
+  clearTimeout(this._timer);
+  return Promise.resolve(this._renewing).then(function() {
+    // Remove with eTag, so we don't remove the lease if acquired by another
+    return self._item.remove(false, true);
+  }).catch(function(err) {
+    if (!err || err.code !== 'UpdateConditionNotSatisfied') {
+      throw err;
+    }
+  });
+};
+
+/******************** Lease ********************/
+
+/**
+ * Create a lease manager with leases stored in an Entity table, given options:
+ * {
+ *   table:             "AzureTableName",   // Azure table name
+ *   credentials:       {...},              // Credentials, see Entity.setup
+ *   owner:             "worker-1",         // Owner of leases (optional)
+ *   ...                                    // Other options for Entity.setup
+ * }
+ *
+ * Leases are acquired with `acquire(name, ttl)`, which returns a `HeldLease`
+ * if the lease was acquired, and `null` if it is held by another. A held lease
+ * must be renewed with `renew` before it expires, and should be released with
+ * `release` when no longer needed. Use `run` to hold a lease while running a
+ * function, renewing it as needed.
+ *
+ * Leases rely on optimistic concurrency on the entity storing the lease, so at
+ * most one `HeldLease` can hold a lease at any time. However, expiration is
+ * determined by local clocks, so these must be roughly synchronized, and
+ * leases should be renewed well before they expire. The `owner` defaults to
+ * hostname and process id, it is stored with the lease for debugging.
+ *
+ * Example:
+ * ```js
+ * var leases = new base.Lease({table: 'Leases', credentials: {...}});
+ * leases.run('expire-artifacts', 5 * 60 * 1000, function(lease) {
+ *   return expireArtifacts();
+ * }).then(function(result) {
+ *   if (!result.acquired) {
+ *     debug("Another process is expiring artifacts");
+ *   }
+ * });
+ * ```
+ */
+var Lease = function(options) {
+  assert(options, "options must be given");
+  options = _.defaults({}, options, {
+    owner:    os.hostname() + '/' + process.pid
+  });
+  assert(typeof(options.owner) === 'string', "owner must be a string");
+  this.owner  = options.owner;
+  this.Entity = LeaseEntity.setup(_.omit(options, 'owner'));
+};
+
+/** Ensure existence of the underlying table */
+Lease.prototype.ensureTable = function() {
+  return this.Entity.ensureTable();
+};
+
+/** Delete the underlying table */
+Lease.prototype.removeTable = function() {
+  return this.Entity.removeTable();
+};
+
+/**
+ * Acquire lease with `name` for `ttl` ms, returns a promise for a `HeldLease`
+ * if the lease was acquired, and `null` if the lease is held by another.
+ */
+Lease.prototype.acquire = function(name, ttl) {
+  var self = this;
+  assert(typeof(name) === 'string', "name must be a string");
+  assert(typeof(ttl) === 'number' && ttl > 0, "ttl must be a positive number");
+  var token = slugid.v4();
+  return this.Entity.load({name: name}, {
+    ignoreIfNotExists:  true
+  }).then(function(item) {
+    // Create the lease, if it doesn't exist
+    if (!item) {
+      return self.Entity.create({
+        name:     name,
+        owner:    self.owner,
+        token:    token,
+        expires:  new Date(Date.now() + ttl)
+      }).catch(function(err) {
+        if (!err || err.code !== 'EntityAlreadyExists') {
+          throw err;
+        }
+        debug("Lease '%s' was created by another", name);
+        return null;
+      });
+    }
+    // Take over the lease, if it has expired
+    var acquired = false;
+    return item.modify(function() {
+      acquired = false;
+      if (this.expires.getTime() > Date.now()) {
+        return;
+      }
+      this.owner    = self.owner;
+      this.token    = token;
+      this.expires  = new Date(Date.now() + ttl);
+      acquired      = true;
+    }).then(function(item) {
+      return acquired ? item : null;
+    }, function(err) {
+      // If the lease was released meanwhile, we didn't get it this time
+      if (!err || err.code !== 'ResourceNotFound') {
+        throw err;
+      }
+      return null;
+    });
+  }).then(function(item) {
+    if (!item) {
+      return null;
+    }
+    debug("Acquired lease: %s", name);
+    return new HeldLease(item, ttl);
+  });
+};
+
+/**
+ * Run `fn` while holding lease with `name`, if it can be acquired. The lease
+ * is acquired for `ttl` ms and renewed every `ttl / 3` ms while `fn` runs.
+ * `fn` is called with the `HeldLease`, and may return a promise, the lease is
+ * released when `fn` is done. Returns a promise for `{acquired: false}` if
+ * the lease is held by another, and `{acquired: true, result: ...}` with the
+ * result from `fn` otherwise.
+ *
+ * If the lease is lost while `fn` is running, the promise is rejected with a
+ * `LeaseLost` error immediately. As `fn` can't be interrupted, long running
+ * functions should check `lease.isHeld()` regularly, and stop if it's `false`.
+ */
+Lease.prototype.run = function(name, ttl, fn) {
+  assert(fn instanceof Function, "fn must be a function");
+  return this.acquire(name, ttl).then(function(lease) {
+    if (!lease) {
+      return {acquired: false};
+    }
+    // Renew lease regularly, errors other than LeaseLost are only logged, as
+    // renewal will be attempted again before the lease expires
+    var interval = setInterval(function() {
+      lease.renew().catch(function(err) {
+        debug("Failed to renew lease: %s, err: %s, %j", name, err, err);
+      });
+    }, ttl / 3);
+    return new Promise(function(accept, reject) {
+      lease.onLost(reject);
+      Promise.resolve().then(function() {
+        return fn(lease);
+      }).then(accept, reject);
+    }).then(function(result) {
+      clearInterval(interval);
+      return lease.release().then(function() {
+        return {acquired: true, result: result};
+      });
+    }, function(err) {
+      clearInterval(interval);
+      return lease.release().then(function() {
+        throw err;
+      });
+    });
+  });
+};
+
+// Export LeaseLost and HeldLease
+Lease.LeaseLost = LeaseLost;
+Lease.HeldLease = HeldLease;
+
+// Export Lease
+module.exports = Lease;
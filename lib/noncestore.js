@@ -0,0 +1,162 @@
+"use strict";
+
+var assert          = require('assert');
+var _               = require('lodash');
+var Promise         = require('promise');
+var LRU             = require('lru-cache');
+var debug           = require('debug')('base:noncestore');
+var errors          = require('./entityerrors');
+
+/**
+ * Max clock skew in seconds permitted for hawk timestamps, requests with a
+ * timestamp outside this window are rejected, so nonces only have to be
+ * remembered while their timestamp is within this window.
+ */
+var TIMESTAMP_SKEW_SEC = 15 * 60;
+
+/**
+ * Find time in ms at which a nonce with timestamp `ts`, given in seconds by
+ * hawk, can be forgotten. This is never before `now` plus the skew window, and
+ * never after `now` plus twice the skew window, as `ts` is given by the client.
+ */
+var nonceExpires = function(ts, now) {
+  var skew = TIMESTAMP_SKEW_SEC * 1000;
+  var time = parseInt(ts, 10) * 1000;
+  if (!(time > now)) {
+    time = now;
+  }
+  return Math.min(time, now + skew) + skew;
+};
+
+/** Create error for nonce that have already been used */
+var replayError = function() {
+  debug("CRITICAL: Replay attack detected!");
+  var err = new Error("Signature already used");
+  err.code = 'NonceAlreadyUsed';
+  return err;
+};
+
+/******************** InMemoryNonceStore ********************/
+
+/**
+ * Nonce store keeping nonces in memory, given options:
+ * {
+ *   size:             10000   // Max number of nonces to keep track of
+ * }
+ *
+ * Nonces are forgotten when their timestamp is outside the skew window, or
+ * when more than `size` nonces are in use, in which case the least recently
+ * added nonces are forgotten. Lookups are O(1).
+ *
+ * Notice, that this only protects against replay attacks on a single server
+ * process, use `EntityNonceStore` with multiple server processes.
+ *
+ * A nonce store must implement `add(nonce, ts)` returning a promise that is
+ * rejected if the `nonce` have already been used with timestamp `ts`.
+ */
+var InMemoryNonceStore = function(options) {
+  options = _.defaults({}, options || {}, {
+    size:               10000
+  });
+  assert(typeof(options.size) === 'number' && options.size > 0,
+         "size must be a positive number");
+  this._nonces = LRU({max: options.size});
+};
+
+/** Add `nonce` with timestamp `ts`, fails if already used */
+InMemoryNonceStore.prototype.add = function(nonce, ts) {
+  var key = JSON.stringify([nonce, String(ts)]);
+  if (this._nonces.has(key)) {
+    return Promise.reject(replayError());
+  }
+  var now = Date.now();
+  this._nonces.set(key, true, nonceExpires(ts, now) - now);
+  return Promise.resolve();
+};
+
+// Export InMemoryNonceStore
+exports.InMemoryNonceStore = InMemoryNonceStore;
+
+/******************** EntityNonceStore ********************/
+
+/**
+ * Get entity for storing nonces, see EntityNonceStore. The entity module is
+ * loaded lazily, so `InMemoryNonceStore` can be used without loading it.
+ */
+var _NonceEntity = null;
+var nonceEntity = function() {
+  if (!_NonceEntity) {
+    var Entity = require('./entity');
+    _NonceEntity = Entity.configure({
+      version:          1,
+      partitionKey:     Entity.keys.StringKey('nonce'),
+      rowKey:           Entity.keys.StringKey('ts'),
+      properties: {
+        nonce:          Entity.types.String,
+        ts:             Entity.types.String,
+        expires:        Entity.types.Date
+      },
+      expires:          'expires'
+    });
+  }
+  return _NonceEntity;
+};
+
+/**
+ * Nonce store keeping nonces in an azure table, shared between processes,
+ * given options for `Entity.setup`, such as:
+ * {
+ *   table:             "AzureTableName",   // Azure table name
+ *   credentials:       {...}               // Credentials, see Entity.setup
+ * }
+ *
+ * Nonces are stored with an expiration time, after which their timestamp is
+ * outside the skew window. Call `expire` regularly, for example from a
+ * background process, to remove nonces that have expired.
+ *
+ * If the table can't be reached, the nonce is considered used, so requests
+ * are rejected rather than risking replay attacks.
+ */
+var EntityNonceStore = function(options) {
+  assert(options, "options must be given");
+  this.Entity = nonceEntity().setup(options);
+};
+
+/** Ensure existence of the underlying table */
+EntityNonceStore.prototype.ensureTable = function() {
+  return this.Entity.ensureTable();
+};
+
+/** Delete the underlying table */
+EntityNonceStore.prototype.removeTable = function() {
+  return this.Entity.removeTable();
+};
+
+/** Add `nonce` with timestamp `ts`, fails if already used */
+EntityNonceStore.prototype.add = function(nonce, ts) {
+  return this.Entity.create({
+    nonce:    nonce,
+    ts:       String(ts),
+    expires:  new Date(nonceExpires(ts, Date.now()))
+  }).then(function() {}, function(err) {
+    if (err instanceof errors.AlreadyExists) {
+      throw replayError();
+    }
+    debug("Failed to store nonce, err: %s, %j", err, err, err.stack);
+    throw err;
+  });
+};
+
+/**
+ * Remove nonces that have expired, returns a promise for a status object, see
+ * `Entity.expire`.
+ */
+EntityNonceStore.prototype.expire = function() {
+  return this.Entity.expire(new Date());
+};
+
+// Export EntityNonceStore
+exports.EntityNonceStore = EntityNonceStore;
+
+// Export TIMESTAMP_SKEW_SEC
+exports.TIMESTAMP_SKEW_SEC = TIMESTAMP_SKEW_SEC;
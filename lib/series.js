@@ -161,6 +161,28 @@ exports.AzureTableOperations = new Series({
   }
 });
 
+/** Statistics for lookups in the cache for Entity.load */
+exports.EntityCacheLookups = new Series({
+  name:               'EntityCacheLookups',
+  columns: {
+    component:        types.String,
+    process:          types.String,
+    table:            types.String,
+    hit:              types.Number  // 1 or 0
+  }
+});
+
+/** Statistics for lookups in the client cache used by API.router */
+exports.ClientCacheLookups = new Series({
+  name:               'ClientCacheLookups',
+  columns: {
+    component:        types.String,
+    hit:              types.Number, // 1 or 0
+    coalesced:        types.Number, // 1 if a pending load was reused
+    unknown:          types.Number  // 1 if client is known not to exist
+  }
+});
+
 /** Statistics from TaskCluster Client stats callback */
 exports.APIClientCalls = new Series({
   name:               'APIClientCalls ',
@@ -0,0 +1,215 @@
+suite("api/clientCache", function() {
+  var base            = require('../../');
+  var assert          = require('assert');
+  var Promise         = require('promise');
+  var _               = require('lodash');
+  var debug           = require('debug')('base:test:clientCache');
+
+  var Client = base.API.authenticate.Client;
+
+  // Fake clientLoader counting loads, clientIds starting with 'unknown' are
+  // reported as unknown, and 'broken' fails with a non-404 error
+  var loads = null;
+  var clientLoader = function(clientId) {
+    loads.push(clientId);
+    return new Promise(function(accept) {
+      setTimeout(accept, 10);
+    }).then(function() {
+      if (/^unknown/.test(clientId)) {
+        var err = new Error("Failed to fetch credentials: not found");
+        err.statusCode = 404;
+        throw err;
+      }
+      if (clientId === 'broken') {
+        var error = new Error("Failed to fetch credentials: server error");
+        error.statusCode = 500;
+        throw error;
+      }
+      return new Client({
+        clientId:       clientId,
+        accessToken:    'secret-' + clientId,
+        scopes:         ['scope:' + clientId],
+        expires:        new Date(Date.now() + 60 * 60 * 1000)
+      });
+    });
+  };
+
+  var sleep = function(delay) {
+    return new Promise(function(accept) {
+      setTimeout(accept, delay);
+    });
+  };
+
+  // Expect promise to be rejected with statusCode
+  var expectError = function(promise, statusCode) {
+    return promise.then(function() {
+      assert(false, "Expected an error");
+    }, function(err) {
+      assert(err.statusCode === statusCode, "Expected another error");
+    });
+  };
+
+  var points = null;
+  var drain = new base.stats.NullDrain();
+  drain.on('point', function(series, point) {
+    if (series === 'ClientCacheLookups') {
+      points.push(point);
+    }
+  });
+
+  setup(function() {
+    loads = [];
+    points = [];
+  });
+
+  test("caches clients", function() {
+    var loader = base.API.authenticate.clientCache(clientLoader);
+    return loader('client-1').then(function(client) {
+      assert(client.clientId === 'client-1');
+      return loader('client-1');
+    }).then(function(client) {
+      assert(client.clientId === 'client-1');
+      assert(client.accessToken === 'secret-client-1');
+      // Modifying the client doesn't affect the cache
+      client.scopes.push('modified');
+      return loader('client-1');
+    }).then(function(client) {
+      assert(_.isEqual(client.scopes, ['scope:client-1']));
+      assert(_.isEqual(loads, ['client-1']), "Expected one load");
+      var stats = loader.stats();
+      assert(stats.hits === 2);
+      assert(stats.misses === 1);
+      assert(stats.size === 1);
+    });
+  });
+
+  test("evicts least recently used", function() {
+    var loader = base.API.authenticate.clientCache(clientLoader, {size: 2});
+    return loader('client-1').then(function() {
+      return loader('client-2');
+    }).then(function() {
+      return loader('client-1');
+    }).then(function() {
+      return loader('client-3');
+    }).then(function() {
+      return loader('client-1');
+    }).then(function() {
+      return loader('client-2');
+    }).then(function() {
+      assert(_.isEqual(loads, [
+        'client-1', 'client-2', 'client-3', 'client-2'
+      ]), "Expected client-2 to be evicted");
+    });
+  });
+
+  test("expiration is in minutes", function() {
+    var loader = base.API.authenticate.clientCache(clientLoader, {
+      expiration:   0.001   // 60 ms
+    });
+    return loader('client-1').then(function() {
+      return sleep(100);
+    }).then(function() {
+      return loader('client-1');
+    }).then(function() {
+      assert(loads.length === 2, "Expected client to have expired");
+    });
+  });
+
+  test("coalesces concurrent loads", function() {
+    var loader = base.API.authenticate.clientCache(clientLoader);
+    return Promise.all(_.range(5).map(function() {
+      return loader('client-1');
+    })).then(function(clients) {
+      assert(_.isEqual(loads, ['client-1']), "Expected one load");
+      clients.forEach(function(client) {
+        assert(client.clientId === 'client-1');
+      });
+      assert(clients[0] !== clients[1], "Expected clones");
+      var stats = loader.stats();
+      assert(stats.misses === 1);
+      assert(stats.coalesced === 4);
+    });
+  });
+
+  test("caches unknown clients", function() {
+    var loader = base.API.authenticate.clientCache(clientLoader, {
+      negativeExpiration:   0.001   // 60 ms
+    });
+    return expectError(loader('unknown-1'), 404).then(function() {
+      return expectError(loader('unknown-1'), 404);
+    }).then(function() {
+      assert(loads.length === 1, "Expected unknown client to be cached");
+      assert(loader.stats().unknown === 1);
+      return sleep(100);
+    }).then(function() {
+      return expectError(loader('unknown-1'), 404);
+    }).then(function() {
+      assert(loads.length === 2, "Expected unknown client to have expired");
+    });
+  });
+
+  test("doesn't cache other errors", function() {
+    var loader = base.API.authenticate.clientCache(clientLoader);
+    return expectError(loader('broken'), 500).then(function() {
+      return expectError(loader('broken'), 500);
+    }).then(function() {
+      assert(loads.length === 2, "Expected error not to be cached");
+    });
+  });
+
+  test("invalidate", function() {
+    var loader = base.API.authenticate.clientCache(clientLoader);
+    return Promise.all([
+      loader('client-1'),
+      loader('client-2')
+    ]).then(function() {
+      loader.invalidate('client-1');
+      return loader('client-1');
+    }).then(function() {
+      return loader('client-2');
+    }).then(function() {
+      assert(_.isEqual(loads, ['client-1', 'client-2', 'client-1']));
+      loader.invalidate();
+      assert(loader.stats().size === 0);
+      return loader('client-2');
+    }).then(function() {
+      assert(loads.length === 4, "Expected cache to be cleared");
+    });
+  });
+
+  test("invalidate while loading", function() {
+    var loader = base.API.authenticate.clientCache(clientLoader);
+    var loading = loader('client-1');
+    loader.invalidate('client-1');
+    return loading.then(function() {
+      return loader('client-1');
+    }).then(function() {
+      assert(loads.length === 2, "Expected client not to be cached");
+    });
+  });
+
+  test("reports statistics", function() {
+    var loader = base.API.authenticate.clientCache(clientLoader, {
+      drain:        drain,
+      component:    'base-test'
+    });
+    return Promise.all([
+      loader('client-1'),
+      loader('client-1')
+    ]).then(function() {
+      return loader('client-1');
+    }).then(function() {
+      return expectError(loader('unknown-1'), 404);
+    }).then(function() {
+      return expectError(loader('unknown-1'), 404);
+    }).then(function() {
+      assert(points.length === 5, "Expected a point for each lookup");
+      points.forEach(function(point) {
+        assert(point.component === 'base-test');
+      });
+      assert(_.isEqual(_.pluck(points, 'hit'), [0, 0, 1, 0, 1]));
+      assert(_.isEqual(_.pluck(points, 'coalesced'), [0, 1, 0, 0, 0]));
+      assert(_.isEqual(_.pluck(points, 'unknown'), [0, 0, 0, 0, 1]));
+    });
+  });
+});
@@ -0,0 +1,158 @@
+suite("api/noncestore", function() {
+  require('superagent-hawk')(require('superagent'));
+  var request         = require('superagent-promise');
+  var assert          = require('assert');
+  var Promise         = require('promise');
+  var base            = require('../../');
+  var express         = require('express');
+  var hawk            = require('hawk');
+  var _               = require('lodash');
+  var debug           = require('debug')('base:test:noncestore');
+
+  var authenticate = base.API.authenticate;
+
+  // Expect promise to be rejected as replay
+  var expectReplay = function(promise) {
+    return promise.then(function() {
+      assert(false, "Expected an error");
+    }, function(err) {
+      assert(err.code === 'NonceAlreadyUsed');
+    });
+  };
+
+  test("InMemoryNonceStore", function() {
+    var store = new authenticate.InMemoryNonceStore();
+    var ts = Math.floor(Date.now() / 1000);
+    return store.add('my-nonce', ts).then(function() {
+      return expectReplay(store.add('my-nonce', ts));
+    }).then(function() {
+      return store.add('my-nonce', ts + 1);
+    }).then(function() {
+      return store.add('another-nonce', ts);
+    });
+  });
+
+  test("InMemoryNonceStore forgets least recently added", function() {
+    var store = new authenticate.InMemoryNonceStore({size: 3});
+    return Promise.all(_.range(4).map(function(i) {
+      return store.add('nonce-' + i, 12);
+    })).then(function() {
+      return store.add('nonce-0', 12);
+    }).then(function() {
+      return expectReplay(store.add('nonce-3', 12));
+    });
+  });
+
+  test("EntityNonceStore is shared between processes", function() {
+    var client = new base.Entity.InMemoryTable();
+    var store1 = new authenticate.EntityNonceStore({
+      table:    'NonceTestTable',
+      client:   client
+    });
+    var store2 = new authenticate.EntityNonceStore({
+      table:    'NonceTestTable',
+      client:   client
+    });
+    var ts = Math.floor(Date.now() / 1000);
+    return store1.ensureTable().then(function() {
+      return store1.add('my-nonce', ts);
+    }).then(function() {
+      return expectReplay(store2.add('my-nonce', ts));
+    }).then(function() {
+      return store2.add('my-nonce', ts + 1);
+    }).then(function() {
+      return store1.expire();
+    }).then(function(status) {
+      assert(status.removed === 0, "Expected nonces not to have expired");
+      // Expire nonces after the skew window
+      var later = new Date(Date.now() + 31 * 60 * 1000);
+      return store1.Entity.expire(later);
+    }).then(function(status) {
+      assert(status.removed === 2, "Expected nonces to have expired");
+    });
+  });
+
+  test("EntityNonceStore doesn't keep future nonces forever", function() {
+    var client = new base.Entity.InMemoryTable();
+    var store = new authenticate.EntityNonceStore({
+      table:    'NonceFutureTestTable',
+      client:   client
+    });
+    var ts = Math.floor(Date.now() / 1000) + 365 * 24 * 60 * 60;
+    return store.ensureTable().then(function() {
+      return store.add('my-nonce', ts);
+    }).then(function() {
+      // Expire nonces after twice the skew window
+      var later = new Date(Date.now() + 31 * 60 * 1000);
+      return store.Entity.expire(later);
+    }).then(function(status) {
+      assert(status.removed === 1, "Expected nonce to have expired");
+    });
+  });
+
+  test("API.router with nonce store", function() {
+    var api = new base.API({
+      title:        "Test Api",
+      description:  "Test api with nonce store"
+    });
+    api.declare({
+      method:       'get',
+      route:        '/test-nonce',
+      name:         'testNonce',
+      title:        "Test End-Point",
+      scopes:       [['test:nonce']],
+      description:  "Place we can call to test nonce store",
+    }, function(req, res) {
+      res.status(200).json("OK");
+    });
+
+    var server = null;
+    var url = 'http://localhost:23527/test-nonce';
+    return base.validator().then(function(validator) {
+      var app = express();
+      app.use(api.router({
+        validator:      validator,
+        nonceManager:   new authenticate.InMemoryNonceStore(),
+        clientLoader:   function(clientId) {
+          return Promise.resolve(new authenticate.Client({
+            clientId:     clientId,
+            accessToken:  'test-token',
+            scopes:       ['test:nonce'],
+            expires:      new Date(Date.now() + 60 * 1000)
+          }));
+        }
+      }));
+      return new Promise(function(accept, reject) {
+        server = app.listen(23527);
+        server.once('listening', accept);
+        server.once('error', reject);
+      });
+    }).then(function() {
+      // Sign a request and send it twice
+      var header = hawk.client.header(url, 'GET', {
+        credentials: {
+          id:         'test-client',
+          key:        'test-token',
+          algorithm:  'sha256'
+        }
+      }).field;
+      var send = function() {
+        return request
+          .get(url)
+          .set('Authorization', header)
+          .end();
+      };
+      return send().then(function(res) {
+        assert(res.ok, "Expected request to be accepted");
+        return send();
+      }).then(function(res) {
+        assert(res.status === 401, "Expected replayed request to fail");
+      });
+    }).then(function() {
+      server.close();
+    }, function(err) {
+      server.close();
+      throw err;
+    });
+  });
+});
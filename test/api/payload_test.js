@@ -0,0 +1,214 @@
+suite("api/payload", function() {
+  require('superagent-hawk')(require('superagent'));
+  var request         = require('superagent-promise');
+  var assert          = require('assert');
+  var Promise         = require('promise');
+  var base            = require('../../');
+  var express         = require('express');
+  var hawk            = require('hawk');
+  var debug           = require('debug')('base:test:payload');
+
+  // Create test api
+  var api = new base.API({
+    title:        "Test Api",
+    description:  "Test api for payload verification and signing"
+  });
+
+  // Declare a method with payload verification
+  api.declare({
+    method:         'post',
+    route:          '/test-verify',
+    name:           'testVerify',
+    title:          "Test End-Point",
+    scopes:         [['test:payload']],
+    verifyPayload:  true,
+    description:    "Place we can call to test payload verification",
+  }, function(req, res) {
+    res.status(200).json(req.body);
+  });
+
+  // Declare a GET method with payload verification
+  api.declare({
+    method:         'get',
+    route:          '/test-verify-get',
+    name:           'testVerifyGet',
+    title:          "Test End-Point",
+    scopes:         [['test:payload']],
+    verifyPayload:  true,
+    description:    "Place we can call to test verification without body",
+  }, function(req, res) {
+    res.status(200).json("OK");
+  });
+
+  // Declare a method without payload verification
+  api.declare({
+    method:         'post',
+    route:          '/test-no-verify',
+    name:           'testNoVerify',
+    title:          "Test End-Point",
+    scopes:         [['test:payload']],
+    description:    "Place we can call to test without verification",
+  }, function(req, res) {
+    res.status(200).json(req.body);
+  });
+
+  // Declare a method without response signing
+  api.declare({
+    method:         'get',
+    route:          '/test-no-sign',
+    name:           'testNoSign',
+    title:          "Test End-Point",
+    scopes:         [['test:payload']],
+    signResponse:   false,
+    description:    "Place we can call to test without signing",
+  }, function(req, res) {
+    res.status(200).json("OK");
+  });
+
+  var credentials = {
+    id:         'test-client',
+    key:        'test-token',
+    algorithm:  'sha256'
+  };
+
+  // Create server with router signing responses
+  var server = null;
+  var baseUrl = 'http://localhost:23528';
+  suiteSetup(function() {
+    return base.validator().then(function(validator) {
+      var app = express();
+      app.use(api.router({
+        validator:      validator,
+        signResponse:   true,
+        clientLoader:   function(clientId) {
+          return Promise.resolve(new base.API.authenticate.Client({
+            clientId:     clientId,
+            accessToken:  'test-token',
+            scopes:       ['test:payload'],
+            expires:      new Date(Date.now() + 60 * 1000)
+          }));
+        }
+      }));
+      return new Promise(function(accept, reject) {
+        server = app.listen(23528);
+        server.once('listening', accept);
+        server.once('error', reject);
+      });
+    });
+  });
+
+  suiteTeardown(function() {
+    server.close();
+  });
+
+  // Send request to path with body, signing signedBody if given
+  var post = function(path, body, signedBody) {
+    var url = baseUrl + path;
+    var payload = JSON.stringify(body);
+    var options = {credentials: credentials};
+    if (signedBody !== undefined) {
+      options.payload     = JSON.stringify(signedBody);
+      options.contentType = 'application/json';
+    }
+    var header = hawk.client.header(url, 'POST', options);
+    return request
+      .post(url)
+      .set('Authorization', header.field)
+      .set('Content-Type', 'application/json')
+      .send(payload)
+      .end()
+      .then(function(res) {
+        res.artifacts = header.artifacts;
+        return res;
+      });
+  };
+
+  test("verified payload", function() {
+    return post('/test-verify', {value: 42}, {value: 42}).then(function(res) {
+      assert(res.ok, "Expected request to be accepted");
+      assert(res.body.value === 42);
+    });
+  });
+
+  test("modified payload", function() {
+    return post('/test-verify', {value: 43}, {value: 42}).then(function(res) {
+      assert(res.status === 401, "Expected request to be rejected");
+      assert(/Bad payload hash/.test(res.body.error.info));
+    });
+  });
+
+  test("missing payload hash", function() {
+    return post('/test-verify', {value: 42}).then(function(res) {
+      assert(res.status === 401, "Expected request to be rejected");
+      assert(/Missing required payload hash/.test(res.body.error.info));
+    });
+  });
+
+  // Send GET request to path, signing signedBody if given, as GET requests
+  // have no Content-Type, it's not included in the payload hash
+  var get = function(path, signedBody) {
+    var url = baseUrl + path;
+    var options = {credentials: credentials};
+    if (signedBody !== undefined) {
+      options.payload = signedBody;
+    }
+    var header = hawk.client.header(url, 'GET', options);
+    return request
+      .get(url)
+      .set('Authorization', header.field)
+      .end();
+  };
+
+  test("payload hash isn't required without body", function() {
+    return get('/test-verify-get').then(function(res) {
+      assert(res.ok, "Expected request to be accepted");
+    });
+  });
+
+  test("payload hash of empty body", function() {
+    return get('/test-verify-get', '').then(function(res) {
+      assert(res.ok, "Expected request to be accepted");
+    });
+  });
+
+  test("payload hash of body that wasn't sent", function() {
+    return get('/test-verify-get', '{"value":42}').then(function(res) {
+      assert(res.status === 401, "Expected request to be rejected");
+      assert(/Bad payload hash/.test(res.body.error.info));
+    });
+  });
+
+  test("payload isn't verified by default", function() {
+    var body = {value: 43};
+    return post('/test-no-verify', body, {value: 42}).then(function(res) {
+      assert(res.ok, "Expected request to be accepted");
+      assert(res.body.value === 43);
+    });
+  });
+
+  test("signed response", function() {
+    return post('/test-verify', {value: 42}, {value: 42}).then(function(res) {
+      assert(res.ok, "Expected request to be accepted");
+      assert(res.headers['server-authorization'], "Expected signature");
+      assert(hawk.client.authenticate(res, credentials, res.artifacts, {
+        payload:  res.text
+      }), "Expected response signature to be valid");
+      assert(!hawk.client.authenticate(res, credentials, res.artifacts, {
+        payload:  JSON.stringify({value: 43})
+      }), "Expected signature not to match another payload");
+    });
+  });
+
+  test("response signing can be disabled", function() {
+    var url = baseUrl + '/test-no-sign';
+    var header = hawk.client.header(url, 'GET', {credentials: credentials});
+    return request
+      .get(url)
+      .set('Authorization', header.field)
+      .end()
+      .then(function(res) {
+        assert(res.ok, "Expected request to be accepted");
+        assert(!res.headers['server-authorization'], "Expected no signature");
+      });
+  });
+});
@@ -0,0 +1,173 @@
+suite("api/query", function() {
+  require('superagent-hawk')(require('superagent'));
+  var request         = require('superagent-promise');
+  var assert          = require('assert');
+  var Promise         = require('promise');
+  var base            = require('../../');
+  var express         = require('express');
+  var _               = require('lodash');
+
+  // Create test api
+  var api = new base.API({
+    title:        "Test Api",
+    description:  "Another test api"
+  });
+
+  api.declare({
+    method:   'get',
+    route:    '/query',
+    name:     'testQuery',
+    query: {
+      limit:              /^[0-9]+$/,
+      continuationToken:  function(value) {
+        if (value.length > 10) {
+          return "Token too long!";
+        }
+      }
+    },
+    title:    "Test End-Point",
+    description:  "Place we can call to test something",
+  }, function(req, res) {
+    res.status(200).json(req.query);
+  });
+
+  api.declare({
+    method:   'get',
+    route:    '/no-query',
+    name:     'testNoQuery',
+    title:    "Test End-Point",
+    description:  "Place we can call to test something",
+  }, function(req, res) {
+    res.status(200).json(req.query);
+  });
+
+  // Reference for test api servers
+  var _apiServers = [];
+
+  // Start server on port, with given query parser
+  var listen = function(validator, port, queryParser) {
+    var app = express();
+    app.set('query parser', queryParser);
+    app.use(api.router({
+      validator:      validator,
+      clientLoader:   function() {
+        return Promise.reject(new Error("Not expected to be called"));
+      }
+    }));
+    return new Promise(function(accept, reject) {
+      var server = app.listen(port);
+      server.once('listening', accept);
+      server.once('error', reject);
+      _apiServers.push(server);
+    });
+  };
+
+  suiteSetup(function() {
+    return base.validator().then(function(validator) {
+      return Promise.all([
+        listen(validator, 23531, 'extended'),
+        // The querystring module, unlike qs, doesn't drop parameters named as
+        // Object.prototype properties
+        listen(validator, 23532, 'simple')
+      ]);
+    });
+  });
+
+  suiteTeardown(function() {
+    _apiServers.forEach(function(server) {
+      server.close();
+    });
+  });
+
+  // Make request to path with query, on port given or 23531
+  var get = function(path, query, port) {
+    return request
+      .get('http://localhost:' + (port || 23531) + path)
+      .query(query)
+      .end();
+  };
+
+  test("valid query-string", function() {
+    return get('/query', {
+      limit:              '100',
+      continuationToken:  'abc'
+    }).then(function(res) {
+      assert(res.ok, "Request failed");
+      assert(res.body.limit === '100');
+      assert(res.body.continuationToken === 'abc');
+    });
+  });
+
+  test("query-string parameters are optional", function() {
+    return get('/query', {}).then(function(res) {
+      assert(res.ok, "Request failed");
+      assert(_.isEqual(res.body, {}));
+    });
+  });
+
+  test("invalid query-string parameter (pattern)", function() {
+    return get('/query', {limit: 'many'}).then(function(res) {
+      assert(res.status === 400, "Expected a 400 error");
+      assert(/limit/.test(res.body.message));
+    });
+  });
+
+  test("invalid query-string parameter (function)", function() {
+    return get('/query', {
+      continuationToken:  'a-very-long-token'
+    }).then(function(res) {
+      assert(res.status === 400, "Expected a 400 error");
+      assert(/Token too long!/.test(res.body.message));
+    });
+  });
+
+  test("unknown query-string parameter", function() {
+    return get('/query', {limit: '10', foo: 'bar'}).then(function(res) {
+      assert(res.status === 400, "Expected a 400 error");
+      assert(/'foo' is not supported/.test(res.body.message));
+    });
+  });
+
+  test("query-string parameter named as Object.prototype property", function() {
+    return get('/query', {constructor: 'x'}, 23532).then(function(res) {
+      assert(res.status === 400, "Expected a 400 error");
+      assert(/'constructor' is not supported/.test(res.body.message));
+    });
+  });
+
+  test("query-string parameter named as Object.prototype method", function() {
+    return get('/query', {hasOwnProperty: 'x'}, 23532).then(function(res) {
+      assert(res.status === 400, "Expected a 400 error");
+      assert(/'hasOwnProperty' is not supported/.test(res.body.message));
+    });
+  });
+
+  test("repeated query-string parameter", function() {
+    return get('/query?limit=1&limit=2').then(function(res) {
+      assert(res.status === 400, "Expected a 400 error");
+      assert(/exactly once/.test(res.body.message));
+    });
+  });
+
+  test("bewit is always allowed", function() {
+    return get('/query', {bewit: 'invalid'}).then(function(res) {
+      assert(res.ok, "Request failed");
+    });
+  });
+
+  test("query-string isn't validated if not declared", function() {
+    return get('/no-query', {foo: 'bar'}).then(function(res) {
+      assert(res.ok, "Request failed");
+      assert(res.body.foo === 'bar');
+    });
+  });
+
+  test("reference", function() {
+    var ref = api.reference({baseUrl: 'http://localhost:23531'});
+    var entries = _.indexBy(ref.entries, 'name');
+    assert(_.isEqual(entries.testQuery.query, [
+      'limit', 'continuationToken'
+    ]), "Expected query-string parameters in reference");
+    assert(entries.testNoQuery.query === undefined);
+  });
+});
@@ -0,0 +1,188 @@
+suite("api/trustProxy", function() {
+  require('superagent-hawk')(require('superagent'));
+  var request         = require('superagent-promise');
+  var assert          = require('assert');
+  var Promise         = require('promise');
+  var base            = require('../../');
+  var express         = require('express');
+  var hawk            = require('hawk');
+  var debug           = require('debug')('base:test:trustProxy');
+
+  // Create test api
+  var api = new base.API({
+    title:        "Test Api",
+    description:  "Test api for trusted proxies"
+  });
+
+  // Declare a method requiring authentication
+  api.declare({
+    method:       'get',
+    route:        '/test-proxy',
+    name:         'testProxy',
+    title:        "Test End-Point",
+    scopes:       [['test:proxy']],
+    description:  "Place we can call to test trusted proxies",
+  }, function(req, res) {
+    res.status(200).json("OK");
+  });
+
+  var credentials = {
+    id:         'test-client',
+    key:        'test-token',
+    algorithm:  'sha256'
+  };
+
+  // Start app with routers under given prefixes, returns server
+  var servers = [];
+  var listen = function(app, port, routers) {
+    return base.validator().then(function(validator) {
+      Object.keys(routers).forEach(function(prefix) {
+        app.use(prefix, api.router({
+          validator:      validator,
+          trustProxy:     routers[prefix],
+          clientLoader:   function(clientId) {
+            return Promise.resolve(new base.API.authenticate.Client({
+              clientId:     clientId,
+              accessToken:  'test-token',
+              scopes:       ['test:proxy'],
+              expires:      new Date(Date.now() + 60 * 1000)
+            }));
+          }
+        }));
+      });
+      return new Promise(function(accept, reject) {
+        var server = app.listen(port);
+        server.once('listening', accept);
+        server.once('error', reject);
+        servers.push(server);
+      });
+    });
+  };
+
+  suiteSetup(function() {
+    return Promise.all([
+      listen(express(), 23529, {
+        '/trusted':     'loopback',
+        '/untrusted':   undefined,
+        '/other':       ['10.0.0.0/8'],
+        '/disabled':    false
+      }),
+      listen(base.app({
+        port:         23530,
+        env:          'production',
+        forceSSL:     false,
+        trustProxy:   true
+      }), 23530, {
+        '/app':         undefined
+      })
+    ]);
+  });
+
+  suiteTeardown(function() {
+    servers.forEach(function(server) {
+      server.close();
+    });
+  });
+
+  // Request path on localhost with headers, signed for signedUrl
+  var get = function(port, path, signedUrl, headers) {
+    var header = hawk.client.header(signedUrl, 'GET', {
+      credentials:  credentials
+    });
+    var req = request
+      .get('http://localhost:' + port + path)
+      .set('Authorization', header.field);
+    Object.keys(headers || {}).forEach(function(name) {
+      req.set(name, headers[name]);
+    });
+    return req.end();
+  };
+
+  // Headers set by a proxy terminating https for api.example.com
+  var proxyHeaders = {
+    'X-Forwarded-Host':   'api.example.com',
+    'X-Forwarded-Proto':  'https'
+  };
+
+  test("forwarded request from trusted proxy", function() {
+    var path = '/trusted/test-proxy';
+    var url = 'https://api.example.com' + path;
+    return get(23529, path, url, proxyHeaders).then(function(res) {
+      assert(res.ok, "Expected request to be accepted");
+    });
+  });
+
+  test("forwarded port from trusted proxy", function() {
+    var url = 'https://api.example.com:8443/trusted/test-proxy';
+    return get(23529, '/trusted/test-proxy', url, {
+      'X-Forwarded-Host':   'api.example.com',
+      'X-Forwarded-Port':   '8443',
+      'X-Forwarded-Proto':  'https'
+    }).then(function(res) {
+      assert(res.ok, "Expected request to be accepted");
+    });
+  });
+
+  test("client prepended values are ignored from trusted proxy", function() {
+    var url = 'https://api.example.com:8443/trusted/test-proxy';
+    return get(23529, '/trusted/test-proxy', url, {
+      'X-Forwarded-Host':   'evil.example.com, api.example.com',
+      'X-Forwarded-Port':   '1234, 8443',
+      'X-Forwarded-Proto':  'http, https'
+    }).then(function(res) {
+      assert(res.ok, "Expected last values of headers to be used");
+    });
+  });
+
+  test("forwarded request without trustProxy", function() {
+    var path = '/untrusted/test-proxy';
+    var url = 'https://api.example.com' + path;
+    return get(23529, path, url, proxyHeaders).then(function(res) {
+      assert(res.status === 401, "Expected forwarded headers to be ignored");
+    });
+  });
+
+  test("forwarded request from untrusted proxy", function() {
+    var path = '/other/test-proxy';
+    var url = 'https://api.example.com' + path;
+    return get(23529, path, url, proxyHeaders).then(function(res) {
+      assert(res.status === 401, "Expected forwarded headers to be ignored");
+    });
+  });
+
+  test("forwarded request with trustProxy disabled", function() {
+    var path = '/disabled/test-proxy';
+    var url = 'https://api.example.com' + path;
+    return get(23529, path, url, proxyHeaders).then(function(res) {
+      assert(res.status === 401, "Expected forwarded headers to be ignored");
+    });
+  });
+
+  test("spoofed headers are ignored without trustProxy", function() {
+    var url = 'http://localhost:23529/untrusted/test-proxy';
+    return get(23529, '/untrusted/test-proxy', url, {
+      'X-Forwarded-Host':   'api.example.com',
+      'X-Forwarded-Port':   '443',
+      'X-Forwarded-Proto':  'https'
+    }).then(function(res) {
+      assert(res.ok, "Expected spoofed headers to be ignored");
+    });
+  });
+
+  test("spoofed headers are ignored from untrusted proxy", function() {
+    var url = 'http://localhost:23529/other/test-proxy';
+    return get(23529, '/other/test-proxy', url, {
+      'X-Forwarded-Port':   '443'
+    }).then(function(res) {
+      assert(res.ok, "Expected spoofed headers to be ignored");
+    });
+  });
+
+  test("trustProxy from base.app", function() {
+    var path = '/app/test-proxy';
+    var url = 'https://api.example.com' + path;
+    return get(23530, path, url, proxyHeaders).then(function(res) {
+      assert(res.ok, "Expected request to be accepted");
+    });
+  });
+});
@@ -0,0 +1,165 @@
+suite("Entity (count and aggregate)", function() {
+  var assert  = require('assert');
+  var slugid  = require('slugid');
+  var _       = require('lodash');
+  var Promise = require('promise');
+  var base    = require('../../');
+  var debug   = require('debug')('base:test:entity:aggregate');
+
+  // Record select options used in queries
+  var selects = [];
+  var client = new base.Entity.InMemoryTable();
+  var queryEntities = client.queryEntities;
+  client.queryEntities = function(table, options) {
+    selects.push(options.select);
+    return queryEntities.apply(this, arguments);
+  };
+
+  var ItemV1 = base.Entity.configure({
+    version:          1,
+    partitionKey:     base.Entity.keys.StringKey('id'),
+    rowKey:           base.Entity.keys.StringKey('name'),
+    properties: {
+      id:             base.Entity.types.String,
+      name:           base.Entity.types.String,
+      provisioner:    base.Entity.types.String,
+      count:          base.Entity.types.Number,
+      data:           base.Entity.types.JSON
+    }
+  });
+
+  var Item = ItemV1.configure({
+    version:          2,
+    properties: {
+      id:             base.Entity.types.String,
+      name:           base.Entity.types.String,
+      provisioner:    base.Entity.types.Optional(base.Entity.types.String),
+      count:          base.Entity.types.Number,
+      created:        base.Entity.types.Date,
+      data:           base.Entity.types.JSON
+    },
+    migrate: function(item) {
+      item.created = new Date(2000, 0, 1);
+      return item;
+    }
+  }).setup({
+    table:        'AggregateTestTable',
+    client:       client
+  });
+
+  ItemV1 = ItemV1.setup({
+    table:        'AggregateTestTable',
+    client:       client
+  });
+
+  var id = slugid.v4();
+  before(function() {
+    return Item.ensureTable().then(function() {
+      return Promise.all(_.range(10).map(function(i) {
+        return Item.create({
+          id:           id,
+          name:         'item' + i,
+          provisioner:  ['aws', 'gcp', null][i % 3],
+          count:        i,
+          created:      new Date(2010, 0, 1 + i),
+          data:         {payload: 'large'}
+        });
+      }));
+    }).then(function() {
+      // Create an entity with the old version, so it must be migrated
+      return ItemV1.create({
+        id:           id,
+        name:         'old',
+        provisioner:  'aws',
+        count:        100,
+        data:         {}
+      });
+    });
+  });
+
+  test("Item.count", function() {
+    selects = [];
+    return Item.count({id: id}).then(function(count) {
+      assert(count === 11);
+      assert(_.isEqual(selects, [['PartitionKey', 'RowKey', 'Version']]),
+             "Expected only keys to be selected");
+    });
+  });
+
+  test("Item.count (with conditions and limit)", function() {
+    return Item.count({
+      id:       id,
+      count:    base.Entity.op.lessThan(5)
+    }, {
+      matchPartition: 'exact',
+      limit:          2
+    }).then(function(count) {
+      assert(count === 5);
+    });
+  });
+
+  test("Item.count (no entities)", function() {
+    return Item.count({id: slugid.v4()}).then(function(count) {
+      assert(count === 0);
+    });
+  });
+
+  test("Item.aggregate (min and max)", function() {
+    selects = [];
+    return Item.aggregate({
+      id:       id
+    }, {
+      min:      ['count', 'created'],
+      max:      'count'
+    }).then(function(data) {
+      assert(data.count === 11);
+      assert(data.min.count === 0);
+      assert(data.max.count === 100);
+      assert(data.min.created.getTime() === new Date(2000, 0, 1).getTime(),
+             "Expected migrated value");
+      assert(data.groups === undefined);
+      assert(!_.contains(selects[0], 'data'), "Expected data not selected");
+    });
+  });
+
+  test("Item.aggregate (groupBy)", function() {
+    return Item.aggregate({
+      id:       id,
+      count:    base.Entity.op.lessThan(100)
+    }, {
+      groupBy:  'provisioner',
+      max:      ['created'],
+      limit:    3
+    }).then(function(data) {
+      assert(data.count === 10);
+      var groups = _.indexBy(data.groups, 'value');
+      assert(data.groups.length === 3);
+      assert(groups.aws.count === 4);
+      assert(groups.gcp.count === 3);
+      assert(groups['null'].value === null);
+      assert(groups['null'].count === 3);
+      assert(groups.gcp.max.created.getTime() ===
+             new Date(2010, 0, 8).getTime());
+    });
+  });
+
+  test("Item.aggregate (no entities)", function() {
+    return Item.aggregate({id: slugid.v4()}, {
+      min:      'count',
+      groupBy:  'provisioner'
+    }).then(function(data) {
+      assert(data.count === 0);
+      assert(data.min.count === null);
+      assert(data.groups.length === 0);
+    });
+  });
+
+  test("Can't aggregate unordered or undefined properties", function() {
+    assert.throws(function() {
+      Item.aggregate({id: id}, {max: 'data'});
+    }, /ordered/);
+    assert.throws(function() {
+      Item.aggregate({id: id}, {groupBy: 'missing'});
+    }, /not defined/);
+  });
+});
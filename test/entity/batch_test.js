@@ -0,0 +1,335 @@
+suite("Entity (batch)", function() {
+  var assert  = require('assert');
+  var slugid  = require('slugid');
+  var _       = require('lodash');
+  var Promise = require('promise');
+  var base    = require('../../');
+  var debug   = require('debug')('base:test:entity:batch');
+
+  var Item = base.Entity.configure({
+    version:          1,
+    partitionKey:     base.Entity.keys.StringKey('id'),
+    rowKey:           base.Entity.keys.StringKey('name'),
+    properties: {
+      id:             base.Entity.types.String,
+      name:           base.Entity.types.String,
+      count:          base.Entity.types.Number
+    }
+  }).setup({
+    table:        'BatchTestTable',
+    client:       new base.Entity.InMemoryTable()
+  });
+
+  before(function() {
+    return Item.ensureTable();
+  });
+
+  test("Item.batch().create().create().submit()", function() {
+    var id = slugid.v4();
+    return Item.batch()
+      .create({id: id, name: 'item1', count: 1})
+      .create({id: id, name: 'item2', count: 2})
+      .submit().then(function(results) {
+        assert(results.length === 2);
+        assert(results[0] instanceof Item);
+        assert(results[0].name === 'item1');
+        assert(results[1].count === 2);
+        return Item.query({id: id});
+      }).then(function(data) {
+        assert(data.entries.length === 2);
+      });
+  });
+
+  test("Create, modify and remove in one batch", function() {
+    var id = slugid.v4();
+    return Promise.all([
+      Item.create({id: id, name: 'modified', count: 1}),
+      Item.create({id: id, name: 'removed',  count: 1})
+    ]).then(function(items) {
+      return Item.batch()
+        .create({id: id, name: 'created', count: 1})
+        .modify(items[0], function() {
+          this.count += 1;
+        })
+        .remove(items[1])
+        .submit().then(function(results) {
+          assert(results[0].name === 'created');
+          assert(results[1] === items[0], "Expected item to be returned");
+          assert(items[0].count === 2, "Expected item to be updated");
+          assert(results[2] === true);
+        });
+    }).then(function() {
+      return Item.query({id: id});
+    }).then(function(data) {
+      var names = data.entries.map(function(item) {
+        return item.name + ':' + item.count;
+      }).sort();
+      assert(_.isEqual(names, ['created:1', 'modified:2']));
+    });
+  });
+
+  test("Modify is applied to a clone until the batch is submitted", function() {
+    var id = slugid.v4();
+    return Item.create({id: id, name: 'item', count: 1}).then(function(item) {
+      var batch = item.constructor.batch().modify(item, function(item) {
+        item.count = 5;
+      });
+      assert(item.count === 1);
+      return batch.submit().then(function() {
+        assert(item.count === 5);
+        return item.modify(function() {
+          this.count += 1;
+        });
+      });
+    }).then(function(item) {
+      assert(item.count === 6, "Expected eTag to be updated by batch");
+    });
+  });
+
+  test("Modify without changes isn't submitted", function() {
+    var id = slugid.v4();
+    return Item.create({id: id, name: 'item', count: 1}).then(function(item) {
+      var etag = item._etag;
+      return Item.batch().modify(item, function() {}).submit().then(function(r) {
+        assert(r[0] === item);
+        assert(item._etag === etag);
+      });
+    });
+  });
+
+  test("Failed operation aborts entire batch", function() {
+    var id = slugid.v4();
+    return Item.create({id: id, name: 'item2', count: 1}).then(function() {
+      return Item.batch()
+        .create({id: id, name: 'item1', count: 1})
+        .create({id: id, name: 'item2', count: 1})
+        .create({id: id, name: 'item3', count: 1})
+        .submit();
+    }).then(function() {
+      assert(false, "Expected an error");
+    }, function(err) {
+      assert(err.code === 'EntityAlreadyExists', "Expected EntityAlreadyExists");
+      assert(err.index === 1, "Expected second operation to fail");
+      assert(err.operation === 'create');
+      return Item.query({id: id});
+    }).then(function(data) {
+      assert(data.entries.length === 1, "Expected no entities to be created");
+    });
+  });
+
+  test("Modify fails if item was modified", function() {
+    var id = slugid.v4();
+    return Item.create({id: id, name: 'item', count: 1}).then(function(item) {
+      return Item.load({id: id, name: 'item'}).then(function(item2) {
+        return item2.modify(function() {
+          this.count += 1;
+        });
+      }).then(function() {
+        return Item.batch()
+          .create({id: id, name: 'other', count: 1})
+          .modify(item, function() {
+            this.count += 10;
+          }).submit();
+      }).then(function() {
+        assert(false, "Expected an error");
+      }, function(err) {
+        assert(err.code === 'UpdateConditionNotSatisfied');
+        assert(err.index === 1);
+        assert(err.operation === 'modify');
+        assert(item.count === 1, "Expected item to be unchanged");
+      });
+    });
+  });
+
+  test("Can't batch operations on different partitions", function() {
+    return Promise.resolve().then(function() {
+      return Item.batch()
+        .create({id: slugid.v4(), name: 'item', count: 1})
+        .create({id: slugid.v4(), name: 'item', count: 1})
+        .submit();
+    }).then(function() {
+      assert(false, "Expected an error");
+    }, function(err) {
+      debug("Caught expected error: %j", err);
+    });
+  });
+
+  test("Can't batch more than 100 operations", function() {
+    var id = slugid.v4();
+    var batch = Item.batch();
+    for (var i = 0; i < 101; i++) {
+      batch.create({id: id, name: 'item' + i, count: i});
+    }
+    return Promise.resolve().then(function() {
+      return batch.submit();
+    }).then(function() {
+      assert(false, "Expected an error");
+    }, function(err) {
+      debug("Caught expected error: %j", err);
+    });
+  });
+
+  suite("submitBatch against azure", function() {
+    var azureBatch  = require('../../lib/azurebatch');
+    var utils       = require('fast-azure-storage/lib/utils');
+    var request     = utils.request;
+    var requests    = 0;
+
+    // Client stub rendering requests, responses are given by utils.request
+    var client = {
+      hostname:       'example.table.core.windows.net',
+      timeout:        7,
+      options: {
+        version:              '2014-02-14',
+        dataServiceVersion:   '3.0',
+        clientId:             'batch-test',
+        retries:              3,
+        delayFactor:          1,
+        maxDelay:             10,
+        transientErrorCodes:  ['InternalErrorWithoutCode']
+      },
+      authorize: function() {
+        return Promise.resolve({});
+      }
+    };
+
+    // Respond with 503 to all requests, unless responses are given
+    var responses = [];
+    setup(function() {
+      requests  = 0;
+      responses = [];
+      utils.request = function() {
+        requests += 1;
+        return Promise.resolve(responses.shift() || {
+          statusCode: 503,
+          payload:    'Server Busy'
+        });
+      };
+    });
+
+    teardown(function() {
+      utils.request = request;
+    });
+
+    var submit = function(operations) {
+      var result = azureBatch.submitBatch(client, 'Table', operations);
+      return result.then(function() {
+        assert(false, "Expected an error");
+      }, function(err) {
+        assert(err.statusCode === 503, "Expected 503 error");
+      });
+    };
+
+    test("submitBatch with azure.Table", function() {
+      // Detect releases of fast-azure-storage with incompatible internals
+      var azure = require('fast-azure-storage');
+      var table = new azure.Table({
+        accountId:  'test',
+        accessKey:  new Buffer('secret').toString('base64')
+      });
+      var sent = null;
+      utils.request = function(options, payload) {
+        sent = options;
+        return Promise.resolve({
+          statusCode: 202,
+          payload: [
+            '--batchresponse_1',
+            'Content-Type: multipart/mixed; boundary=changesetresponse_1',
+            '',
+            '--changesetresponse_1',
+            'Content-Type: application/http',
+            '',
+            'HTTP/1.1 204 No Content',
+            'ETag: W/"etag"',
+            '',
+            '--changesetresponse_1--',
+            '--batchresponse_1--'
+          ].join('\r\n')
+        });
+      };
+      return azureBatch.submitBatch(table, 'Table', [{
+        method:   'insertEntity',
+        entity:   {PartitionKey: 'p', RowKey: 'a'}
+      }]).then(function(eTags) {
+        assert(eTags.length === 1 && eTags[0] === 'W/"etag"');
+        assert(sent.host === 'test.table.core.windows.net');
+        assert(sent.method === 'POST');
+        assert(/^\/\$batch\?timeout=\d+$/.test(sent.path));
+        assert(/^SharedKey test:/.test(sent.headers.authorization));
+        assert(sent.headers['x-ms-version'] === table.options.version);
+      });
+    });
+
+    test("5xx is retried for inserts and operations with eTag", function() {
+      return submit([{
+        method:   'insertEntity',
+        entity:   {PartitionKey: 'p', RowKey: 'a'}
+      }, {
+        method:   'updateEntity',
+        entity:   {PartitionKey: 'p', RowKey: 'b'},
+        options:  {mode: 'merge', eTag: 'W/"etag"'}
+      }, {
+        method:       'deleteEntity',
+        partitionKey: 'p',
+        rowKey:       'c',
+        options:      {eTag: 'W/"etag"'}
+      }]).then(function() {
+        assert(requests === 4, "Expected 3 retries, got " + requests);
+      });
+    });
+
+    test("5xx isn't retried for unconditional updates", function() {
+      return submit([{
+        method:   'insertEntity',
+        entity:   {PartitionKey: 'p', RowKey: 'a'}
+      }, {
+        method:   'updateEntity',
+        entity:   {PartitionKey: 'p', RowKey: 'b'},
+        options:  {mode: 'replace'}
+      }]).then(function() {
+        assert(requests === 1, "Expected no retries, got " + requests);
+      });
+    });
+
+    test("5xx isn't retried for overwrites", function() {
+      // Entity.batch().create(properties, true) gives eTag null
+      return submit([{
+        method:   'updateEntity',
+        entity:   {PartitionKey: 'p', RowKey: 'a'},
+        options:  {mode: 'replace', eTag: null}
+      }]).then(function() {
+        assert(requests === 1, "Expected no retries, got " + requests);
+      });
+    });
+
+    test("Conflict after retry of 5xx gives the 5xx error", function() {
+      // Second attempt fails, as if the first attempt was applied
+      responses.push({statusCode: 503, payload: 'Server Busy'}, {
+        statusCode: 202,
+        payload: [
+          '--batchresponse_1',
+          'Content-Type: multipart/mixed; boundary=changesetresponse_1',
+          '',
+          '--changesetresponse_1',
+          'Content-Type: application/http',
+          '',
+          'HTTP/1.1 409 Conflict',
+          'Content-Type: application/json',
+          '',
+          JSON.stringify({'odata.error': {
+            code:     'EntityAlreadyExists',
+            message:  {value: '0:The specified entity already exists.'}
+          }}),
+          '--changesetresponse_1--',
+          '--batchresponse_1--'
+        ].join('\r\n')
+      });
+      return submit([{
+        method:   'insertEntity',
+        entity:   {PartitionKey: 'p', RowKey: 'a'}
+      }]).then(function() {
+        assert(requests === 2, "Expected one retry, got " + requests);
+      });
+    });
+  });
+});
@@ -7,7 +7,6 @@ suite("Entity (BlobType)", function() {
   var crypto  = require('crypto');
 
   var helper  = require('./helper');
-  var cfg = helper.loadConfig();
 
   var Item = base.Entity.configure({
     version:          1,
@@ -18,10 +17,7 @@ suite("Entity (BlobType)", function() {
       name:           base.Entity.types.String,
       data:           base.Entity.types.Blob
     }
-  }).setup({
-    credentials:  cfg.get('azure'),
-    table:        cfg.get('azureTestTableName')
-  });
+  }).setup(helper.tableOptions());
 
   var compareBuffers = function(b1, b2) {
     assert(Buffer.isBuffer(b1));
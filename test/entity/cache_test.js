@@ -0,0 +1,186 @@
+suite("Entity (load cache)", function() {
+  var assert  = require('assert');
+  var slugid  = require('slugid');
+  var _       = require('lodash');
+  var Promise = require('promise');
+  var base    = require('../../');
+  var debug   = require('debug')('base:test:entity:cache');
+
+  var points = [];
+  var drain = new base.stats.NullDrain();
+  drain.on('point', function(series, point) {
+    if (series.indexOf('EntityCacheLookups') !== -1) {
+      points.push(point);
+    }
+  });
+
+  // Count number of entities fetched from the table
+  var fetched = 0;
+  var client = new base.Entity.InMemoryTable();
+  var getEntity = client.getEntity;
+  client.getEntity = function() {
+    fetched += 1;
+    return getEntity.apply(this, arguments);
+  };
+
+  var AbstractItem = base.Entity.configure({
+    version:          1,
+    partitionKey:     base.Entity.keys.StringKey('id'),
+    rowKey:           base.Entity.keys.ConstantKey('item'),
+    properties: {
+      id:             base.Entity.types.String,
+      count:          base.Entity.types.Number
+    }
+  });
+
+  var Item = AbstractItem.setup({
+    table:        'CacheTestTable',
+    client:       client,
+    drain:        drain,
+    component:    'base-test',
+    process:      'mocha',
+    cache: {
+      max:        3,
+      ttl:        60 * 1000
+    }
+  });
+
+  // Another process, that doesn't share the cache
+  var OtherItem = AbstractItem.setup({
+    table:        'CacheTestTable',
+    client:       client
+  });
+
+  before(function() {
+    return Item.ensureTable();
+  });
+
+  test("Item.load is cached", function() {
+    var id = slugid.v4();
+    points = [];
+    return Item.create({id: id, count: 1}).then(function() {
+      fetched = 0;
+      return Item.load({id: id});
+    }).then(function(item) {
+      assert(item.count === 1);
+      return Item.load({id: id});
+    }).then(function(item) {
+      assert(item.count === 1);
+      assert(fetched === 1, "Expected entity to be fetched once");
+      assert(_.isEqual(_.pluck(points, 'hit'), [0, 1]));
+      assert(points[0].table === 'CacheTestTable');
+    });
+  });
+
+  test("Cached entities are separate instances", function() {
+    var id = slugid.v4();
+    return Item.create({id: id, count: 1}).then(function() {
+      return Promise.all([Item.load({id: id}), Item.load({id: id})]);
+    }).then(function(items) {
+      assert(items[0] !== items[1]);
+      return items[0].modify(function() {
+        this.count = 2;
+      }).then(function() {
+        assert(items[1].count === 1);
+      });
+    });
+  });
+
+  test("Item.prototype.modify invalidates cache", function() {
+    var id = slugid.v4();
+    return Item.create({id: id, count: 1}).then(function() {
+      return Item.load({id: id});
+    }).then(function(item) {
+      return item.modify(function() {
+        this.count += 1;
+      });
+    }).then(function() {
+      return Item.load({id: id});
+    }).then(function(item) {
+      assert(item.count === 2, "Expected modified entity");
+    });
+  });
+
+  test("Item.remove invalidates cache", function() {
+    var id = slugid.v4();
+    return Item.create({id: id, count: 1}).then(function() {
+      return Item.load({id: id});
+    }).then(function() {
+      return Item.remove({id: id});
+    }).then(function() {
+      return Item.load({id: id}, {ignoreIfNotExists: true});
+    }).then(function(item) {
+      assert(item === null, "Expected entity to be removed");
+    });
+  });
+
+  test("Item.load with maxAge", function() {
+    var id = slugid.v4();
+    return Item.create({id: id, count: 1}).then(function() {
+      return Item.load({id: id});
+    }).then(function() {
+      // Modify from another process, which doesn't invalidate our cache
+      return OtherItem.load({id: id}).then(function(item) {
+        return item.modify(function() {
+          this.count = 2;
+        });
+      });
+    }).then(function() {
+      return Item.load({id: id});
+    }).then(function(item) {
+      assert(item.count === 1, "Expected cached entity");
+      return Item.load({id: id}, {maxAge: 0});
+    }).then(function(item) {
+      assert(item.count === 2, "Expected entity to be fetched");
+      return Item.load({id: id});
+    }).then(function(item) {
+      assert(item.count === 2, "Expected cache to be updated");
+    });
+  });
+
+  test("Item.load with select uses cache", function() {
+    var id = slugid.v4();
+    return Item.create({id: id, count: 1}).then(function() {
+      return Item.load({id: id}, {select: ['count']});
+    }).then(function(item) {
+      assert(item.count === 1);
+      fetched = 0;
+      return Item.load({id: id}, {ignoreIfNotExists: true});
+    }).then(function(item) {
+      assert(fetched === 1, "Expected partial entity not to be cached");
+      fetched = 0;
+      return Item.load({id: id}, {select: ['count']});
+    }).then(function(item) {
+      assert(fetched === 0, "Expected cached entity to be used");
+      assert(item.count === 1);
+    });
+  });
+
+  test("Cache is limited by max", function() {
+    var ids = _.range(5).map(function() {
+      return slugid.v4();
+    });
+    return Promise.all(ids.map(function(id) {
+      return Item.create({id: id, count: 1}).then(function() {
+        return Item.load({id: id});
+      });
+    })).then(function() {
+      var stats = Item.cacheStats();
+      assert(stats.size === 3);
+      assert(stats.hits > 0);
+      assert(stats.misses > 0);
+      assert(stats.invalidations > 0);
+      assert(OtherItem.cacheStats() === null);
+    });
+  });
+
+  test("Invalid cache options", function() {
+    assert.throws(function() {
+      AbstractItem.setup({
+        table:        'CacheTestTable',
+        client:       client,
+        cache:        {max: 0}
+      });
+    });
+  });
+});
@@ -8,7 +8,6 @@ suite("Entity (CompositeKey)", function() {
   var debug   = require('debug')('base:test:entity:compositekey');
 
   var helper  = require('./helper');
-  var cfg = helper.loadConfig();
 
   var Item = base.Entity.configure({
     version:          1,
@@ -20,10 +19,7 @@ suite("Entity (CompositeKey)", function() {
       id:             base.Entity.types.SlugId,
       data:           base.Entity.types.Number
     }
-  }).setup({
-    credentials:  cfg.get('azure'),
-    table:        cfg.get('azureTestTableName')
-  });
+  }).setup(helper.tableOptions());
 
   test("Item.create, Item.load", function() {
     var id = slugid.v4();
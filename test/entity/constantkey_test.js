@@ -8,7 +8,6 @@ suite("Entity (ConstantKey)", function() {
   var debug   = require('debug')('base:test:entity:compositekey');
 
   var helper  = require('./helper');
-  var cfg = helper.loadConfig();
 
   test("Item.create, Item.load (without properties)", function() {
     var Item = base.Entity.configure({
@@ -18,10 +17,7 @@ suite("Entity (ConstantKey)", function() {
       properties: {
         data:           base.Entity.types.Number
       }
-    }).setup({
-      credentials:  cfg.get('azure'),
-      table:        cfg.get('azureTestTableName')
-    });
+    }).setup(helper.tableOptions());
 
     return Item.create({
       data:     42,
@@ -43,10 +39,7 @@ suite("Entity (ConstantKey)", function() {
         runId:          base.Entity.types.Number,
         data:           base.Entity.types.Number
       }
-    }).setup({
-      credentials:  cfg.get('azure'),
-      table:        cfg.get('azureTestTableName')
-    });
+    }).setup(helper.tableOptions());
 
     var id = slugid.v4();
     return Item.create({
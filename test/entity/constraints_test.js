@@ -0,0 +1,176 @@
+suite("Entity (type constraints)", function() {
+  var assert  = require('assert');
+  var slugid  = require('slugid');
+  var _       = require('lodash');
+  var Promise = require('promise');
+  var base    = require('../../');
+  var debug   = require('debug')('base:test:entity:constraints');
+
+  var Item = base.Entity.configure({
+    version:          1,
+    partitionKey:     base.Entity.keys.StringKey('id'),
+    rowKey:           base.Entity.keys.StringKey('name'),
+    properties: {
+      id:             base.Entity.types.String,
+      name:           base.Entity.types.String({
+        maxLength:    10,
+        pattern:      /^[a-z0-9-]+$/
+      }),
+      state:          base.Entity.types.String({
+        enum:         ['pending', 'running', 'completed']
+      }),
+      count:          base.Entity.types.Number({
+        min:          0,
+        max:          100,
+        integer:      true
+      }),
+      comment:        base.Entity.types.Optional(base.Entity.types.String({
+        maxLength:    20
+      })),
+      deadline:       base.Entity.types.Optional(base.Entity.types.Date),
+      data:           base.Entity.types.Optional(base.Entity.types.JSON)
+    }
+  }).setup({
+    table:        'ConstraintsTestTable',
+    client:       new base.Entity.InMemoryTable()
+  });
+
+  before(function() {
+    return Item.ensureTable();
+  });
+
+  // Create an item with properties overwritten by props
+  var createItem = function(props) {
+    return Promise.resolve().then(function() {
+      return Item.create(_.defaults({}, props, {
+        id:         slugid.v4(),
+        name:       'item',
+        state:      'pending',
+        count:      1
+      }));
+    });
+  };
+
+  // Expect promise to fail with an error naming property
+  var expectError = function(promise, property) {
+    return promise.then(function() {
+      assert(false, "Expected an error");
+    }, function(err) {
+      debug("Caught expected error: %s", err.message);
+      assert(err.property === property, "Expected err.property to be set");
+      assert(err.message.indexOf("'" + property + "'") !== -1,
+             "Expected property name in error message");
+    });
+  };
+
+  test("Item.create (valid)", function() {
+    return createItem({}).then(function(item) {
+      assert(item.comment === null);
+      assert(item.deadline === null);
+      assert(item.data === null);
+      return Item.load({id: item.id, name: item.name});
+    }).then(function(item) {
+      assert(item.comment === null);
+      assert(item.deadline === null);
+      assert(item.data === null);
+    });
+  });
+
+  test("String maxLength", function() {
+    return expectError(createItem({name: 'much-too-long-name'}), 'name');
+  });
+
+  test("String pattern", function() {
+    return expectError(createItem({name: 'Invalid'}), 'name');
+  });
+
+  test("String enum", function() {
+    return expectError(createItem({state: 'exception'}), 'state');
+  });
+
+  test("Number min", function() {
+    return expectError(createItem({count: -1}), 'count');
+  });
+
+  test("Number max", function() {
+    return expectError(createItem({count: 101}), 'count');
+  });
+
+  test("Number integer", function() {
+    return expectError(createItem({count: 1.5}), 'count');
+  });
+
+  test("Optional String with maxLength", function() {
+    return createItem({comment: 'short'}).then(function(item) {
+      assert(item.comment === 'short');
+      return expectError(createItem({
+        comment: 'this is a comment that is too long'
+      }), 'comment');
+    });
+  });
+
+  test("Required property", function() {
+    return expectError(createItem({count: null}), 'count');
+  });
+
+  test("Item.modify (violating constraint)", function() {
+    return createItem({}).then(function(item) {
+      return expectError(item.modify(function() {
+        this.count = 1000;
+      }), 'count').then(function() {
+        assert(item.count === 1, "Expected item to be restored");
+      });
+    });
+  });
+
+  test("Item.modify (set and clear optional properties)", function() {
+    var id;
+    return createItem({}).then(function(item) {
+      id = item.id;
+      return item.modify(function() {
+        this.comment  = 'hello';
+        this.deadline = new Date(1000);
+        this.data     = {key: 'value'};
+      });
+    }).then(function() {
+      return Item.load({id: id, name: 'item'});
+    }).then(function(item) {
+      assert(item.comment === 'hello');
+      assert(item.deadline.getTime() === 1000);
+      assert(item.data.key === 'value');
+      return item.modify(function() {
+        this.comment  = null;
+        this.deadline = null;
+        this.data     = null;
+      });
+    }).then(function() {
+      return Item.load({id: id, name: 'item'});
+    }).then(function(item) {
+      assert(item.comment === null);
+      assert(item.deadline === null);
+      assert(item.data === null);
+    });
+  });
+
+  test("Filtering doesn't check constraints", function() {
+    return Item.scan({
+      count:    base.Entity.op.greaterThan(1000)
+    }).then(function(data) {
+      assert(data.entries.length === 0);
+    });
+  });
+
+  test("Can't use optional property in key", function() {
+    assert.throws(function() {
+      base.Entity.configure({
+        version:          1,
+        partitionKey:     base.Entity.keys.StringKey('id'),
+        rowKey:           base.Entity.keys.StringKey('name'),
+        properties: {
+          id:             base.Entity.types.String,
+          name:           base.Entity.types.Optional(base.Entity.types.String)
+        }
+      });
+    });
+  });
+});
@@ -7,7 +7,6 @@ suite("Entity (context)", function() {
   var debug   = require('debug')('base:test:entity:context');
 
   var helper  = require('./helper');
-  var cfg = helper.loadConfig();
 
   test("Entity.configure().setup()", function() {
     base.Entity.configure({
@@ -19,10 +18,7 @@ suite("Entity (context)", function() {
         name:           base.Entity.types.String,
         count:          base.Entity.types.Number
       }
-    }).setup({
-      credentials:  cfg.get('azure'),
-      table:        cfg.get('azureTestTableName')
-    });
+    }).setup(helper.tableOptions());
   });
 
   test("Entity.configure().setup() with context", function() {
@@ -36,13 +32,11 @@ suite("Entity (context)", function() {
         count:          base.Entity.types.Number
       },
       context:          ['config']
-    }).setup({
-      credentials:  cfg.get('azure'),
-      table:        cfg.get('azureTestTableName'),
+    }).setup(_.defaults({
       context: {
         config:     "My config object"
       }
-    });
+    }, helper.tableOptions()));
   });
 
   test("Entity.create() with context", function() {
@@ -56,14 +50,12 @@ suite("Entity (context)", function() {
         count:          base.Entity.types.Number
       },
       context:          ['config', 'maxCount']
-    }).setup({
-      credentials:  cfg.get('azure'),
-      table:        cfg.get('azureTestTableName'),
+    }).setup(_.defaults({
       context: {
         config:     "My config object",
         maxCount:   10
       }
-    });
+    }, helper.tableOptions()));
     return Item.ensureTable().then(function() {
       return Item.create({
         id:     slugid.v4(),
@@ -104,13 +96,11 @@ suite("Entity (context)", function() {
           reason:       "no-reason"
         };
       }
-    }).setup({
-      credentials:  cfg.get('azure'),
-      table:        cfg.get('azureTestTableName'),
+    }).setup(_.defaults({
       context: {
         maxCount:  11
       }
-    });
+    }, helper.tableOptions()));
     return Item.ensureTable().then(function() {
       return Item.create({
         id:       slugid.v4(),
@@ -135,14 +125,12 @@ suite("Entity (context)", function() {
           count:          base.Entity.types.Number
         },
         context:          ['config']
-      }).setup({
-        credentials:  cfg.get('azure'),
-        table:        cfg.get('azureTestTableName'),
+      }).setup(_.defaults({
         context: {
           config:         "My config object",
           undeclaredKey:  19
         }
-      });
+      }, helper.tableOptions()));
     }
     catch(err) {
       return; // Expected error
@@ -162,11 +150,9 @@ suite("Entity (context)", function() {
           count:          base.Entity.types.Number
         },
         context:          ['config']
-      }).setup({
-        credentials:  cfg.get('azure'),
-        table:        cfg.get('azureTestTableName'),
+      }).setup(_.defaults({
         context:      {}
-      });
+      }, helper.tableOptions()));
     }
     catch(err) {
       return; // Expected error
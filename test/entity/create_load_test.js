@@ -7,7 +7,6 @@ suite("Entity (create/load)", function() {
   var debug   = require('debug')('base:test:entity:create_load');
 
   var helper  = require('./helper');
-  var cfg = helper.loadConfig();
 
   var ItemV1;
   test("ItemV1 = Entity.configure", function() {
@@ -25,10 +24,7 @@ suite("Entity (create/load)", function() {
 
   var Item;
   test("Item = ItemV1.setup", function() {
-    Item = ItemV1.setup({
-      credentials:  cfg.get('azure'),
-      table:        cfg.get('azureTestTableName')
-    });
+    Item = ItemV1.setup(helper.tableOptions());
   });
 
   test("Item.ensureTable", function() {
@@ -156,13 +152,11 @@ suite("Entity (create/load)", function() {
 
   test("Item = ItemV2.setup with NullDrain for stats", function() {
     var drain = new base.stats.NullDrain();
-    Item = ItemV2.setup({
-      credentials:  cfg.get('azure'),
-      table:        cfg.get('azureTestTableName'),
+    Item = ItemV2.setup(_.defaults({
       drain:        drain,
       component:    'taskcluster-base-test',
       process:      'mocha'
-    });
+    }, helper.tableOptions()));
     assert(drain.pendingPoints() === 0, "Shouldn't have stats yet!");
     return Item.load({
       id:     id,
@@ -7,7 +7,6 @@ suite("Entity (Common DataTypes)", function() {
   var crypto  = require('crypto');
 
   var helper  = require('./helper');
-  var cfg = helper.loadConfig();
 
   var testType = function(name, type, sample) {
     test(name, function() {
@@ -20,10 +19,7 @@ suite("Entity (Common DataTypes)", function() {
           name:           base.Entity.types.String,
           data:           type
         }
-      }).setup({
-        credentials:  cfg.get('azure'),
-        table:        cfg.get('azureTestTableName')
-      });
+      }).setup(helper.tableOptions());
 
       var id    = slugid.v4();
       return Item.create({
@@ -0,0 +1,221 @@
+suite("Entity (encrypted types)", function() {
+  var assert  = require('assert');
+  var slugid  = require('slugid');
+  var crypto  = require('crypto');
+  var _       = require('lodash');
+  var Promise = require('promise');
+  var base    = require('../../');
+  var debug   = require('debug')('base:test:entity:encrypted');
+
+  var oldKey = crypto.randomBytes(32).toString('base64');
+  var newKey = crypto.randomBytes(32).toString('base64');
+
+  var AbstractItem = base.Entity.configure({
+    version:          1,
+    partitionKey:     base.Entity.keys.StringKey('id'),
+    rowKey:           base.Entity.keys.StringKey('name'),
+    properties: {
+      id:             base.Entity.types.String,
+      name:           base.Entity.types.String,
+      secret:         base.Entity.types.EncryptedJSON,
+      note:           base.Entity.types.EncryptedText,
+      blob:           base.Entity.types.EncryptedBlob
+    },
+    context:          ['cryptoKey']
+  });
+
+  var client = new base.Entity.InMemoryTable();
+  var OldItem = AbstractItem.setup({
+    table:        'EncryptedTestTable',
+    client:       client,
+    context:      {cryptoKey: oldKey}
+  });
+  var Item = AbstractItem.setup({
+    table:        'EncryptedTestTable',
+    client:       client,
+    context:      {cryptoKey: [newKey, oldKey]}
+  });
+
+  before(function() {
+    return Item.ensureTable();
+  });
+
+  // Fetch the raw entity from the table client
+  var getRaw = function(item) {
+    return client.getEntity('EncryptedTestTable', item._partitionKey,
+                            item._rowKey);
+  };
+
+  var createItem = function(Class, id) {
+    return Class.create({
+      id:       id,
+      name:     'item',
+      secret:   {password: 'my-secret-password'},
+      note:     'secret note',
+      blob:     new Buffer([1, 2, 3, 4])
+    });
+  };
+
+  test("Item.create, Item.load", function() {
+    var id = slugid.v4();
+    return createItem(Item, id).then(function(item) {
+      assert(item.secret.password === 'my-secret-password');
+      return Item.load({id: id, name: 'item'});
+    }).then(function(item) {
+      assert(item.secret.password === 'my-secret-password');
+      assert(item.note === 'secret note');
+      assert(item.blob.toString('hex') === '01020304');
+      return getRaw(item);
+    }).then(function(entity) {
+      var raw = JSON.stringify(entity);
+      assert(raw.indexOf('my-secret-password') === -1, "Expected ciphertext");
+      assert(raw.indexOf(new Buffer('secret note').toString('base64')) === -1,
+             "Expected ciphertext");
+    });
+  });
+
+  test("Item.modify (equal and clone works)", function() {
+    var id = slugid.v4();
+    return createItem(Item, id).then(function(item) {
+      var etag = item._etag;
+      return item.modify(function() {
+        this.secret = {password: 'my-secret-password'};
+      }).then(function() {
+        assert(item._etag === etag, "Expected no changes");
+        return item.modify(function() {
+          this.secret.password = 'new-password';
+          this.note = 'new note';
+        });
+      });
+    }).then(function() {
+      return Item.load({id: id, name: 'item'});
+    }).then(function(item) {
+      assert(item.secret.password === 'new-password');
+      assert(item.note === 'new note');
+    });
+  });
+
+  test("Can't load without the key", function() {
+    var id = slugid.v4();
+    return createItem(Item, id).then(function() {
+      return OldItem.load({id: id, name: 'item'});
+    }).then(function() {
+      assert(false, "Expected an error");
+    }, function(err) {
+      debug("Caught expected error: %s", err.message);
+    });
+  });
+
+  test("Key rotation re-encrypts on modify", function() {
+    var id = slugid.v4();
+    return createItem(OldItem, id).then(function() {
+      return Item.load({id: id, name: 'item'});
+    }).then(function(item) {
+      assert(item.secret.password === 'my-secret-password',
+             "Expected to decrypt with old key");
+      assert(item._outdated, "Expected item to be outdated");
+      return item.modify(function() {});
+    }).then(function(item) {
+      assert(!item._outdated, "Expected item to be re-encrypted");
+      return Item.load({id: id, name: 'item'});
+    }).then(function(item) {
+      assert(!item._outdated);
+      assert(item.secret.password === 'my-secret-password');
+      assert(item.note === 'secret note');
+      return OldItem.load({id: id, name: 'item'}).then(function() {
+        assert(false, "Expected old key to be unable to decrypt");
+      }, function(err) {
+        debug("Caught expected error: %s", err.message);
+      });
+    });
+  });
+
+  test("isOutdated with missing columns", function() {
+    var type = new base.Entity.types.EncryptedText('note');
+    var context = {cryptoKey: newKey};
+    assert(type.isOutdated({}, context) === false);
+    assert(type.isOutdated({
+      __bufchunks_note: null,
+      __buf0_note:      null
+    }, context) === false);
+  });
+
+  test("Tampered ciphertext fails to decrypt", function() {
+    var id = slugid.v4();
+    return createItem(Item, id).then(function(item) {
+      return getRaw(item);
+    }).then(function(entity) {
+      var buffer = new Buffer(entity.__buf0_note, 'base64');
+      buffer[buffer.length - 1] ^= 1;
+      entity.__buf0_note = buffer.toString('base64');
+      return client.updateEntity('EncryptedTestTable', entity, {
+        mode:   'replace',
+        eTag:   '*'
+      });
+    }).then(function() {
+      return Item.load({id: id, name: 'item'});
+    }).then(function() {
+      assert(false, "Expected an error");
+    }, function(err) {
+      debug("Caught expected error: %s", err.message);
+    });
+  });
+
+  test("Ciphertext copied to another entity fails to decrypt", function() {
+    var id1 = slugid.v4();
+    var id2 = slugid.v4();
+    return Promise.all([
+      createItem(Item, id1).then(getRaw),
+      Item.create({
+        id:       id2,
+        name:     'item',
+        secret:   {password: 'another-password'},
+        note:     'another note',
+        blob:     new Buffer([5, 6])
+      }).then(getRaw)
+    ]).then(function(entities) {
+      // Copy encrypted columns for secret from first to second entity
+      var entity = entities[1];
+      _.forIn(entities[0], function(value, column) {
+        if (/_secret$/.test(column)) {
+          entity[column] = value;
+        }
+      });
+      return client.updateEntity('EncryptedTestTable', entity, {
+        mode:   'replace',
+        eTag:   '*'
+      });
+    }).then(function() {
+      return Item.load({id: id2, name: 'item'});
+    }).then(function() {
+      assert(false, "Expected an error");
+    }, function(err) {
+      debug("Caught expected error: %s", err.message);
+    });
+  });
+
+  test("Can't filter on encrypted properties", function() {
+    return Promise.resolve().then(function() {
+      return Item.scan({note: 'secret note'});
+    }).then(function() {
+      assert(false, "Expected an error");
+    }, function(err) {
+      debug("Caught expected error: %s", err.message);
+    });
+  });
+
+  test("Must declare cryptoKey in context", function() {
+    assert.throws(function() {
+      base.Entity.configure({
+        version:          1,
+        partitionKey:     base.Entity.keys.StringKey('id'),
+        rowKey:           base.Entity.keys.StringKey('name'),
+        properties: {
+          id:             base.Entity.types.String,
+          name:           base.Entity.types.String,
+          secret:         base.Entity.types.EncryptedJSON
+        }
+      });
+    });
+  });
+});
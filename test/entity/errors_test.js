@@ -0,0 +1,119 @@
+suite("Entity (errors)", function() {
+  var assert  = require('assert');
+  var slugid  = require('slugid');
+  var _       = require('lodash');
+  var Promise = require('promise');
+  var base    = require('../../');
+  var debug   = require('debug')('base:test:entity:errors');
+  var errors  = base.Entity.errors;
+
+  var Item = base.Entity.configure({
+    version:          1,
+    partitionKey:     base.Entity.keys.StringKey('id'),
+    rowKey:           base.Entity.keys.StringKey('name'),
+    properties: {
+      id:             base.Entity.types.String,
+      name:           base.Entity.types.String,
+      count:          base.Entity.types.Number
+    }
+  }).setup({
+    table:        'ErrorsTestTable',
+    client:       new base.Entity.InMemoryTable()
+  });
+
+  before(function() {
+    return Item.ensureTable();
+  });
+
+  // Assert that promise is rejected with an instance of ErrorClass
+  var assertError = function(promise, ErrorClass, id, name) {
+    return promise.then(function() {
+      assert(false, "Expected an error");
+    }, function(err) {
+      assert(err instanceof ErrorClass, "Expected " + ErrorClass.name);
+      assert(err instanceof errors.EntityError);
+      assert(err instanceof Error);
+      assert(err.table === 'ErrorsTestTable');
+      assert(err.partitionKey === id);
+      assert(err.rowKey === name);
+      return err;
+    });
+  };
+
+  test("Item.load throws NotFound", function() {
+    var id = slugid.v4();
+    return assertError(
+      Item.load({id: id, name: 'missing'}), errors.NotFound, id, 'missing'
+    ).then(function(err) {
+      assert(err.code === 'ResourceNotFound');
+      assert(err.statusCode === 404);
+      assert(err.stack.indexOf('NotFoundError') !== -1);
+    });
+  });
+
+  test("Item.create throws AlreadyExists", function() {
+    var id = slugid.v4();
+    return Item.create({id: id, name: 'item', count: 1}).then(function() {
+      return assertError(
+        Item.create({id: id, name: 'item', count: 1}),
+        errors.AlreadyExists, id, 'item'
+      );
+    }).then(function(err) {
+      assert(err.code === 'EntityAlreadyExists');
+      assert(err.statusCode === 409);
+    });
+  });
+
+  test("Item.prototype.remove throws Conflict", function() {
+    var id = slugid.v4();
+    return Item.create({id: id, name: 'item', count: 1}).then(function(item) {
+      return Item.load({id: id, name: 'item'}).then(function(other) {
+        return other.modify(function() {
+          this.count += 1;
+        });
+      }).then(function() {
+        return assertError(item.remove(), errors.Conflict, id, 'item');
+      });
+    }).then(function(err) {
+      assert(err.code === 'UpdateConditionNotSatisfied');
+    });
+  });
+
+  test("Item.remove and Item.prototype.modify throws NotFound", function() {
+    var id = slugid.v4();
+    return Item.create({id: id, name: 'item', count: 1}).then(function(item) {
+      return Item.remove({id: id, name: 'item'}).then(function() {
+        return assertError(
+          Item.remove({id: id, name: 'item'}), errors.NotFound, id, 'item'
+        );
+      }).then(function() {
+        return assertError(item.modify(function() {
+          this.count += 1;
+        }), errors.NotFound, id, 'item');
+      });
+    });
+  });
+
+  test("Item.batch().submit() throws AlreadyExists", function() {
+    var id = slugid.v4();
+    return Item.create({id: id, name: 'item2', count: 1}).then(function() {
+      return assertError(Item.batch()
+        .create({id: id, name: 'item1', count: 1})
+        .create({id: id, name: 'item2', count: 1})
+        .submit(), errors.AlreadyExists, id, 'item2');
+    }).then(function(err) {
+      assert(err.index === 1);
+      assert(err.operation === 'create');
+    });
+  });
+
+  test("UniqueConstraintViolation is AlreadyExists", function() {
+    var err = new errors.UniqueConstraintViolation("taken", {
+      properties: ['name']
+    });
+    assert(err instanceof errors.AlreadyExists);
+    assert(err.code === 'EntityAlreadyExists');
+    assert(err.name === 'UniqueConstraintViolationError');
+    assert(_.isEqual(err.properties, ['name']));
+  });
+});
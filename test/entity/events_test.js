@@ -0,0 +1,176 @@
+suite("Entity (events and hooks)", function() {
+  var assert  = require('assert');
+  var slugid  = require('slugid');
+  var _       = require('lodash');
+  var Promise = require('promise');
+  var base    = require('../../');
+  var debug   = require('debug')('base:test:entity:events');
+
+  var AbstractItem = base.Entity.configure({
+    version:          1,
+    partitionKey:     base.Entity.keys.StringKey('id'),
+    rowKey:           base.Entity.keys.ConstantKey('item'),
+    properties: {
+      id:             base.Entity.types.String,
+      count:          base.Entity.types.Number
+    }
+  });
+
+  // Create a new setup, so hooks and listeners are reset between tests
+  var Item = null;
+  var events = null;
+  setup(function() {
+    Item = AbstractItem.setup({
+      table:        'EventsTestTable',
+      client:       new base.Entity.InMemoryTable()
+    });
+    events = [];
+    ['created', 'modified', 'removed'].forEach(function(event) {
+      Item.events.on(event, function() {
+        events.push([event].concat(_.toArray(arguments)));
+      });
+    });
+    return Item.ensureTable();
+  });
+
+  test("Item.create emits created", function() {
+    return Item.create({id: slugid.v4(), count: 1}).then(function(item) {
+      assert(events.length === 1);
+      assert(events[0][0] === 'created');
+      assert(events[0][1] === item);
+    });
+  });
+
+  test("Item.prototype.modify emits modified", function() {
+    return Item.create({id: slugid.v4(), count: 1}).then(function(item) {
+      return item.modify(function() {
+        this.count += 1;
+      });
+    }).then(function(item) {
+      assert(events.length === 2);
+      assert(events[1][0] === 'modified');
+      assert(events[1][1] === item);
+      assert(events[1][1].count === 2);
+      assert(events[1][2].count === 1, "Expected old properties");
+      return item.modify(function() {});
+    }).then(function() {
+      assert(events.length === 2, "Expected no event without changes");
+    });
+  });
+
+  test("Item.remove and Item.prototype.remove emits removed", function() {
+    var id = slugid.v4();
+    return Promise.all([
+      Item.create({id: id, count: 1}),
+      Item.create({id: slugid.v4(), count: 2})
+    ]).then(function(items) {
+      events = [];
+      return Promise.all([
+        Item.remove({id: id}),
+        items[1].remove()
+      ]).then(function() {
+        var removed = _.indexBy(events, function(event) {
+          return event[2] ? 'item' : 'static';
+        });
+        assert(events.length === 2);
+        assert(removed['static'][1].id === id);
+        assert(removed['item'][1].count === 2);
+        assert(removed['item'][2] === items[1]);
+        return Item.remove({id: id}, true);
+      });
+    }).then(function(result) {
+      assert(result === false);
+      assert(events.length === 2, "Expected no event if nothing was removed");
+    });
+  });
+
+  test("Item.before('create') can veto", function() {
+    var id = slugid.v4();
+    Item.before('create', function(properties) {
+      return new Promise(function(accept) {
+        setTimeout(accept, 1);
+      }).then(function() {
+        if (properties.count < 0) {
+          throw new Error("count must be positive");
+        }
+      });
+    });
+    return Item.create({id: id, count: -1}).then(function() {
+      assert(false, "Expected an error");
+    }, function(err) {
+      assert(err.message === "count must be positive");
+      assert(events.length === 0);
+      return Item.load({id: id}, {ignoreIfNotExists: true});
+    }).then(function(item) {
+      assert(item === null, "Expected item not to be created");
+      return Item.create({id: id, count: 1});
+    });
+  });
+
+  test("Item.before('modify') can veto", function() {
+    var calls = [];
+    Item.before('modify', function(item, before) {
+      calls.push([item.count, before.count]);
+      if (item.count > 2) {
+        throw new Error("count too large");
+      }
+    });
+    return Item.create({id: slugid.v4(), count: 1}).then(function(item) {
+      return item.modify(function() {
+        this.count += 1;
+      }).then(function() {
+        return item.modify(function() {
+          this.count += 1;
+        });
+      }).then(function() {
+        assert(false, "Expected an error");
+      }, function(err) {
+        assert(err.message === "count too large");
+        assert(item.count === 2, "Expected item to be restored");
+        assert(_.isEqual(calls, [[2, 1], [3, 2]]));
+        assert(events.length === 2, "Expected created and one modified");
+      });
+    });
+  });
+
+  test("Item.before('remove') can veto", function() {
+    var id = slugid.v4();
+    Item.before('remove', function(properties, item) {
+      throw new Error("can't remove " + properties.id);
+    });
+    return Item.create({id: id, count: 1}).then(function(item) {
+      return Promise.all([
+        Item.remove({id: id}),
+        item.remove()
+      ].map(function(removed) {
+        return removed.then(function() {
+          assert(false, "Expected an error");
+        }, function(err) {
+          assert(err.message === "can't remove " + id);
+        });
+      }));
+    }).then(function() {
+      return Item.load({id: id});
+    }).then(function(item) {
+      assert(item.count === 1, "Expected item not to be removed");
+    });
+  });
+
+  test("Errors from listeners are ignored", function() {
+    Item.events.on('created', function() {
+      throw new Error("Listener failed");
+    });
+    return Item.create({id: slugid.v4(), count: 1}).then(function(item) {
+      assert(item.count === 1);
+    });
+  });
+
+  test("Can't register hook for invalid operation", function() {
+    assert.throws(function() {
+      Item.before('load', function() {});
+    });
+    assert.throws(function() {
+      AbstractItem.before('create', function() {});
+    });
+  });
+});
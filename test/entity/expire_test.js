@@ -0,0 +1,116 @@
+suite("Entity (expire)", function() {
+  var assert  = require('assert');
+  var slugid  = require('slugid');
+  var _       = require('lodash');
+  var Promise = require('promise');
+  var base    = require('../../');
+  var debug   = require('debug')('base:test:entity:expire');
+
+  var AbstractItem = base.Entity.configure({
+    version:          1,
+    partitionKey:     base.Entity.keys.StringKey('id'),
+    rowKey:           base.Entity.keys.StringKey('name'),
+    properties: {
+      id:             base.Entity.types.String,
+      name:           base.Entity.types.String,
+      expires:        base.Entity.types.Date
+    },
+    expires:          'expires',
+    hideExpired:      true
+  });
+
+  var Item = AbstractItem.setup({
+    table:        'ExpireTestTable',
+    client:       new base.Entity.InMemoryTable()
+  });
+
+  var id    = slugid.v4();
+  var now   = new Date();
+  before(function() {
+    return Item.ensureTable().then(function() {
+      return Promise.all(_.range(25).map(function(i) {
+        return Item.create({
+          id:       id,
+          name:     'item' + i,
+          // 20 items have expired, 5 expires in the future
+          expires:  new Date(now.getTime() + (i - 20) * 60 * 1000)
+        });
+      }));
+    });
+  });
+
+  test("Item.load (expired)", function() {
+    return Item.load({id: id, name: 'item0'}).then(function() {
+      assert(false, "Expected an error");
+    }, function(err) {
+      assert(err.code === 'ResourceNotFound');
+      return Item.load({id: id, name: 'item0'}, {ignoreIfNotExists: true});
+    }).then(function(item) {
+      assert(item === null, "Expected expired item to be ignored");
+      return Item.load({id: id, name: 'item24'});
+    }).then(function(item) {
+      assert(item.name === 'item24');
+    });
+  });
+
+  test("Item.expire(now)", function() {
+    return Item.expire(now, {
+      concurrency:  3,
+      limit:        7
+    }).then(function(status) {
+      assert(status.removed === 20, "Expected 20 items to be removed");
+      assert(status.skipped === 0);
+      return Item.query({id: id});
+    }).then(function(data) {
+      assert(data.entries.length === 5);
+      return Item.expire(now);
+    }).then(function(status) {
+      assert(status.removed === 0);
+    });
+  });
+
+  test("Item.expire() skips concurrently modified items", function() {
+    // Create client that modifies entities before they are deleted
+    var client = new base.Entity.InMemoryTable();
+    var deleteEntity = client.deleteEntity;
+    client.deleteEntity = function(table, partitionKey, rowKey, options) {
+      var self = this;
+      return this.getEntity(table, partitionKey, rowKey).then(function(e) {
+        return self.updateEntity(table, e, {mode: 'replace', eTag: '*'});
+      }).then(function() {
+        return deleteEntity.call(self, table, partitionKey, rowKey, options);
+      });
+    };
+    var ConflictItem = AbstractItem.setup({
+      table:        'ExpireTestTable',
+      client:       client
+    });
+    return ConflictItem.ensureTable().then(function() {
+      return ConflictItem.create({
+        id:       slugid.v4(),
+        name:     'item',
+        expires:  new Date(now.getTime() - 1000)
+      });
+    }).then(function() {
+      return ConflictItem.expire(now);
+    }).then(function(status) {
+      assert(status.removed === 0);
+      assert(status.skipped === 1, "Expected modified item to be skipped");
+    });
+  });
+
+  test("Can't use expires with non-Date property", function() {
+    assert.throws(function() {
+      base.Entity.configure({
+        version:          1,
+        partitionKey:     base.Entity.keys.StringKey('id'),
+        rowKey:           base.Entity.keys.StringKey('name'),
+        properties: {
+          id:             base.Entity.types.String,
+          name:           base.Entity.types.String
+        },
+        expires:          'name'
+      });
+    });
+  });
+});
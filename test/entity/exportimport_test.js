@@ -0,0 +1,285 @@
+suite("Entity (exportTo and importFrom)", function() {
+  var assert  = require('assert');
+  var slugid  = require('slugid');
+  var stream  = require('stream');
+  var fs      = require('fs');
+  var os      = require('os');
+  var path    = require('path');
+  var _       = require('lodash');
+  var Promise = require('promise');
+  var base    = require('../../');
+  var debug   = require('debug')('base:test:entity:exportimport');
+
+  var ItemV1 = base.Entity.configure({
+    version:          1,
+    partitionKey:     base.Entity.keys.StringKey('id'),
+    rowKey:           base.Entity.keys.StringKey('name'),
+    properties: {
+      id:             base.Entity.types.String,
+      name:           base.Entity.types.String,
+      count:          base.Entity.types.Number
+    }
+  });
+
+  var AbstractItem = ItemV1.configure({
+    version:          2,
+    properties: {
+      id:             base.Entity.types.String,
+      name:           base.Entity.types.String,
+      count:          base.Entity.types.Number,
+      created:        base.Entity.types.Date,
+      data:           base.Entity.types.JSON
+    },
+    migrate: function(item) {
+      item.created  = new Date(2000, 0, 1);
+      item.data     = {migrated: true};
+      return item;
+    }
+  });
+
+  var source = new base.Entity.InMemoryTable();
+  var Item = AbstractItem.setup({
+    table:        'ExportTestTable',
+    client:       source
+  });
+
+  ItemV1 = ItemV1.setup({
+    table:        'ExportTestTable',
+    client:       source
+  });
+
+  // Create a writable stream that collects text
+  var createOutput = function() {
+    var output = new stream.Writable({highWaterMark: 16});
+    output.text = '';
+    output._write = function(chunk, encoding, callback) {
+      output.text += chunk.toString();
+      setTimeout(callback, 1);
+    };
+    return output;
+  };
+
+  // Create a readable stream from text, split in small chunks
+  var createInput = function(text) {
+    var input = new stream.Readable();
+    var offset = 0;
+    input._read = function() {
+      var chunk = text.substr(offset, 7);
+      offset += 7;
+      input.push(chunk === '' ? null : chunk);
+    };
+    return input;
+  };
+
+  // Setup a new table to import into
+  var setupTarget = function() {
+    return AbstractItem.setup({
+      table:        'ImportTestTable',
+      client:       new base.Entity.InMemoryTable()
+    });
+  };
+
+  var id = slugid.v4();
+  before(function() {
+    return Item.ensureTable().then(function() {
+      return Promise.all(_.range(10).map(function(i) {
+        return Item.create({
+          id:       id,
+          name:     'item' + i,
+          count:    i,
+          created:  new Date(2010, 0, 1),
+          data:     {index: i}
+        });
+      }));
+    }).then(function() {
+      return ItemV1.create({id: id, name: 'old', count: 42});
+    });
+  });
+
+  test("Item.exportTo", function() {
+    var output = createOutput();
+    return Item.exportTo(output, {limit: 3}).then(function(status) {
+      assert(status.exported === 11);
+      var lines = output.text.trim().split('\n');
+      assert(lines.length === 11);
+      lines.forEach(function(line) {
+        assert(JSON.parse(line).Version === 2, "Expected migrated entities");
+      });
+    });
+  });
+
+  test("Item.exportTo doesn't check constraints", function() {
+    var client = new base.Entity.InMemoryTable();
+    var define = function(count) {
+      return base.Entity.configure({
+        version:          1,
+        partitionKey:     base.Entity.keys.StringKey('id'),
+        rowKey:           base.Entity.keys.StringKey('name'),
+        properties: {
+          id:             base.Entity.types.String,
+          name:           base.Entity.types.String,
+          count:          count
+        }
+      }).setup({
+        table:        'ExportConstraintTestTable',
+        client:       client
+      });
+    };
+    var Loose  = define(base.Entity.types.Number);
+    var Strict = define(base.Entity.types.Number({max: 5}));
+    var output = createOutput();
+    return Loose.ensureTable().then(function() {
+      return Promise.all([
+        Loose.create({id: id, name: 'valid', count: 1}),
+        Loose.create({id: id, name: 'invalid', count: 10})
+      ]);
+    }).then(function() {
+      return Strict.exportTo(output);
+    }).then(function(status) {
+      assert(status.exported === 2);
+      assert(output.text.trim().split('\n').length === 2);
+      assert(output.listeners('error').length === 0, "Expected no listeners");
+      assert(output.listeners('drain').length === 0, "Expected no listeners");
+    });
+  });
+
+  test("Item.exportTo, Item.importFrom", function() {
+    var output = createOutput();
+    var Target = setupTarget();
+    return Item.exportTo(output).then(function() {
+      return Target.ensureTable();
+    }).then(function() {
+      return Target.importFrom(createInput(output.text), {concurrency: 2});
+    }).then(function(status) {
+      assert(status.imported === 11);
+      assert(status.skipped === 0);
+      return Target.load({id: id, name: 'item3'});
+    }).then(function(item) {
+      assert(item.count === 3);
+      assert(item.created.getTime() === new Date(2010, 0, 1).getTime());
+      assert(item.data.index === 3);
+      return Target.load({id: id, name: 'old'});
+    }).then(function(item) {
+      assert(item.count === 42);
+      assert(item.data.migrated === true);
+    });
+  });
+
+  test("Item.importFrom modes", function() {
+    var output = createOutput();
+    var Target = setupTarget();
+    return Item.exportTo(output).then(function() {
+      return Target.ensureTable();
+    }).then(function() {
+      return Target.create({
+        id:       id,
+        name:     'item0',
+        count:    100,
+        created:  new Date(),
+        data:     {}
+      });
+    }).then(function() {
+      return Target.importFrom(createInput(output.text));
+    }).then(function() {
+      assert(false, "Expected an error");
+    }, function(err) {
+      assert(err.code === 'EntityAlreadyExists');
+      assert(typeof(err.line) === 'number');
+      return Target.importFrom(createInput(output.text), {mode: 'skip'});
+    }).then(function(status) {
+      assert(status.skipped >= 1);
+      assert(status.imported + status.skipped === 11);
+      return Target.load({id: id, name: 'item0'});
+    }).then(function(item) {
+      assert(item.count === 100, "Expected existing entity to be kept");
+      return Target.importFrom(createInput(output.text), {mode: 'overwrite'});
+    }).then(function(status) {
+      assert(status.imported === 11);
+      return Target.load({id: id, name: 'item0'});
+    }).then(function(item) {
+      assert(item.count === 0, "Expected entity to be overwritten");
+    });
+  });
+
+  test("Item.importFrom with invalid line", function() {
+    var Target = setupTarget();
+    var text = [
+      JSON.stringify({
+        PartitionKey: id, RowKey: 'a', Version: 1,
+        id: id, name: 'a', count: 1
+      }),
+      '',
+      '{invalid json'
+    ].join('\n');
+    return Target.ensureTable().then(function() {
+      return Target.importFrom(createInput(text));
+    }).then(function() {
+      assert(false, "Expected an error");
+    }, function(err) {
+      assert(err.line === 3, "Expected error on line 3");
+    });
+  });
+
+  test("Item.importFrom skip with unique constraint", function() {
+    var Target = base.Entity.configure({
+      version:          1,
+      partitionKey:     base.Entity.keys.StringKey('id'),
+      rowKey:           base.Entity.keys.StringKey('name'),
+      properties: {
+        id:             base.Entity.types.String,
+        name:           base.Entity.types.String,
+        label:          base.Entity.types.String
+      },
+      unique:           ['label']
+    }).setup({
+      table:        'ImportUniqueTestTable',
+      client:       new base.Entity.InMemoryTable()
+    });
+    var line = function(name, label) {
+      return JSON.stringify({
+        PartitionKey: id, RowKey: name, Version: 1,
+        id: id, name: name, label: label
+      });
+    };
+    return Target.ensureTable().then(function() {
+      return Target.create({id: id, name: 'a', label: 'x'});
+    }).then(function() {
+      // Line 1 exists, line 2 has the same label as another entity
+      var text = [line('a', 'x'), line('b', 'x')].join('\n');
+      return Target.importFrom(createInput(text), {
+        mode:         'skip',
+        concurrency:  1
+      });
+    }).then(function() {
+      assert(false, "Expected an error");
+    }, function(err) {
+      assert(err instanceof base.Entity.errors.UniqueConstraintViolation);
+      assert(err.line === 2, "Expected error on line 2");
+    });
+  });
+
+  test("entity-table export and import with file", function() {
+    var entityTable = require('../../bin/entity-table');
+    var file = path.join(os.tmpdir(), 'entity-table-' + slugid.v4() + '.json');
+    var Target = setupTarget();
+    return entityTable.exportEntities(Item, file).then(function(status) {
+      assert(status.exported === 11);
+      // File must be flushed when the promise is resolved
+      var lines = fs.readFileSync(file, {encoding: 'utf-8'}).trim().split('\n');
+      assert(lines.length === 11, "Expected a line for each entity");
+      lines.forEach(function(line) {
+        JSON.parse(line);
+      });
+      return entityTable.importEntities(Target, file, {mode: 'create'});
+    }).then(function(status) {
+      assert(status.imported === 11);
+      fs.unlinkSync(file);
+    });
+  });
+
+  test("Item.importFrom with invalid mode", function() {
+    assert.throws(function() {
+      Item.importFrom(createInput(''), {mode: 'replace'});
+    });
+  });
+});
@@ -8,7 +8,6 @@ suite("Entity (HashKey)", function() {
   var debug   = require('debug')('base:test:entity:hashkey');
 
   var helper  = require('./helper');
-  var cfg = helper.loadConfig();
 
   var Item = base.Entity.configure({
     version:          1,
@@ -20,10 +19,7 @@ suite("Entity (HashKey)", function() {
       id:             base.Entity.types.SlugId,
       data:           base.Entity.types.JSON
     }
-  }).setup({
-    credentials:  cfg.get('azure'),
-    table:        cfg.get('azureTestTableName')
-  });
+  }).setup(helper.tableOptions());
 
   test("Item.create, HashKey.exact (test against static data)", function() {
     var id = slugid.v4();
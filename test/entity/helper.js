@@ -1,9 +1,8 @@
 var base    = require('../../');
 
-/** Load configuration */
-var loadConfig = function() {
-  // Load test configuration
-  var cfg = base.config({
+/** Read test configuration */
+var readConfig = function() {
+  return base.config({
     envs: [
       'azure_accountName',
       'azure_accountKey',
@@ -12,6 +11,12 @@ var loadConfig = function() {
     ],
     filename:               'taskcluster-base-test'
   });
+};
+
+/** Load configuration */
+var loadConfig = function() {
+  // Load test configuration
+  var cfg = readConfig();
 
   // Check that we have configuration or abort
   if (!cfg.get('azureTestTableName') ||
@@ -26,3 +31,34 @@ var loadConfig = function() {
 // Export loadConfig
 exports.loadConfig = loadConfig;
 
+/** InMemoryTable shared by all suites, see tableOptions */
+var inMemoryTable = null;
+
+/**
+ * Get options for `Entity.setup` with the test table. If azure credentials
+ * aren't configured, or the `ENTITY_TEST_INMEMORY` environment variable is
+ * set, as done by `npm run-script test-local`, this returns options using an
+ * `InMemoryTable` shared by all suites, so tests can run without network.
+ */
+var tableOptions = function() {
+  var cfg = readConfig();
+  if (!process.env.ENTITY_TEST_INMEMORY &&
+      cfg.get('azureTestTableName') && cfg.get('azure')) {
+    return {
+      credentials:  cfg.get('azure'),
+      table:        cfg.get('azureTestTableName')
+    };
+  }
+  if (!inMemoryTable) {
+    inMemoryTable = new base.Entity.InMemoryTable();
+    // The azure test table is assumed to exist, so create it up front
+    inMemoryTable.createTable('EntityTestTable');
+  }
+  return {
+    client:         inMemoryTable,
+    table:          'EntityTestTable'
+  };
+};
+
+// Export tableOptions
+exports.tableOptions = tableOptions;
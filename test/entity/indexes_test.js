@@ -0,0 +1,165 @@
+suite("Entity (secondary indexes)", function() {
+  var assert  = require('assert');
+  var slugid  = require('slugid');
+  var _       = require('lodash');
+  var Promise = require('promise');
+  var base    = require('../../');
+  var debug   = require('debug')('base:test:entity:indexes');
+
+  var client = new base.Entity.InMemoryTable();
+  var Item = base.Entity.configure({
+    version:          1,
+    partitionKey:     base.Entity.keys.StringKey('id'),
+    rowKey:           base.Entity.keys.ConstantKey('user'),
+    properties: {
+      id:             base.Entity.types.String,
+      email:          base.Entity.types.String,
+      team:           base.Entity.types.Optional(base.Entity.types.String)
+    },
+    indexes: {
+      byEmail:        base.Entity.keys.StringKey('email'),
+      byTeam:         base.Entity.keys.StringKey('team')
+    }
+  }).setup({
+    table:        'IndexTestTable',
+    client:       client
+  });
+
+  before(function() {
+    return Item.ensureTable();
+  });
+
+  // Get sorted list of ids from entries
+  var ids = function(entries) {
+    return entries.map(function(item) {
+      return item.id;
+    }).sort();
+  };
+
+  test("Item.create, Item.queryIndex", function() {
+    var email = slugid.v4() + '@example.com';
+    return Promise.all([
+      Item.create({id: 'a-' + slugid.v4(), email: email, team: 'red'}),
+      Item.create({id: 'b-' + slugid.v4(), email: email, team: null})
+    ]).then(function(items) {
+      return Item.queryIndex('byEmail', {email: email}).then(function(data) {
+        assert(_.isEqual(ids(data.entries), ids(items)));
+        assert(data.entries[0] instanceof Item);
+      });
+    });
+  });
+
+  test("Item.queryIndex with limit", function() {
+    var team = slugid.v4();
+    return Promise.all(_.range(5).map(function(i) {
+      return Item.create({id: slugid.v4(), email: 'x', team: team});
+    })).then(function() {
+      var entries = [];
+      var fetch = function(continuation) {
+        return Item.queryIndex('byTeam', {
+          team:     base.Entity.op.equal(team)
+        }, {
+          limit:          2,
+          continuation:   continuation
+        }).then(function(data) {
+          assert(data.entries.length <= 2);
+          entries = entries.concat(data.entries);
+          if (data.continuation) {
+            return fetch(data.continuation);
+          }
+        });
+      };
+      return fetch().then(function() {
+        assert(entries.length === 5);
+      });
+    });
+  });
+
+  test("Item.modify updates index", function() {
+    var id    = slugid.v4();
+    var email = slugid.v4() + '@example.com';
+    return Item.create({id: id, email: 'old-' + email}).then(function(item) {
+      return item.modify(function() {
+        this.email = email;
+      });
+    }).then(function() {
+      return Item.queryIndex('byEmail', {email: 'old-' + email});
+    }).then(function(data) {
+      assert(data.entries.length === 0, "Expected old email to be removed");
+      return Item.queryIndex('byEmail', {email: email});
+    }).then(function(data) {
+      assert(_.isEqual(ids(data.entries), [id]));
+      return client.queryEntities('IndexTestTableIndexes', {
+        filter: "TargetPartitionKey eq '" + data.entries[0]._partitionKey + "'"
+      });
+    }).then(function(data) {
+      assert(data.entities.length === 1, "Expected old index entity removed");
+    });
+  });
+
+  test("Item.remove and Item.prototype.remove updates index", function() {
+    var email = slugid.v4() + '@example.com';
+    return Promise.all([
+      Item.create({id: slugid.v4(), email: email}),
+      Item.create({id: slugid.v4(), email: email})
+    ]).then(function(items) {
+      return Promise.all([
+        Item.remove({id: items[0].id}),
+        items[1].remove()
+      ]);
+    }).then(function() {
+      return client.queryEntities('IndexTestTableIndexes', {
+        filter: "PartitionKey eq 'byEmail~" + email.replace('@', '!40') + "'"
+      });
+    }).then(function(data) {
+      assert(data.entities.length === 0, "Expected index entities removed");
+      return Item.remove({id: slugid.v4()}, true);
+    }).then(function(result) {
+      assert(result === false);
+    });
+  });
+
+  test("Item.repairIndexes", function() {
+    var id    = slugid.v4();
+    var email = slugid.v4() + '@example.com';
+    return Item.create({id: id, email: email}).then(function(item) {
+      // Overwrite the entity without updating indexes
+      return client.updateEntity('IndexTestTable', {
+        PartitionKey:   item._partitionKey,
+        RowKey:         item._rowKey,
+        Version:        1,
+        id:             id,
+        email:          'new-' + email
+      }, {mode: 'replace', eTag: '*'});
+    }).then(function() {
+      return Item.queryIndex('byEmail', {email: email});
+    }).then(function(data) {
+      assert(data.entries.length === 0, "Expected stale index to be ignored");
+      return Item.queryIndex('byEmail', {email: 'new-' + email});
+    }).then(function(data) {
+      assert(data.entries.length === 0, "Expected no index entity");
+      return Item.repairIndexes({limit: 3, concurrency: 2});
+    }).then(function(status) {
+      assert(status.indexed > 0);
+      assert(status.removed === 1, "Expected one stale index entity");
+      return Item.queryIndex('byEmail', {email: 'new-' + email});
+    }).then(function(data) {
+      assert(_.isEqual(ids(data.entries), [id]));
+      return Item.repairIndexes();
+    }).then(function(status) {
+      assert(status.removed === 0);
+    });
+  });
+
+  test("Can't query undeclared index", function() {
+    assert.throws(function() {
+      Item.queryIndex('byName', {name: 'test'});
+    });
+  });
+
+  test("Can't use batch with indexes", function() {
+    assert.throws(function() {
+      Item.batch();
+    });
+  });
+});
@@ -0,0 +1,317 @@
+suite("Entity (InMemoryTable)", function() {
+  var assert  = require('assert');
+  var slugid  = require('slugid');
+  var _       = require('lodash');
+  var Promise = require('promise');
+  var base    = require('../../');
+  var debug   = require('debug')('base:test:entity:inmemory');
+
+  var client = new base.Entity.InMemoryTable();
+
+  var Item = base.Entity.configure({
+    version:          1,
+    partitionKey:     base.Entity.keys.StringKey('id'),
+    rowKey:           base.Entity.keys.StringKey('name'),
+    properties: {
+      id:             base.Entity.types.String,
+      name:           base.Entity.types.String,
+      count:          base.Entity.types.Number,
+      time:           base.Entity.types.Date,
+      data:           base.Entity.types.JSON
+    }
+  }).setup({
+    table:        'InMemoryTestTable',
+    client:       client
+  });
+
+  before(function() {
+    return Item.ensureTable();
+  });
+
+  test("Item.ensureTable (twice)", function() {
+    return Item.ensureTable();
+  });
+
+  test("Item.create, Item.load", function() {
+    var id = slugid.v4();
+    return Item.create({
+      id:     id,
+      name:   'my-test-item',
+      count:  1,
+      time:   new Date(0),
+      data:   {key: 'value'}
+    }).then(function(item) {
+      assert(item instanceof Item);
+      assert(item.count === 1);
+      return Item.load({
+        id:     id,
+        name:   'my-test-item'
+      });
+    }).then(function(item) {
+      assert(item.id === id);
+      assert(item.count === 1);
+      assert(item.time.getTime() === 0);
+      assert(item.data.key === 'value');
+    });
+  });
+
+  test("getEntity with select returns null for missing columns", function() {
+    var id = slugid.v4();
+    return Item.create({
+      id:     id,
+      name:   'select-test',
+      count:  1,
+      time:   new Date(0),
+      data:   {}
+    }).then(function(item) {
+      return client.getEntity('InMemoryTestTable', item._partitionKey,
+                              item._rowKey, {select: ['count', 'missing']});
+    }).then(function(entity) {
+      assert(entity.count === 1);
+      assert(entity.missing === null, "Expected missing column to be null");
+      assert(entity.time === undefined, "Expected time not to be selected");
+    });
+  });
+
+  test("Item.create (twice)", function() {
+    var id = slugid.v4();
+    var props = {
+      id:     id,
+      name:   'my-test-item',
+      count:  1,
+      time:   new Date(),
+      data:   {}
+    };
+    return Item.create(props).then(function() {
+      return Item.create(props);
+    }).then(function() {
+      assert(false, "Expected an error");
+    }, function(err) {
+      assert(err.code === 'EntityAlreadyExists', "Expected EntityAlreadyExists");
+      assert(err.statusCode === 409);
+    });
+  });
+
+  test("Item.create (overwriteIfExists)", function() {
+    var id = slugid.v4();
+    var props = {
+      id:     id,
+      name:   'my-test-item',
+      count:  1,
+      time:   new Date(),
+      data:   {}
+    };
+    return Item.create(props).then(function() {
+      props.count = 2;
+      return Item.create(props, true);
+    }).then(function() {
+      return Item.load({id: id, name: 'my-test-item'});
+    }).then(function(item) {
+      assert(item.count === 2);
+    });
+  });
+
+  test("Item.load (ResourceNotFound)", function() {
+    return Item.load({
+      id:     slugid.v4(),
+      name:   'my-test-item'
+    }).then(function() {
+      assert(false, "Expected an error");
+    }, function(err) {
+      assert(err.code === 'ResourceNotFound', "Expected ResourceNotFound");
+      assert(err.statusCode === 404);
+    });
+  });
+
+  test("Item.load (ignoreIfNotExists)", function() {
+    var properties = {id: slugid.v4(), name: 'my-test-item'};
+    return Promise.all([
+      Item.load(properties, {ignoreIfNotExists: true}),
+      Item.load(properties, true)
+    ]).then(function(items) {
+      assert(items[0] === null, "Expected null to be returned");
+      assert(items[1] === null, "Expected null for boolean argument");
+    });
+  });
+
+  test("Item.modify (concurrent)", function() {
+    var id = slugid.v4();
+    return Item.create({
+      id:     id,
+      name:   'my-test-item',
+      count:  1,
+      time:   new Date(),
+      data:   {}
+    }).then(function(itemA) {
+      return Item.load({
+        id:     id,
+        name:   'my-test-item'
+      }).then(function(itemB) {
+        return Promise.all([
+          itemA.modify(function() {
+            this.count += 1;
+          }),
+          itemB.modify(function() {
+            this.count += 1;
+          })
+        ]);
+      });
+    }).then(function() {
+      return Item.load({id: id, name: 'my-test-item'});
+    }).then(function(item) {
+      assert(item.count === 3);
+    });
+  });
+
+  test("item.remove (UpdateConditionNotSatisfied)", function() {
+    var id = slugid.v4();
+    return Item.create({
+      id:     id,
+      name:   'my-test-item',
+      count:  1,
+      time:   new Date(),
+      data:   {}
+    }).then(function(item) {
+      return Item.load({
+        id:     id,
+        name:   'my-test-item'
+      }).then(function(item2) {
+        return item2.modify(function() {
+          this.count += 1;
+        });
+      }).then(function() {
+        return item.remove();
+      });
+    }).then(function() {
+      assert(false, "Expected an error");
+    }, function(err) {
+      assert(err.code === 'UpdateConditionNotSatisfied');
+      assert(err.statusCode === 412);
+    });
+  });
+
+  test("Item.remove (ignoreIfNotExists)", function() {
+    return Item.remove({
+      id:     slugid.v4(),
+      name:   'my-test-item'
+    }, true).then(function(deleted) {
+      assert(deleted === false, "Expected nothing to be deleted");
+    });
+  });
+
+  suite("Item.query", function() {
+    var id = slugid.v4();
+    before(function() {
+      return Promise.all([0, 1, 2, 3, 4].map(function(i) {
+        return Item.create({
+          id:     id,
+          name:   'item' + i,
+          count:  i,
+          time:   new Date(i * 1000),
+          data:   {index: i}
+        });
+      }));
+    });
+
+    test("Query a partition", function() {
+      return Item.query({id: id}).then(function(data) {
+        assert(data.entries.length === 5);
+        assert(!data.continuation);
+      });
+    });
+
+    test("Filter by count >= 2 and time < Date(4000)", function() {
+      return Item.query({
+        id:       id,
+        count:    base.Entity.op.greaterThanOrEqual(2),
+        time:     base.Entity.op.lessThan(new Date(4000))
+      }).then(function(data) {
+        var names = data.entries.map(function(item) {
+          return item.name;
+        }).sort();
+        assert(_.isEqual(names, ['item2', 'item3']));
+      });
+    });
+
+    test("Query for specific row (matchRow: exact)", function() {
+      return Item.query({
+        id:       id,
+        name:     'item3'
+      }, {
+        matchRow: 'exact'
+      }).then(function(data) {
+        assert(data.entries.length === 1);
+        assert(data.entries[0].count === 3);
+      });
+    });
+
+    test("Query a partition (with limit 2)", function() {
+      var names = [];
+      var fetch = function(continuation) {
+        return Item.query({id: id}, {
+          limit:          2,
+          continuation:   continuation
+        }).then(function(data) {
+          assert(data.entries.length <= 2);
+          data.entries.forEach(function(item) {
+            names.push(item.name);
+          });
+          if (data.continuation) {
+            return fetch(data.continuation);
+          }
+        });
+      };
+      return fetch().then(function() {
+        assert(_.isEqual(names, ['item0', 'item1', 'item2', 'item3', 'item4']));
+      });
+    });
+  });
+
+  test("Entities are shared between classes with same client", function() {
+    var id = slugid.v4();
+    var Item2 = base.Entity.configure({
+      version:          1,
+      partitionKey:     base.Entity.keys.StringKey('id'),
+      rowKey:           base.Entity.keys.StringKey('name'),
+      properties: {
+        id:             base.Entity.types.String,
+        name:           base.Entity.types.String,
+        count:          base.Entity.types.Number
+      }
+    }).setup({
+      table:        'InMemoryTestTable',
+      client:       client
+    });
+    return Item.create({
+      id:     id,
+      name:   'my-test-item',
+      count:  7,
+      time:   new Date(),
+      data:   {}
+    }).then(function() {
+      return Item2.load({id: id, name: 'my-test-item'});
+    }).then(function(item) {
+      assert(item.count === 7);
+    });
+  });
+
+  test("Table operations fail with TableNotFound", function() {
+    var Missing = base.Entity.configure({
+      version:          1,
+      partitionKey:     base.Entity.keys.StringKey('id'),
+      rowKey:           base.Entity.keys.StringKey('name'),
+      properties: {
+        id:             base.Entity.types.String,
+        name:           base.Entity.types.String
+      }
+    }).setup({
+      table:        'InMemoryMissingTable',
+      client:       client
+    });
+    return Missing.load({id: 'a', name: 'b'}).then(function() {
+      assert(false, "Expected an error");
+    }, function(err) {
+      assert(err.code === 'TableNotFound', "Expected TableNotFound");
+    });
+  });
+});
@@ -0,0 +1,149 @@
+suite("Entity (migrateAll)", function() {
+  var assert  = require('assert');
+  var slugid  = require('slugid');
+  var _       = require('lodash');
+  var Promise = require('promise');
+  var base    = require('../../');
+  var debug   = require('debug')('base:test:entity:migrateall');
+
+  var AbstractItemV1 = base.Entity.configure({
+    version:          1,
+    partitionKey:     base.Entity.keys.StringKey('id'),
+    rowKey:           base.Entity.keys.StringKey('name'),
+    properties: {
+      id:             base.Entity.types.String,
+      name:           base.Entity.types.String,
+      count:          base.Entity.types.Number
+    }
+  });
+
+  var AbstractItemV2 = AbstractItemV1.configure({
+    version:          2,
+    properties: {
+      id:             base.Entity.types.String,
+      name:           base.Entity.types.String,
+      reason:         base.Entity.types.Number
+    },
+    migrate: function(item) {
+      return {
+        id:           item.id,
+        name:         item.name,
+        reason:       item.count
+      };
+    }
+  });
+
+  var client = new base.Entity.InMemoryTable();
+  var ItemV1 = AbstractItemV1.setup({
+    table:        'MigrateAllTestTable',
+    client:       client
+  });
+  var ItemV2 = AbstractItemV2.setup({
+    table:        'MigrateAllTestTable',
+    client:       client
+  });
+
+  var id = slugid.v4();
+  before(function() {
+    return ItemV1.ensureTable().then(function() {
+      return Promise.all(_.range(5).map(function(i) {
+        return ItemV1.create({
+          id:     id,
+          name:   'item' + i,
+          count:  i
+        });
+      }));
+    }).then(function() {
+      return ItemV2.create({
+        id:       id,
+        name:     'item5',
+        reason:   5
+      });
+    });
+  });
+
+  test("Filter on renamed property misses old entities", function() {
+    return ItemV2.query({
+      id:       id,
+      reason:   base.Entity.op.lessThan(3)
+    }).then(function(data) {
+      assert(data.entries.length === 0, "Expected no v1 entities to match");
+    });
+  });
+
+  test("ItemV2.migrateAll()", function() {
+    var progress = [];
+    return ItemV2.migrateAll({
+      limit:      2,
+      progress:   function(status) {
+        progress.push(status);
+      }
+    }).then(function(status) {
+      assert(status.scanned === 6);
+      assert(status.migrated === 5);
+      assert(status.versions[1] === 5);
+      assert(status.versions[2] === 1);
+      assert(status.continuation === null);
+      assert(progress.length === 3, "Expected progress for each page");
+      assert(progress[0].continuation, "Expected continuation in progress");
+      assert(progress[0].scanned === 2);
+    }).then(function() {
+      return ItemV2.query({
+        id:       id,
+        reason:   base.Entity.op.lessThan(3)
+      });
+    }).then(function(data) {
+      assert(data.entries.length === 3, "Expected migrated entities to match");
+      return ItemV2.migrateAll();
+    }).then(function(status) {
+      assert(status.migrated === 0);
+      assert(_.isEqual(status.versions, {2: 6}));
+    });
+  });
+
+  test("ItemV2.migrateAll() resume from continuation", function() {
+    var continuation = null;
+    return ItemV2.migrateAll({
+      limit:      4,
+      progress:   function(status) {
+        continuation = status.continuation;
+        throw new Error("Aborting migration");
+      }
+    }).then(function() {
+      assert(false, "Expected an error");
+    }, function(err) {
+      assert(continuation, "Expected a continuation token");
+      return ItemV2.migrateAll({
+        continuation: continuation
+      });
+    }).then(function(status) {
+      assert(status.scanned === 2, "Expected to scan the remaining entities");
+    });
+  });
+
+  test("ItemV2.migrateAll() concurrently only counts each entity once",
+       function() {
+    var id2 = slugid.v4();
+    return Promise.all(_.range(3).map(function(i) {
+      return ItemV1.create({
+        id:     id2,
+        name:   'item' + i,
+        count:  i
+      });
+    })).then(function() {
+      return Promise.all([
+        ItemV2.migrateAll({concurrency: 1}),
+        ItemV2.migrateAll({concurrency: 2})
+      ]);
+    }).then(function(results) {
+      assert(results[0].migrated + results[1].migrated === 3,
+             "Expected each entity to be counted as migrated once");
+    });
+  });
+
+  test("ItemV2.migrateAll() requires positive concurrency", function() {
+    assert.throws(function() {
+      ItemV2.migrateAll({concurrency: 0});
+    });
+  });
+});
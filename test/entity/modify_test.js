@@ -7,7 +7,6 @@ suite("Entity (modify)", function() {
   var debug   = require('debug')('base:test:entity:create_load');
 
   var helper  = require('./helper');
-  var cfg = helper.loadConfig();
 
   var Item = base.Entity.configure({
     version:          1,
@@ -18,10 +17,7 @@ suite("Entity (modify)", function() {
       name:           base.Entity.types.String,
       count:          base.Entity.types.Number
     }
-  }).setup({
-    credentials:  cfg.get('azure'),
-    table:        cfg.get('azureTestTableName')
-  });
+  }).setup(helper.tableOptions());
 
 
   test("Item.create, Item.modify, Item.load", function() {
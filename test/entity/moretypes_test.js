@@ -0,0 +1,233 @@
+suite("Entity (Boolean, EncodedString, Schema and other types)", function() {
+  var assert  = require('assert');
+  var slugid  = require('slugid');
+  var _       = require('lodash');
+  var Promise = require('promise');
+  var base    = require('../../');
+  var debug   = require('debug')('base:test:entity:moretypes');
+
+  var SCHEMA_ID = 'http://localhost/entity-test/config.json#';
+
+  var AbstractItem = base.Entity.configure({
+    version:          1,
+    partitionKey:     base.Entity.keys.StringKey('id'),
+    rowKey:           base.Entity.keys.CompositeKey('name', 'enabled'),
+    properties: {
+      id:             base.Entity.types.String,
+      name:           base.Entity.types.String,
+      enabled:        base.Entity.types.Boolean,
+      label:          base.Entity.types.EncodedString,
+      deadline:       base.Entity.types.OptionalDate,
+      config:         base.Entity.types.Schema(SCHEMA_ID),
+      tasks:          base.Entity.types.SlugIdSet
+    },
+    context:          ['validator']
+  });
+
+  var client = new base.Entity.InMemoryTable();
+  var Item = null;
+  before(function() {
+    return base.validator().then(function(validator) {
+      validator.register({
+        id:           SCHEMA_ID,
+        type:         'object',
+        properties: {
+          retries:    {type: 'integer', minimum: 0}
+        },
+        required:     ['retries']
+      });
+      Item = AbstractItem.setup({
+        table:        'MoreTypesTestTable',
+        client:       client,
+        context:      {validator: validator}
+      });
+      return Item.ensureTable();
+    });
+  });
+
+  // Create an item with properties overwritten by props
+  var createItem = function(props) {
+    return Promise.resolve().then(function() {
+      return Item.create(_.defaults({}, props, {
+        id:         slugid.v4(),
+        name:       'item',
+        enabled:    true,
+        label:      'label',
+        deadline:   null,
+        config:     {retries: 1},
+        tasks:      base.Entity.types.SlugIdSet.create()
+      }));
+    });
+  };
+
+  test("Boolean in keys and filters", function() {
+    var id = slugid.v4();
+    return Promise.all([
+      createItem({id: id, enabled: true}),
+      createItem({id: id, enabled: false})
+    ]).then(function() {
+      return Item.load({id: id, name: 'item', enabled: false});
+    }).then(function(item) {
+      assert(item.enabled === false);
+      return Item.query({id: id, enabled: true});
+    }).then(function(data) {
+      assert(data.entries.length === 1);
+      assert(data.entries[0].enabled === true);
+    });
+  });
+
+  test("Boolean validates type", function() {
+    return createItem({enabled: 'yes'}).then(function() {
+      assert(false, "Expected an error");
+    }, function(err) {
+      debug("Caught expected error: %s", err.message);
+    });
+  });
+
+  test("EncodedString is stored encoded", function() {
+    var label = 'a/b\\c#d?e\u0001!~';
+    return createItem({label: label}).then(function(item) {
+      assert(item.label === label);
+      return client.getEntity('MoreTypesTestTable', item._partitionKey,
+                              item._rowKey).then(function(entity) {
+        assert(entity.label === 'a!2Fb!5Cc!23d!3Fe!01!21!7e',
+               "Unexpected stored value: " + entity.label);
+        return Item.load({id: item.id, name: 'item', enabled: true});
+      });
+    }).then(function(item) {
+      assert(item.label === label);
+    });
+  });
+
+  test("EncodedString in filters", function() {
+    var id = slugid.v4();
+    return Promise.all([
+      createItem({id: id, name: 'a', label: 'x/y'}),
+      createItem({id: id, name: 'b', label: ''}),
+      createItem({id: id, name: 'c', label: 'z'})
+    ]).then(function() {
+      return Item.query({id: id, label: 'x/y'});
+    }).then(function(data) {
+      assert(data.entries.length === 1);
+      assert(data.entries[0].name === 'a');
+      return Item.query({
+        id:     id,
+        label:  base.Entity.op.in(['', 'z'])
+      });
+    }).then(function(data) {
+      assert(_.pluck(data.entries, 'name').sort().join() === 'b,c');
+      assert.throws(function() {
+        Item.query({id: id, label: base.Entity.op.lessThan('z')});
+      }, /isn't ordered/);
+    });
+  });
+
+  test("OptionalDate can be null", function() {
+    var deadline = new Date();
+    return createItem({deadline: null}).then(function(item) {
+      assert(item.deadline === null);
+      return item.modify(function() {
+        this.deadline = deadline;
+      });
+    }).then(function(item) {
+      return Item.load({id: item.id, name: 'item', enabled: true});
+    }).then(function(item) {
+      assert(item.deadline.getTime() === deadline.getTime());
+    });
+  });
+
+  test("Schema validates on create and modify", function() {
+    return createItem({config: {retries: -1}}).then(function() {
+      assert(false, "Expected an error");
+    }, function(err) {
+      assert(err.property === 'config');
+      assert(err.errors, "Expected validation errors");
+      return createItem({config: {retries: 2}});
+    }).then(function(item) {
+      assert(item.config.retries === 2);
+      return item.modify(function() {
+        delete this.config.retries;
+      }).then(function() {
+        assert(false, "Expected an error");
+      }, function(err) {
+        assert(err.property === 'config');
+        assert(item.config.retries === 2, "Expected item to be restored");
+      });
+    });
+  });
+
+  test("Schema requires validator in context", function() {
+    assert.throws(function() {
+      AbstractItem.setup({
+        table:        'MoreTypesTestTable',
+        client:       new base.Entity.InMemoryTable()
+      });
+    });
+  });
+
+  test("SlugIdSet dedupes and is unordered", function() {
+    var ids = _.range(40).map(function() {
+      return slugid.v4();
+    });
+    var set1 = base.Entity.types.SlugIdSet.create(ids);
+    var set2 = base.Entity.types.SlugIdSet.create(ids.slice().reverse());
+    assert(set1.add(ids[3]) === false, "Expected duplicate to be ignored");
+    assert(set1.length === 40);
+    assert(set1.equals(set2));
+    assert(_.isEqual(set1.toArray(), ids.slice().sort(function(a, b) {
+      return set1.indexOf(a) - set1.indexOf(b);
+    })));
+    ids.forEach(function(id) {
+      assert(set1.has(id));
+    });
+    assert(set1.remove(ids[0]));
+    assert(!set1.has(ids[0]));
+    assert(set1.indexOf(ids[0]) === -1);
+    assert(!set1.equals(set2));
+  });
+
+  test("SlugIdSet is stored", function() {
+    var taskA = slugid.v4();
+    var taskB = slugid.v4();
+    return createItem({}).then(function(item) {
+      return item.modify(function() {
+        this.tasks.add(taskA);
+        this.tasks.add(taskB);
+        this.tasks.add(taskA);
+      });
+    }).then(function(item) {
+      return Item.load({id: item.id, name: 'item', enabled: true});
+    }).then(function(item) {
+      assert(item.tasks.length === 2);
+      assert(item.tasks.has(taskA));
+      assert(item.tasks.has(taskB));
+      return item.modify(function() {
+        this.tasks.remove(taskA);
+        this.tasks.remove(taskB);
+        this.tasks.add(taskA);
+      });
+    }).then(function(item) {
+      assert(_.isEqual(item.tasks.toArray(), [taskA]));
+    });
+  });
+
+  test("SlugIdSet in HashKey", function() {
+    var Hashed = base.Entity.configure({
+      version:          1,
+      partitionKey:     base.Entity.keys.HashKey('tasks'),
+      rowKey:           base.Entity.keys.ConstantKey('hashed'),
+      properties: {
+        tasks:          base.Entity.types.SlugIdSet,
+        enabled:        base.Entity.types.Boolean
+      }
+    });
+    var keys = [slugid.v4(), slugid.v4()];
+    var key1 = Hashed.prototype.__partitionKey.exact({
+      tasks: base.Entity.types.SlugIdSet.create(keys)
+    });
+    var key2 = Hashed.prototype.__partitionKey.exact({
+      tasks: base.Entity.types.SlugIdSet.create(keys.reverse())
+    });
+    assert(key1 === key2, "Expected hash to be independent of order");
+  });
+});
@@ -0,0 +1,154 @@
+suite("Entity (in, startsWith and or operators)", function() {
+  var assert  = require('assert');
+  var slugid  = require('slugid');
+  var _       = require('lodash');
+  var Promise = require('promise');
+  var base    = require('../../');
+  var debug   = require('debug')('base:test:entity:operators');
+
+  var Item = base.Entity.configure({
+    version:          1,
+    partitionKey:     base.Entity.keys.StringKey('id'),
+    rowKey:           base.Entity.keys.StringKey('name'),
+    properties: {
+      id:             base.Entity.types.String,
+      name:           base.Entity.types.String,
+      label:          base.Entity.types.String,
+      count:          base.Entity.types.Number,
+      time:           base.Entity.types.Date,
+      data:           base.Entity.types.JSON
+    }
+  }).setup({
+    table:        'OperatorsTestTable',
+    client:       new base.Entity.InMemoryTable()
+  });
+
+  var id      = slugid.v4();
+  var labels  = ['apple', 'apricot', 'banana', 'ap', 'a\uffff', 'b'];
+  before(function() {
+    return Item.ensureTable().then(function() {
+      return Promise.all(labels.map(function(label, i) {
+        return Item.create({
+          id:       id,
+          name:     'item' + i,
+          label:    label,
+          count:    i,
+          time:     new Date(),
+          data:     {}
+        });
+      }));
+    });
+  });
+
+  // Scan with conditions and return sorted list of labels
+  var scan = function(conditions) {
+    conditions.id = id;
+    return Item.scan(conditions).then(function(data) {
+      return data.entries.map(function(item) {
+        return item.label;
+      }).sort();
+    });
+  };
+
+  test("Entity.op.in", function() {
+    return scan({
+      count:    base.Entity.op.in([0, 2, 42])
+    }).then(function(result) {
+      assert(_.isEqual(result, ['apple', 'banana']));
+    });
+  });
+
+  test("Entity.op.in (strings)", function() {
+    return scan({
+      label:    base.Entity.op.in(['b', 'ap'])
+    }).then(function(result) {
+      assert(_.isEqual(result, ['ap', 'b']));
+    });
+  });
+
+  test("Entity.op.startsWith", function() {
+    return scan({
+      label:    base.Entity.op.startsWith('ap')
+    }).then(function(result) {
+      assert(_.isEqual(result, ['ap', 'apple', 'apricot']));
+    });
+  });
+
+  test("Entity.op.startsWith (trailing \\uffff)", function() {
+    return scan({
+      label:    base.Entity.op.startsWith('a\uffff')
+    }).then(function(result) {
+      assert(_.isEqual(result, ['a\uffff']));
+    });
+  });
+
+  test("Entity.op.or", function() {
+    return scan({
+      label:    base.Entity.op.or(
+        base.Entity.op.startsWith('apr'),
+        base.Entity.op.in(['b', 'banana']),
+        'ap'
+      ),
+      count:    base.Entity.op.lessThan(5)
+    }).then(function(result) {
+      assert(_.isEqual(result, ['ap', 'apricot', 'banana']));
+    });
+  });
+
+  test("Entity.op.or (comparisons)", function() {
+    return scan({
+      count:    base.Entity.op.or(
+        base.Entity.op.lessThan(1),
+        base.Entity.op.greaterThan(4)
+      )
+    }).then(function(result) {
+      assert(_.isEqual(result, ['apple', 'b']));
+    });
+  });
+
+  test("Entity.op.startsWith isn't supported for Number", function() {
+    assert.throws(function() {
+      Item.scan({count: base.Entity.op.startsWith('1')});
+    }, /startsWith/);
+  });
+
+  test("Entity.op.startsWith isn't supported for Date", function() {
+    assert.throws(function() {
+      Item.scan({time: base.Entity.op.or(base.Entity.op.startsWith('2'))});
+    }, /startsWith/);
+  });
+
+  test("Can't filter on JSON", function() {
+    assert.throws(function() {
+      Item.scan({data: base.Entity.op.in([{}])});
+    });
+  });
+
+  test("Can't create invalid operators", function() {
+    assert.throws(function() {
+      base.Entity.op.in([]);
+    });
+    assert.throws(function() {
+      base.Entity.op.in('a');
+    });
+    assert.throws(function() {
+      base.Entity.op.startsWith(42);
+    });
+    assert.throws(function() {
+      base.Entity.op.or();
+    });
+  });
+
+  test("Entity.op.in allows at most 15 values", function() {
+    base.Entity.op.in(_.range(15));
+    assert.throws(function() {
+      base.Entity.op.in(_.range(16));
+    }, /15/);
+  });
+
+  test("Operands are validated", function() {
+    assert.throws(function() {
+      Item.scan({count: base.Entity.op.in([1, 'two'])});
+    });
+  });
+});
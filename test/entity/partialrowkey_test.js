@@ -0,0 +1,163 @@
+suite("Entity (partial rowKey matching)", function() {
+  var assert  = require('assert');
+  var slugid  = require('slugid');
+  var _       = require('lodash');
+  var Promise = require('promise');
+  var base    = require('../../');
+  var debug   = require('debug')('base:test:entity:partialrowkey');
+
+  var Item = base.Entity.configure({
+    version:          1,
+    partitionKey:     base.Entity.keys.StringKey('id'),
+    rowKey:           base.Entity.keys.CompositeKey('group', 'name', 'index'),
+    properties: {
+      id:             base.Entity.types.String,
+      group:          base.Entity.types.String,
+      name:           base.Entity.types.String,
+      index:          base.Entity.types.Number
+    }
+  }).setup({
+    table:        'PartialRowKeyTestTable',
+    client:       new base.Entity.InMemoryTable()
+  });
+
+  var id = slugid.v4();
+  before(function() {
+    return Item.ensureTable().then(function() {
+      return Promise.all([
+        ['a',   'x',  1],
+        ['a',   'x',  2],
+        ['a',   'y',  1],
+        ['a~',  'x',  1],   // tilde is escaped, so this isn't prefixed by 'a'
+        ['ab',  'x',  1],   // 'ab' must not match a prefix query for 'a'
+        ['',    'x',  1],   // empty strings are encoded as '!'
+        ['b',   'x',  1]
+      ].map(function(entry) {
+        return Item.create({
+          id:     id,
+          group:  entry[0],
+          name:   entry[1],
+          index:  entry[2]
+        });
+      }));
+    });
+  });
+
+  var keys = function(entries) {
+    return entries.map(function(item) {
+      return [item.group, item.name, item.index].join('/');
+    }).sort();
+  };
+
+  test("Query with first key", function() {
+    return Item.query({
+      id:     id,
+      group:  'a'
+    }, {
+      matchRow:   'partial'
+    }).then(function(data) {
+      assert(_.isEqual(keys(data.entries), ['a/x/1', 'a/x/2', 'a/y/1']));
+    });
+  });
+
+  test("Query with first two keys", function() {
+    return Item.query({
+      id:     id,
+      group:  base.Entity.op.equal('a'),
+      name:   'x'
+    }, {
+      matchRow:   'partial'
+    }).then(function(data) {
+      assert(_.isEqual(keys(data.entries), ['a/x/1', 'a/x/2']));
+    });
+  });
+
+  test("Query with all keys (exact)", function() {
+    return Item.query({
+      id:     id,
+      group:  'a',
+      name:   'x',
+      index:  2
+    }, {
+      matchRow:   'partial'
+    }).then(function(data) {
+      assert(_.isEqual(keys(data.entries), ['a/x/2']));
+    });
+  });
+
+  test("Query with empty string as first key", function() {
+    return Item.query({
+      id:     id,
+      group:  ''
+    }, {
+      matchRow:   'partial'
+    }).then(function(data) {
+      assert(_.isEqual(keys(data.entries), ['/x/1']));
+    });
+  });
+
+  test("Query with first key and filter on later key", function() {
+    return Item.query({
+      id:     id,
+      group:  'a',
+      index:  base.Entity.op.greaterThan(1)
+    }, {
+      matchRow:   'partial'
+    }).then(function(data) {
+      assert(_.isEqual(keys(data.entries), ['a/x/2']));
+    });
+  });
+
+  test("Query with first key (with limit 1)", function() {
+    var entries = [];
+    var fetch = function(continuation) {
+      return Item.query({
+        id:     id,
+        group:  'a'
+      }, {
+        matchRow:       'partial',
+        limit:          1,
+        continuation:   continuation
+      }).then(function(data) {
+        assert(data.entries.length <= 1);
+        entries = entries.concat(data.entries);
+        if (data.continuation) {
+          return fetch(data.continuation);
+        }
+      });
+    };
+    return fetch().then(function() {
+      assert(_.isEqual(keys(entries), ['a/x/1', 'a/x/2', 'a/y/1']));
+    });
+  });
+
+  test("Can't use matchRow: partial without first key", function() {
+    return Promise.resolve().then(function() {
+      return Item.query({
+        id:     id,
+        name:   'x'
+      }, {
+        matchRow:   'partial'
+      });
+    }).then(function() {
+      assert(false, "Expected an error");
+    }, function(err) {
+      debug("Caught expected error: %j", err);
+    });
+  });
+
+  test("Can't use matchRow: partial with first key as inequality", function() {
+    return Promise.resolve().then(function() {
+      return Item.query({
+        id:     id,
+        group:  base.Entity.op.notEqual('a')
+      }, {
+        matchRow:   'partial'
+      });
+    }).then(function() {
+      assert(false, "Expected an error");
+    }, function(err) {
+      debug("Caught expected error: %j", err);
+    });
+  });
+});
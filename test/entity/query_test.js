@@ -7,7 +7,6 @@ suite("Entity (query)", function() {
   var debug   = require('debug')('base:test:entity:query');
 
   var helper  = require('./helper');
-  var cfg = helper.loadConfig();
 
   var Item = base.Entity.configure({
     version:          1,
@@ -20,13 +19,11 @@ suite("Entity (query)", function() {
       tag:            base.Entity.types.String,
       time:           base.Entity.types.Date
     }
-  }).setup({
-    credentials:  cfg.get('azure'),
-    table:        cfg.get('azureTestTableName'),
+  }).setup(_.defaults({
     drain:        new base.stats.NullDrain(),
     component:    'taskcluster-base-test',
     process:      'mocha'
-  });
+  }, helper.tableOptions()));
 
   var id = slugid.v4();
   before(function() {
@@ -6,7 +6,6 @@ suite("Entity (reload)", function() {
   var base    = require('../../');
 
   var helper  = require('./helper');
-  var cfg = helper.loadConfig();
 
   var Item = base.Entity.configure({
     version:          1,
@@ -17,10 +16,7 @@ suite("Entity (reload)", function() {
       name:           base.Entity.types.String,
       count:          base.Entity.types.Number
     }
-  }).setup({
-    credentials:  cfg.get('azure'),
-    table:        cfg.get('azureTestTableName')
-  });
+  }).setup(helper.tableOptions());
 
   test("Item.create, item.reload", function() {
     var id = slugid.v4();
@@ -0,0 +1,144 @@
+suite("Entity (modify retry policy)", function() {
+  var assert  = require('assert');
+  var slugid  = require('slugid');
+  var _       = require('lodash');
+  var Promise = require('promise');
+  var base    = require('../../');
+  var debug   = require('debug')('base:test:entity:retrypolicy');
+
+  var points = [];
+  var drain = new base.stats.NullDrain();
+  drain.on('point', function(series, point) {
+    points.push(point);
+  });
+
+  var Item = base.Entity.configure({
+    version:          1,
+    partitionKey:     base.Entity.keys.StringKey('id'),
+    rowKey:           base.Entity.keys.ConstantKey('item'),
+    properties: {
+      id:             base.Entity.types.String,
+      count:          base.Entity.types.Number
+    }
+  }).setup({
+    table:        'RetryPolicyTestTable',
+    client:       new base.Entity.InMemoryTable(),
+    drain:        drain,
+    component:    'base-test',
+    process:      'mocha',
+    retryPolicy:  {
+      attempts:   5
+    }
+  });
+
+  before(function() {
+    return Item.ensureTable();
+  });
+
+  // Create an item and return a modifier that causes a conflict the first
+  // `conflicts` times it is called, by modifying the entity concurrently
+  var createConflicts = function(conflicts) {
+    var id = slugid.v4();
+    return Item.create({id: id, count: 0}).then(function(item) {
+      var calls = 0;
+      return {
+        item:     item,
+        calls:    function() { return calls; },
+        modifier: function() {
+          calls += 1;
+          var entity = this;
+          if (calls > conflicts) {
+            entity.count += 1;
+            return;
+          }
+          return Item.load({id: id}).then(function(other) {
+            return other.modify(function() {
+              this.count += 100;
+            });
+          }).then(function() {
+            entity.count += 1;
+          });
+        }
+      };
+    });
+  };
+
+  test("modify retries conflicts", function() {
+    points = [];
+    return createConflicts(2).then(function(ctx) {
+      return ctx.item.modify(ctx.modifier).then(function(item) {
+        assert(ctx.calls() === 3, "Expected 3 attempts");
+        assert(item.count === 201);
+        var conflicts = points.filter(function(point) {
+          return point.method === 'modify';
+        });
+        assert(conflicts.length === 2, "Expected 2 conflicts reported");
+        assert(conflicts[0].error === 'UpdateConditionNotSatisfied');
+        assert(conflicts[0].table === 'RetryPolicyTestTable');
+        assert(conflicts[0].partitionKey === undefined,
+               "Keys shouldn't be reported as columns");
+      });
+    });
+  });
+
+  test("modify fails after attempts from setup", function() {
+    return createConflicts(10).then(function(ctx) {
+      return ctx.item.modify(ctx.modifier).then(function() {
+        assert(false, "Expected an error");
+      }, function(err) {
+        assert(err instanceof base.Entity.errors.TooManyRetries);
+        assert(err instanceof Error);
+        assert(err.code === 'TooManyRetries');
+        assert(err.attempts === 5);
+        assert(ctx.calls() === 5);
+        assert(ctx.item.count === 0, "Expected item to be restored");
+      });
+    });
+  });
+
+  test("modify with retryPolicy (attempts)", function() {
+    return createConflicts(10).then(function(ctx) {
+      return ctx.item.modify(ctx.modifier, {attempts: 2}).then(function() {
+        assert(false, "Expected an error");
+      }, function(err) {
+        assert(err instanceof base.Entity.errors.TooManyRetries);
+        assert(err.attempts === 2);
+      });
+    });
+  });
+
+  test("modify with retryPolicy (exponential backoff)", function() {
+    return createConflicts(3).then(function(ctx) {
+      var start = Date.now();
+      return ctx.item.modify(ctx.modifier, {
+        delay:    10,
+        jitter:   0
+      }).then(function() {
+        var duration = Date.now() - start;
+        assert(duration >= 65, "Expected delays of 10, 20 and 40 ms");
+      });
+    });
+  });
+
+  test("modify with retryPolicy (deadline)", function() {
+    return createConflicts(10).then(function(ctx) {
+      return ctx.item.modify(ctx.modifier, {
+        delay:    100,
+        deadline: 50
+      }).then(function() {
+        assert(false, "Expected an error");
+      }, function(err) {
+        assert(err instanceof base.Entity.errors.TooManyRetries);
+        assert(err.attempts === 1, "Expected deadline to prevent retries");
+      });
+    });
+  });
+
+  test("modify with invalid retryPolicy", function() {
+    return createConflicts(0).then(function(ctx) {
+      assert.throws(function() {
+        ctx.item.modify(ctx.modifier, {attempts: 0});
+      });
+    });
+  });
+});
@@ -0,0 +1,151 @@
+suite("Entity (scan concurrency and streams)", function() {
+  var assert  = require('assert');
+  var slugid  = require('slugid');
+  var _       = require('lodash');
+  var Promise = require('promise');
+  var base    = require('../../');
+  var debug   = require('debug')('base:test:entity:scanstream');
+
+  // Count number of pages fetched
+  var pagesFetched = 0;
+  var client = new base.Entity.InMemoryTable();
+  var queryEntities = client.queryEntities;
+  client.queryEntities = function() {
+    pagesFetched += 1;
+    return queryEntities.apply(this, arguments);
+  };
+
+  var Item = base.Entity.configure({
+    version:          1,
+    partitionKey:     base.Entity.keys.StringKey('id'),
+    rowKey:           base.Entity.keys.StringKey('name'),
+    properties: {
+      id:             base.Entity.types.String,
+      name:           base.Entity.types.String,
+      count:          base.Entity.types.Number
+    }
+  }).setup({
+    table:        'ScanStreamTestTable',
+    client:       client
+  });
+
+  var id = slugid.v4();
+  before(function() {
+    return Item.ensureTable().then(function() {
+      return Promise.all(_.range(50).map(function(i) {
+        return Item.create({
+          id:       id,
+          name:     'item' + (100 + i),
+          count:    i
+        });
+      }));
+    });
+  });
+
+  // Read all entities from stream, returns promise for list of counts
+  var readAll = function(stream) {
+    return new Promise(function(accept, reject) {
+      var counts = [];
+      stream.on('data', function(item) {
+        counts.push(item.count);
+      });
+      stream.on('error', reject);
+      stream.on('end', function() {
+        accept(counts);
+      });
+      stream.resume();
+    });
+  };
+
+  test("Item.scan with handler and concurrency", function() {
+    var running     = 0;
+    var maxRunning  = 0;
+    var handled     = 0;
+    return Item.scan({}, {
+      limit:          20,
+      concurrency:    3,
+      handler:        function(item) {
+        running += 1;
+        maxRunning = Math.max(running, maxRunning);
+        return new Promise(function(accept) {
+          setTimeout(accept, 1);
+        }).then(function() {
+          running -= 1;
+          handled += 1;
+        });
+      }
+    }).then(function() {
+      assert(handled === 50, "Expected all entities to be handled");
+      assert(maxRunning === 3, "Expected at most 3 parallel handler calls");
+    });
+  });
+
+  test("Item.scanStream", function() {
+    return readAll(Item.scanStream({}, {limit: 7})).then(function(counts) {
+      assert(_.isEqual(counts, _.range(50)));
+    });
+  });
+
+  test("Item.scanStream (with conditions)", function() {
+    return readAll(Item.scanStream({
+      count:    base.Entity.op.lessThan(10)
+    }, {
+      limit:    3
+    })).then(function(counts) {
+      assert(_.isEqual(counts, _.range(10)));
+    });
+  });
+
+  test("Item.scanStream applies backpressure", function() {
+    pagesFetched = 0;
+    var stream = Item.scanStream({}, {limit: 5, highWaterMark: 2});
+    return new Promise(function(accept) {
+      stream.once('readable', accept);
+    }).then(function() {
+      assert(stream.read().count === 0);
+      return new Promise(function(accept) {
+        setTimeout(accept, 50);
+      });
+    }).then(function() {
+      assert(pagesFetched === 1, "Expected only one page to be fetched");
+      return readAll(stream);
+    }).then(function(counts) {
+      assert(counts.length === 49);
+      assert(pagesFetched >= 10);
+    });
+  });
+
+  test("Item.scanStream abort and resume", function() {
+    var stream = Item.scanStream({}, {limit: 7, highWaterMark: 1});
+    var continuation;
+    var first = [];
+    return new Promise(function(accept, reject) {
+      stream.on('data', function(item) {
+        first.push(item.count);
+        if (item.count === 10) {
+          continuation = stream.abort();
+        }
+      });
+      stream.on('error', reject);
+      stream.on('end', accept);
+    }).then(function() {
+      assert(continuation, "Expected a continuation token");
+      assert(first.length < 50);
+      return readAll(Item.scanStream({}, {continuation: continuation}));
+    }).then(function(rest) {
+      assert(_.isEqual(first.concat(rest), _.range(50)),
+             "Expected to resume from first entity not read");
+    });
+  });
+
+  test("Item.scanStream abort at end", function() {
+    var stream = Item.scanStream({
+      count:    base.Entity.op.lessThan(3)
+    });
+    return readAll(stream).then(function(counts) {
+      assert(counts.length === 3);
+      assert(stream.continuation === null);
+      assert(stream.abort() === null);
+    });
+  });
+});
@@ -0,0 +1,226 @@
+suite("Entity (select)", function() {
+  var assert  = require('assert');
+  var slugid  = require('slugid');
+  var crypto  = require('crypto');
+  var _       = require('lodash');
+  var Promise = require('promise');
+  var base    = require('../../');
+  var debug   = require('debug')('base:test:entity:select');
+
+  // Record select options used in queries
+  var selects = [];
+  var client = new base.Entity.InMemoryTable();
+  ['getEntity', 'queryEntities'].forEach(function(method) {
+    var original = client[method];
+    client[method] = function() {
+      var options = arguments[arguments.length - 1] || {};
+      selects.push(options.select);
+      return original.apply(this, arguments);
+    };
+  });
+
+  var ItemV1 = base.Entity.configure({
+    version:          1,
+    partitionKey:     base.Entity.keys.StringKey('id'),
+    rowKey:           base.Entity.keys.StringKey('name'),
+    properties: {
+      id:             base.Entity.types.String,
+      name:           base.Entity.types.String,
+      count:          base.Entity.types.Number,
+      data:           base.Entity.types.JSON
+    }
+  });
+
+  var Item = ItemV1.configure({
+    version:          2,
+    properties: {
+      id:             base.Entity.types.String,
+      name:           base.Entity.types.String,
+      count:          base.Entity.types.Number,
+      tasks:          base.Entity.types.SlugIdArray,
+      data:           base.Entity.types.JSON
+    },
+    migrate: function(item) {
+      item.tasks = base.Entity.types.SlugIdArray.create();
+      return item;
+    }
+  }).setup({
+    table:        'SelectTestTable',
+    client:       client
+  });
+
+  ItemV1 = ItemV1.setup({
+    table:        'SelectTestTable',
+    client:       client
+  });
+
+  var id = slugid.v4();
+  before(function() {
+    return Item.ensureTable().then(function() {
+      return Promise.all(_.range(5).map(function(i) {
+        return Item.create({
+          id:       id,
+          name:     'item' + i,
+          count:    i,
+          tasks:    base.Entity.types.SlugIdArray.create(),
+          data:     {payload: 'large'}
+        });
+      }));
+    }).then(function() {
+      return ItemV1.create({
+        id:       id,
+        name:     'old',
+        count:    42,
+        data:     {payload: 'old'}
+      });
+    });
+  });
+
+  test("Item.load with select", function() {
+    selects = [];
+    return Item.load({id: id, name: 'item1'}, {
+      select:   ['count']
+    }).then(function(item) {
+      assert(item.count === 1);
+      assert(item.id === id, "Expected key properties to be loaded");
+      assert(item.data === undefined, "Expected data not to be loaded");
+      assert(_.isEqual(selects[0], [
+        'PartitionKey', 'RowKey', 'Version', 'id', 'name', 'count'
+      ]));
+    });
+  });
+
+  test("Item.load with select (buffer type)", function() {
+    return Item.load({id: id, name: 'item1'}, {
+      select:   ['data']
+    }).then(function(item) {
+      assert(item.data.payload === 'large');
+      assert(item.count === undefined);
+    });
+  });
+
+  test("Item.load with select (missing)", function() {
+    return Item.load({id: id, name: 'missing'}, {
+      ignoreIfNotExists:  true,
+      select:             ['count']
+    }).then(function(item) {
+      assert(item === null);
+    });
+  });
+
+  test("Item.scan with select", function() {
+    selects = [];
+    return Item.scan({
+      id:       id,
+      count:    base.Entity.op.lessThan(3)
+    }, {
+      select:   ['count']
+    }).then(function(data) {
+      assert(data.entries.length === 3);
+      data.entries.forEach(function(item) {
+        assert(typeof(item.count) === 'number');
+        assert(item.data === undefined);
+      });
+      assert(!_.contains(selects[0], '__bufchunks_data'));
+    });
+  });
+
+  test("Item.query with select loads old versions in full", function() {
+    return Item.query({id: id, name: 'old'}, {
+      select:   ['count']
+    }).then(function(data) {
+      assert(data.entries.length === 1);
+      var item = data.entries[0];
+      assert(item.count === 42);
+      assert(item.data.payload === 'old');
+      assert(item.tasks.length === 0, "Expected migrated entity");
+    });
+  });
+
+  test("Item.scanStream with select", function() {
+    return new Promise(function(accept, reject) {
+      var items = [];
+      var stream = Item.scanStream({id: id}, {select: ['count'], limit: 2});
+      stream.on('data', function(item) {
+        items.push(item);
+      });
+      stream.on('error', reject);
+      stream.on('end', function() {
+        accept(items);
+      });
+    }).then(function(items) {
+      assert(items.length === 6);
+      assert(items.filter(function(item) {
+        return item.data === undefined;
+      }).length === 5, "Expected 5 partial entities");
+    });
+  });
+
+  test("Item.modify reloads partial entity", function() {
+    return Item.load({id: id, name: 'item2'}, {
+      select:   ['count']
+    }).then(function(item) {
+      return item.modify(function() {
+        assert(this.data.payload === 'large', "Expected data to be loaded");
+        this.count += 1;
+      });
+    }).then(function(item) {
+      assert(item.count === 3);
+      assert(item.data.payload === 'large');
+      return Item.load({id: id, name: 'item2'});
+    }).then(function(item) {
+      assert(item.count === 3);
+      assert(item.data.payload === 'large', "Expected data to be unchanged");
+    });
+  });
+
+  test("Partial entities are read-only", function() {
+    return Item.load({id: id, name: 'item3'}, {
+      select:   ['count']
+    }).then(function(item) {
+      assert.throws(function() {
+        'use strict';
+        item.count = 7;
+      });
+      assert(item.count === 3);
+    });
+  });
+
+  test("Select unset optional buffer properties", function() {
+    var OptionalItem = base.Entity.configure({
+      version:          1,
+      partitionKey:     base.Entity.keys.StringKey('id'),
+      rowKey:           base.Entity.keys.StringKey('name'),
+      properties: {
+        id:             base.Entity.types.String,
+        name:           base.Entity.types.String,
+        data:           base.Entity.types.Optional(base.Entity.types.JSON),
+        secret:         base.Entity.types.Optional(
+          base.Entity.types.EncryptedJSON
+        )
+      },
+      context:          ['cryptoKey']
+    }).setup({
+      table:        'SelectOptionalTestTable',
+      client:       client,
+      context:      {cryptoKey: crypto.randomBytes(32).toString('base64')}
+    });
+    return OptionalItem.ensureTable().then(function() {
+      return OptionalItem.create({id: id, name: 'unset'});
+    }).then(function() {
+      // Selected columns that aren't present are returned as null
+      return OptionalItem.load({id: id, name: 'unset'}, {
+        select:   ['data', 'secret']
+      });
+    }).then(function(item) {
+      assert(item.data === null);
+      assert(item.secret === null);
+    });
+  });
+
+  test("Can't select undefined properties", function() {
+    assert.throws(function() {
+      Item.scan({}, {select: ['missing']});
+    }, /not defined/);
+  });
+});
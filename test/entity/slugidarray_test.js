@@ -7,7 +7,6 @@ suite("Entity (SlugIdArrayType)", function() {
   var crypto  = require('crypto');
 
   var helper  = require('./helper');
-  var cfg = helper.loadConfig();
 
   var Item = base.Entity.configure({
     version:          1,
@@ -18,10 +17,7 @@ suite("Entity (SlugIdArrayType)", function() {
       name:           base.Entity.types.String,
       data:           base.Entity.types.SlugIdArray
     }
-  }).setup({
-    credentials:  cfg.get('azure'),
-    table:        cfg.get('azureTestTableName')
-  });
+  }).setup(helper.tableOptions());
 
   test("SlugIdArray.push", function() {
     var arr = base.Entity.types.SlugIdArray.create();
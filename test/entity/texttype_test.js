@@ -7,7 +7,6 @@ suite("Entity (TextType)", function() {
   var crypto  = require('crypto');
 
   var helper  = require('./helper');
-  var cfg = helper.loadConfig();
 
   var Item = base.Entity.configure({
     version:          1,
@@ -18,10 +17,7 @@ suite("Entity (TextType)", function() {
       name:           base.Entity.types.String,
       data:           base.Entity.types.Text
     }
-  }).setup({
-    credentials:  cfg.get('azure'),
-    table:        cfg.get('azureTestTableName')
-  });
+  }).setup(helper.tableOptions());
 
   // Construct a large string
   var randomString = function(kbytes) {
@@ -0,0 +1,247 @@
+suite("Entity (unique constraints)", function() {
+  var assert  = require('assert');
+  var slugid  = require('slugid');
+  var _       = require('lodash');
+  var Promise = require('promise');
+  var base    = require('../../');
+  var debug   = require('debug')('base:test:entity:unique');
+
+  // Make reservations appear older than they are, by shifting Timestamp
+  var age = 0;
+  var client = new base.Entity.InMemoryTable();
+  var getEntity = client.getEntity;
+  client.getEntity = function(table) {
+    return getEntity.apply(this, arguments).then(function(entity) {
+      if (table === 'UniqueTestTableUnique') {
+        var timestamp = new Date(entity.Timestamp).getTime() - age;
+        entity.Timestamp = new Date(timestamp).toJSON();
+      }
+      return entity;
+    });
+  };
+
+  var AbstractItem = base.Entity.configure({
+    version:          1,
+    partitionKey:     base.Entity.keys.StringKey('id'),
+    rowKey:           base.Entity.keys.ConstantKey('item'),
+    properties: {
+      id:             base.Entity.types.String,
+      name:           base.Entity.types.Optional(base.Entity.types.String),
+      owner:          base.Entity.types.String,
+      label:          base.Entity.types.String
+    },
+    unique:           ['name', ['owner', 'label']]
+  });
+
+  var Item = AbstractItem.setup({
+    table:        'UniqueTestTable',
+    client:       client
+  });
+
+  before(function() {
+    return Item.ensureTable();
+  });
+
+  setup(function() {
+    age = 0;
+  });
+
+  // Assert that promise is rejected with UniqueConstraintViolation
+  var assertViolation = function(promise) {
+    return promise.then(function() {
+      assert(false, "Expected an error");
+    }, function(err) {
+      assert(err instanceof base.Entity.errors.UniqueConstraintViolation);
+      assert(err.code === 'EntityAlreadyExists');
+      assert(err.statusCode === 409);
+      return err;
+    });
+  };
+
+  test("Item.create with unique property", function() {
+    var name = slugid.v4();
+    var id = slugid.v4();
+    return Item.create({
+      id: slugid.v4(), name: name, owner: 'o', label: slugid.v4()
+    }).then(function() {
+      return assertViolation(Item.create({
+        id: id, name: name, owner: 'o', label: slugid.v4()
+      }));
+    }).then(function(err) {
+      assert(_.isEqual(err.properties, ['name']));
+      return Item.load({id: id}, {ignoreIfNotExists: true});
+    }).then(function(item) {
+      assert(item === null, "Expected item not to be created");
+    });
+  });
+
+  test("Item.create with unique combination", function() {
+    var owner = slugid.v4();
+    return Promise.all([
+      Item.create({id: slugid.v4(), name: null, owner: owner, label: 'a'}),
+      Item.create({id: slugid.v4(), name: null, owner: owner, label: 'b'})
+    ]).then(function() {
+      return assertViolation(Item.create({
+        id: slugid.v4(), name: null, owner: owner, label: 'a'
+      }));
+    }).then(function(err) {
+      assert(_.isEqual(err.properties, ['owner', 'label']));
+    });
+  });
+
+  test("Concurrent Item.create with same name", function() {
+    var name = slugid.v4();
+    return Promise.all(_.range(5).map(function() {
+      return Item.create({
+        id: slugid.v4(), name: name, owner: 'o', label: slugid.v4()
+      }).then(function() {
+        return 'created';
+      }, function(err) {
+        assert(err.code === 'EntityAlreadyExists');
+        return 'failed';
+      });
+    })).then(function(results) {
+      assert(_.without(results, 'failed').length === 1,
+             "Expected exactly one entity to be created");
+    });
+  });
+
+  test("Failed Item.create releases reservations", function() {
+    var id = slugid.v4();
+    var name = slugid.v4();
+    return Item.create({
+      id: id, name: slugid.v4(), owner: 'o', label: slugid.v4()
+    }).then(function() {
+      return Item.create({id: id, name: name, owner: 'o', label: 'x'});
+    }).then(function() {
+      assert(false, "Expected an error");
+    }, function(err) {
+      assert(err.code === 'EntityAlreadyExists');
+      assert(!(err instanceof base.Entity.errors.UniqueConstraintViolation));
+      return Item.create({
+        id: slugid.v4(), name: name, owner: 'o', label: 'x'
+      });
+    });
+  });
+
+  test("Item.create with overwriteIfExists releases old values", function() {
+    var id = slugid.v4();
+    var old = slugid.v4();
+    var kept = slugid.v4();
+    return Item.create({
+      id: id, name: old, owner: 'o', label: kept
+    }).then(function() {
+      return Item.create({
+        id: id, name: slugid.v4(), owner: 'o', label: kept
+      }, true);
+    }).then(function() {
+      // The old name is released, but the kept label is still reserved
+      return Promise.all([
+        Item.create({
+          id: slugid.v4(), name: old, owner: 'o', label: slugid.v4()
+        }),
+        assertViolation(Item.create({
+          id: slugid.v4(), name: slugid.v4(), owner: 'o', label: kept
+        }))
+      ]);
+    });
+  });
+
+  test("Item.prototype.modify with unique property", function() {
+    var taken = slugid.v4();
+    var old = slugid.v4();
+    return Item.create({
+      id: slugid.v4(), name: taken, owner: 'o', label: slugid.v4()
+    }).then(function() {
+      return Item.create({
+        id: slugid.v4(), name: old, owner: 'o', label: slugid.v4()
+      });
+    }).then(function(item) {
+      return assertViolation(item.modify(function() {
+        this.name = taken;
+      })).then(function() {
+        assert(item.name === old, "Expected item to be restored");
+        return item.modify(function() {
+          this.name = slugid.v4();
+        });
+      });
+    }).then(function() {
+      // The old name is released, when the item is modified
+      return Item.create({
+        id: slugid.v4(), name: old, owner: 'o', label: slugid.v4()
+      });
+    });
+  });
+
+  test("Item.remove and Item.prototype.remove release values", function() {
+    var name1 = slugid.v4();
+    var name2 = slugid.v4();
+    var id = slugid.v4();
+    return Promise.all([
+      Item.create({id: id, name: name1, owner: 'o', label: slugid.v4()}),
+      Item.create({id: slugid.v4(), name: name2, owner: 'o', label: 'l'})
+    ]).then(function(items) {
+      return Promise.all([
+        Item.remove({id: id}),
+        items[1].remove()
+      ]);
+    }).then(function() {
+      return Promise.all([
+        Item.create({id: slugid.v4(), name: name1, owner: 'o', label: name1}),
+        Item.create({id: slugid.v4(), name: name2, owner: 'o', label: 'l'})
+      ]);
+    });
+  });
+
+  test("Stale reservations are taken over", function() {
+    var id = slugid.v4();
+    var name = slugid.v4();
+    return Item.create({
+      id: id, name: name, owner: 'o', label: slugid.v4()
+    }).then(function() {
+      // Remove entity without releasing reservations, like after a crash
+      return client.deleteEntity('UniqueTestTable', id, 'item', {eTag: '*'});
+    }).then(function() {
+      return assertViolation(Item.create({
+        id: slugid.v4(), name: name, owner: 'o', label: slugid.v4()
+      }));
+    }).then(function() {
+      age = 60 * 60 * 1000;
+      return Item.create({
+        id: slugid.v4(), name: name, owner: 'o', label: slugid.v4()
+      });
+    }).then(function(item) {
+      assert(item.name === name);
+    });
+  });
+
+  test("Old reservations held by entities aren't taken over", function() {
+    var name = slugid.v4();
+    return Item.create({
+      id: slugid.v4(), name: name, owner: 'o', label: slugid.v4()
+    }).then(function() {
+      age = 60 * 60 * 1000;
+      return assertViolation(Item.create({
+        id: slugid.v4(), name: name, owner: 'o', label: slugid.v4()
+      }));
+    });
+  });
+
+  test("Invalid unique constraints", function() {
+    assert.throws(function() {
+      AbstractItem.configure({
+        version:    2,
+        properties: {
+          id:       base.Entity.types.String
+        },
+        unique:     ['missing'],
+        migrate:    function(item) {
+          return item;
+        }
+      });
+    });
+    assert.throws(function() {
+      Item.batch();
+    });
+  });
+});
@@ -0,0 +1,187 @@
+suite("Lease", function() {
+  var assert  = require('assert');
+  var slugid  = require('slugid');
+  var _       = require('lodash');
+  var Promise = require('promise');
+  var base    = require('../');
+  var debug   = require('debug')('base:test:lease');
+
+  // Two processes sharing the same table
+  var client = new base.Entity.InMemoryTable();
+  var leases1 = new base.Lease({
+    table:      'LeaseTestTable',
+    client:     client,
+    owner:      'process-1'
+  });
+  var leases2 = new base.Lease({
+    table:      'LeaseTestTable',
+    client:     client,
+    owner:      'process-2'
+  });
+
+  var sleep = function(delay) {
+    return new Promise(function(accept) {
+      setTimeout(accept, delay);
+    });
+  };
+
+  before(function() {
+    return leases1.ensureTable();
+  });
+
+  test("acquire, renew and release", function() {
+    var name = slugid.v4();
+    var lease = null;
+    return leases1.acquire(name, 1000).then(function(held) {
+      assert(held instanceof base.Lease.HeldLease);
+      assert(held.isHeld());
+      lease = held;
+      return leases2.acquire(name, 1000);
+    }).then(function(held) {
+      assert(held === null, "Expected lease to be held by process-1");
+      var expires = lease.expires;
+      return sleep(5).then(function() {
+        return lease.renew(2000);
+      }).then(function() {
+        assert(lease.expires > expires, "Expected expires to be extended");
+      });
+    }).then(function() {
+      return lease.release();
+    }).then(function() {
+      assert(!lease.isHeld());
+      return leases2.acquire(name, 1000);
+    }).then(function(held) {
+      assert(held, "Expected lease to be released");
+      return held.release();
+    });
+  });
+
+  test("acquire expired lease", function() {
+    var name = slugid.v4();
+    var lost = [];
+    var lease = null;
+    return leases1.acquire(name, 20).then(function(held) {
+      lease = held;
+      lease.onLost(function(err) {
+        lost.push(err);
+      });
+      return sleep(50);
+    }).then(function() {
+      assert(lost.length === 1, "Expected lease to be lost");
+      assert(lost[0] instanceof base.Lease.LeaseLost);
+      assert(!lease.isHeld());
+      return leases2.acquire(name, 1000);
+    }).then(function(held) {
+      assert(held, "Expected expired lease to be acquired");
+      return lease.release().then(function() {
+        assert(held.isHeld(), "Expected release to leave other lease");
+        return leases1.acquire(name, 1000);
+      }).then(function(other) {
+        assert(other === null, "Expected lease to still be held");
+        return held.release();
+      });
+    });
+  });
+
+  test("renew lease acquired by another", function() {
+    var name = slugid.v4();
+    var lost = [];
+    return leases1.acquire(name, 1000).then(function(lease) {
+      lease.onLost(function(err) {
+        lost.push(err);
+      });
+      // Make the lease expire, as if the process was frozen
+      return leases1.Entity.load({name: name}).then(function(item) {
+        return item.modify(function() {
+          this.expires = new Date(Date.now() - 1);
+        });
+      }).then(function() {
+        return leases2.acquire(name, 1000);
+      }).then(function(held) {
+        assert(held, "Expected lease to be acquired");
+        return lease.renew().then(function() {
+          assert(false, "Expected an error");
+        }, function(err) {
+          assert(err.code === 'LeaseLost');
+          assert(lost.length === 1);
+          return held.release();
+        });
+      });
+    });
+  });
+
+  test("renew lease acquired by another, with unchanged expires", function() {
+    var name = slugid.v4();
+    return leases1.acquire(name, 1000).then(function(lease) {
+      return leases1.Entity.load({name: name}).then(function(item) {
+        return item.modify(function() {
+          this.expires = new Date(Date.now() - 1);
+        });
+      }).then(function() {
+        return leases2.acquire(name, 1000);
+      }).then(function(held) {
+        assert(held, "Expected lease to be acquired");
+        // Renew with a ttl that leaves expires unchanged
+        var ttl = lease.expires.getTime() - Date.now();
+        return lease.renew(ttl).then(function() {
+          assert(false, "Expected an error");
+        }, function(err) {
+          assert(err.code === 'LeaseLost');
+          return held.release();
+        });
+      });
+    });
+  });
+
+  test("concurrent acquire", function() {
+    var name = slugid.v4();
+    return Promise.all(_.range(5).map(function(i) {
+      var leases = i % 2 ? leases1 : leases2;
+      return leases.acquire(name, 1000);
+    })).then(function(results) {
+      var held = _.compact(results);
+      assert(held.length === 1, "Expected exactly one lease to be acquired");
+      return held[0].release();
+    });
+  });
+
+  test("run while lease is held", function() {
+    var name = slugid.v4();
+    var renewed = 0;
+    return leases1.run(name, 60, function(lease) {
+      var expires = lease.expires;
+      return leases2.run(name, 60, function() {
+        assert(false, "Expected lease to be held");
+      }).then(function(result) {
+        assert(result.acquired === false);
+        return sleep(100);
+      }).then(function() {
+        assert(lease.isHeld(), "Expected lease to be renewed");
+        assert(lease.expires > expires);
+        return 42;
+      });
+    }).then(function(result) {
+      assert(result.acquired === true);
+      assert(result.result === 42);
+      return leases2.acquire(name, 1000);
+    }).then(function(held) {
+      assert(held, "Expected lease to be released");
+      return held.release();
+    });
+  });
+
+  test("run releases lease on error", function() {
+    var name = slugid.v4();
+    return leases1.run(name, 1000, function() {
+      throw new Error("task failed");
+    }).then(function() {
+      assert(false, "Expected an error");
+    }, function(err) {
+      assert(err.message === "task failed");
+      return leases2.acquire(name, 1000);
+    }).then(function(held) {
+      assert(held, "Expected lease to be released");
+      return held.release();
+    });
+  });
+});
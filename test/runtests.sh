@@ -3,7 +3,11 @@
 # (must run from repository root)
 
 case $1 in
-    local) local_only=true ;;
+    local)
+        local_only=true
+        # Run entity tests with InMemoryTable, see test/entity/helper.js
+        export ENTITY_TEST_INMEMORY=1
+        ;;
     full) local_only=false ;;
     *)
         echo "Specify either 'local' or 'full'"
@@ -20,28 +24,22 @@ local_tests=(
   test/api/validate_test.js
   test/api/schemaprefix_test.js
   test/api/noncemanager_test.js
+  test/api/noncestore_test.js
+  test/api/clientcache_test.js
+  test/api/payload_test.js
+  test/api/trustproxy_test.js
+  test/api/query_test.js
   test/app_test.js
   test/scopematch_test.js
   test/exchanges_test.js
   test/testing/localapp_test.js
   test/testing/localapp2_test.js
   test/entity/migration_definition_test.js
-  test/testing/schemas_test.js
-)
-
-remote_tests=(
-  test/pulsepublisher_test.js
-  test/pulsepublisherschemaprefix_test.js
-  test/api/publish_test.js
-  test/exchanges_publish_test.js
-  test/api/responsetimer_test.js
-  test/testing/pulsetestreceiver_test.js
+  test/entity/inmemory_test.js
   test/entity/create_load_test.js
   test/entity/context_test.js
-  test/stats_test.js
   test/entity/modify_test.js
   test/entity/reload_test.js
-  test/testing/mockauthserver_test.js
   test/entity/query_test.js
   test/entity/remove_test.js
   test/entity/constantkey_test.js
@@ -52,6 +50,37 @@ remote_tests=(
   test/entity/jsontype_test.js
   test/entity/slugidarray_test.js
   test/entity/texttype_test.js
+  test/entity/partialrowkey_test.js
+  test/entity/batch_test.js
+  test/entity/migrateall_test.js
+  test/entity/constraints_test.js
+  test/entity/encrypted_test.js
+  test/entity/expire_test.js
+  test/entity/indexes_test.js
+  test/entity/scanstream_test.js
+  test/entity/retrypolicy_test.js
+  test/entity/operators_test.js
+  test/entity/aggregate_test.js
+  test/entity/select_test.js
+  test/entity/events_test.js
+  test/entity/cache_test.js
+  test/entity/exportimport_test.js
+  test/entity/unique_test.js
+  test/entity/errors_test.js
+  test/entity/moretypes_test.js
+  test/lease_test.js
+  test/testing/schemas_test.js
+)
+
+remote_tests=(
+  test/pulsepublisher_test.js
+  test/pulsepublisherschemaprefix_test.js
+  test/api/publish_test.js
+  test/exchanges_publish_test.js
+  test/api/responsetimer_test.js
+  test/testing/pulsetestreceiver_test.js
+  test/stats_test.js
+  test/testing/mockauthserver_test.js
   test/entity/sas_test.js
   test/entity/auth_test.js
   test/legacyentity_test.js